@@ -1,17 +1,202 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, query, orderBy, limit, onSnapshot, addDoc, serverTimestamp } from 'firebase/firestore';
+import {
+    getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, signInWithCredential, onAuthStateChanged, signOut,
+    GoogleAuthProvider, EmailAuthProvider, linkWithPopup, linkWithCredential, reauthenticateWithPopup, deleteUser,
+    sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink
+} from 'firebase/auth';
+import * as firestoreSdk from 'firebase/firestore'; // Used through the Data Access functions, which also serve local mode
 
-// --- Global Variables (Provided by Canvas Environment) ---
-// MANDATORY: Use these global variables for Firebase configuration and authentication.
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// --- Configuration ---
+// Every setting is read here, in order of precedence: choices saved from the diagnostics screen,
+// the Canvas globals (__app_id, __firebase_config, __initial_auth_token, __ai_provider) and the
+// REACT_APP_* environment variables from .env. validateConfig() checks the result at startup.
 
-// API Configuration
-const GEMINI_MODEL = "gemini-2.5-flash-preview-05-20";
-const API_URL_BASE = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
+/**
+ * Reads a build-time environment variable without failing where `process` is undefined (e.g. Canvas).
+ * Also used for the Canvas globals, which are undeclared outside Canvas.
+ * @param {function} read - Returns the variable, e.g. () => process.env.REACT_APP_X.
+ * @returns {string|undefined} The value, if defined.
+ */
+const readEnv = (read) => {
+    try {
+        return read();
+    } catch (e) {
+        return undefined;
+    }
+};
+
+// localStorage key for choices made on the diagnostics screen, e.g. { dataMode: 'local' }
+const CONFIG_OVERRIDES_KEY = "garden_config_overrides";
+
+// Where user data lives: 'firebase' (Cloud Firestore with Firebase Auth) or 'local' (this browser only).
+const DATA_MODES = ['firebase', 'local'];
+
+const readConfigOverrides = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(CONFIG_OVERRIDES_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * Saves a diagnostics-screen choice and reloads, since configuration is only read at startup.
+ * @param {object|null} overrides - Settings to merge into the saved ones, or null to clear them all.
+ */
+const saveConfigOverrides = (overrides) => {
+    if (overrides) {
+        window.localStorage.setItem(CONFIG_OVERRIDES_KEY, JSON.stringify({ ...readConfigOverrides(), ...overrides }));
+    } else {
+        window.localStorage.removeItem(CONFIG_OVERRIDES_KEY);
+    }
+    window.location.reload();
+};
+
+/**
+ * Merges saved overrides, Canvas globals and environment variables into one configuration.
+ * Values are kept as given (e.g. the Firebase config stays a JSON string) so that
+ * validateConfig() can report exactly what is wrong with them.
+ * @returns {object} The raw configuration.
+ */
+const loadAppConfig = () => {
+    const overrides = readConfigOverrides();
+    const canvasAppId = readEnv(() => __app_id);
+    return {
+        isCanvas: canvasAppId !== undefined,
+        overrides,
+        appId: canvasAppId || readEnv(() => process.env.REACT_APP_APP_ID) || 'default-app-id',
+        dataMode: overrides.dataMode || readEnv(() => process.env.REACT_APP_DATA_MODE) || 'firebase',
+        firebaseConfigText: readEnv(() => __firebase_config) || readEnv(() => process.env.REACT_APP_FIREBASE_CONFIG) || null,
+        initialAuthToken: readEnv(() => __initial_auth_token) || readEnv(() => process.env.REACT_APP_INITIAL_AUTH_TOKEN) || null,
+
+        // Local Firebase emulators (firebase emulators:start --only auth,firestore)
+        emulators: {
+            enabled: readEnv(() => process.env.REACT_APP_USE_FIREBASE_EMULATORS) === 'true',
+            authUrl: readEnv(() => process.env.REACT_APP_AUTH_EMULATOR_URL) || "http://127.0.0.1:9099",
+            firestoreHost: readEnv(() => process.env.REACT_APP_FIRESTORE_EMULATOR_HOST) || "127.0.0.1",
+            firestorePort: Number(readEnv(() => process.env.REACT_APP_FIRESTORE_EMULATOR_PORT) || 8080)
+        },
+
+        // AI Provider Configuration
+        // `provider` selects an entry of AI_PROVIDER_FACTORIES; each provider reads its own block.
+        ai: {
+            provider: overrides.aiProvider || readEnv(() => __ai_provider) || readEnv(() => process.env.REACT_APP_AI_PROVIDER) || 'gemini',
+            gemini: {
+                model: readEnv(() => process.env.REACT_APP_GEMINI_MODEL) || "gemini-2.5-flash-preview-05-20",
+                baseUrl: "https://generativelanguage.googleapis.com/v1beta/models",
+                apiKey: readEnv(() => process.env.REACT_APP_GEMINI_API_KEY) || "", // Canvas provides this at runtime when empty
+                timeoutMs: 30000 // Per request; for streamed replies, the longest allowed gap between chunks
+            },
+            mock: {
+                latencyMs: 600
+            }
+        },
+
+        // Recent weather for the growing context when the user hasn't typed it in.
+        // `source` selects an entry of WEATHER_SOURCE_FACTORIES, or 'none' to use only what the user enters.
+        weather: {
+            source: overrides.weatherSource || readEnv(() => process.env.REACT_APP_WEATHER_SOURCE) || 'none'
+        }
+    };
+};
+
+// Values copied unchanged from the .env example, e.g. "your-gemini-api-key" or "...".
+const isPlaceholder = (value) => typeof value === 'string' && /^(your-.*|\.\.\.)$/.test(value.trim());
+
+/**
+ * Checks the configuration and resolves the values that need parsing.
+ * Each problem names the setting, what is wrong and how to fix it; any 'error' stops startup.
+ * @param {object} config - From loadAppConfig().
+ * @returns {object} { problems: [{ severity, setting, message, fix }], canStart, firebaseConfig, initialAuthToken }.
+ */
+const validateConfig = (config) => {
+    const problems = [];
+    const report = (severity, setting, message, fix) => problems.push({ severity, setting, message, fix });
+    let firebaseConfig = null;
+
+    if (!DATA_MODES.includes(config.dataMode)) {
+        report('error', 'REACT_APP_DATA_MODE', `"${config.dataMode}" is not a data mode.`, `Use one of: ${DATA_MODES.join(', ')}.`);
+    }
+
+    if (config.dataMode === 'firebase') {
+        const firebaseFix = "Set REACT_APP_FIREBASE_CONFIG in .env to the config object from the Firebase console (Project settings → Your apps), or keep your data in this browser with local mode.";
+        if (!config.firebaseConfigText) {
+            report('error', 'REACT_APP_FIREBASE_CONFIG', "No Firebase configuration was found.", firebaseFix);
+        } else {
+            try {
+                firebaseConfig = JSON.parse(config.firebaseConfigText);
+                const missing = ['apiKey', 'authDomain', 'projectId'].filter(key => !firebaseConfig[key] || isPlaceholder(firebaseConfig[key]));
+                if (missing.length > 0) {
+                    report('error', 'REACT_APP_FIREBASE_CONFIG', `The Firebase configuration has no real value for ${missing.join(', ')}.`, firebaseFix);
+                }
+            } catch (error) {
+                report('error', 'REACT_APP_FIREBASE_CONFIG', `The Firebase configuration is not valid JSON (${error.message}).`, firebaseFix);
+            }
+        }
+        if (config.appId === 'default-app-id' || isPlaceholder(config.appId)) {
+            report('warning', 'REACT_APP_APP_ID', "No app ID is set, so data is stored under \"default-app-id\".", "Set REACT_APP_APP_ID in .env to keep this app's data apart from other apps in the same project.");
+        }
+        if (isPlaceholder(config.initialAuthToken)) {
+            report('warning', 'REACT_APP_INITIAL_AUTH_TOKEN', "The auth token is the .env placeholder, so it is ignored.", "Remove REACT_APP_INITIAL_AUTH_TOKEN or set it to a real custom token.");
+        }
+        if (config.emulators.enabled && !Number.isInteger(config.emulators.firestorePort)) {
+            report('error', 'REACT_APP_FIRESTORE_EMULATOR_PORT', "The Firestore emulator port is not a number.", "Set it to the port shown by `firebase emulators:start`, usually 8080.");
+        }
+    }
+
+    const { provider } = config.ai;
+    if (!AI_PROVIDER_FACTORIES[provider]) {
+        report('error', 'REACT_APP_AI_PROVIDER', `"${provider}" is not an AI provider.`, `Use one of: ${Object.keys(AI_PROVIDER_FACTORIES).join(', ')}.`);
+    } else if (provider === 'gemini' && !config.isCanvas) {
+        const { apiKey } = config.ai.gemini;
+        if (!apiKey || isPlaceholder(apiKey)) {
+            report('error', 'REACT_APP_GEMINI_API_KEY', apiKey ? "The Gemini API key is the .env placeholder." : "No Gemini API key is set.", "Create a key at https://aistudio.google.com/apikey and set REACT_APP_GEMINI_API_KEY in .env, or try the app with simulated results from the mock AI provider.");
+        }
+    }
+
+    const weatherSourceName = config.weather.source;
+    if (weatherSourceName !== 'none' && !WEATHER_SOURCE_FACTORIES[weatherSourceName]) {
+        report('warning', 'REACT_APP_WEATHER_SOURCE', `"${weatherSourceName}" is not a weather source, so recent weather only comes from what users enter.`, `Use one of: none, ${Object.keys(WEATHER_SOURCE_FACTORIES).join(', ')}.`);
+    }
+
+    return {
+        problems,
+        canStart: problems.every(problem => problem.severity !== 'error'),
+        firebaseConfig,
+        initialAuthToken: isPlaceholder(config.initialAuthToken) ? null : config.initialAuthToken
+    };
+};
+
+const APP_CONFIG = loadAppConfig();
+const appId = APP_CONFIG.appId;
+const FIREBASE_EMULATOR_CONFIG = APP_CONFIG.emulators;
+const AI_PROVIDER_CONFIG = APP_CONFIG.ai;
+const WEATHER_SOURCE_CONFIG = APP_CONFIG.weather;
+
+// localStorage key remembering where an email sign-in link was sent
+const EMAIL_FOR_SIGN_IN_KEY = "garden_email_for_sign_in";
+
+// Only transient failures are retried (see API_ERROR_TYPES), with exponential backoff unless the server says how long to wait.
+const API_RETRY_CONFIG = {
+    maxAttempts: 5,
+    maxRetryAfterMs: 60000 // A longer Retry-After is reported to the user instead of waited out
+};
+
+// Kinds of AI API failure: whether retrying can help, and what the user is told.
+const API_ERROR_TYPES = {
+    auth: { retryable: false, message: "The AI service rejected the API key. Check that REACT_APP_GEMINI_API_KEY is set to a valid Gemini key, then reload the page." },
+    rate_limit: { retryable: true, message: "The AI service is getting too many requests, or the daily quota is used up." },
+    blocked: { retryable: false, message: "The AI didn't return an answer, most likely because of its safety filters. Try a different photo or rephrase your question." },
+    malformed: { retryable: true, message: "The AI sent back an answer that couldn't be read. Please try again." },
+    network: { retryable: true, message: "Couldn't reach the AI service. Check your internet connection and try again." },
+    timeout: { retryable: true, message: "The AI service took too long to respond. Please try again in a moment." },
+    server: { retryable: true, message: "The AI service is having problems right now. Please try again in a few minutes." },
+    bad_request: { retryable: false, message: "The AI service rejected the request. Try fewer or smaller photos, or a shorter message." }
+};
+
+// Gemini finish reasons that mean the answer was withheld rather than just cut short.
+const BLOCKING_FINISH_REASONS = ["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY"];
 
 // JSON Schema for structured multimodal response
 const ANALYSIS_RESPONSE_SCHEMA = {
@@ -23,31 +208,464 @@ const ANALYSIS_RESPONSE_SCHEMA = {
             type: "ARRAY",
             description: "A list of 3-5 actionable, home-based remedies using common household items like soap, baking soda, etc. The first item should always be a summary of the status.",
             items: { type: "STRING" }
+        },
+        confidence: { type: "NUMBER", description: "How confident you are in predicted_disease, from 0.0 (a guess) to 1.0 (certain)." },
+        severity: { type: "STRING", enum: ["none", "mild", "moderate", "severe"], description: "How severe the problem is. Use 'none' for a healthy plant." },
+        affected_part: { type: "STRING", enum: ["leaf", "stem", "root", "flower", "fruit", "whole plant", "none"], description: "The plant part most affected. Use 'none' for a healthy plant." },
+        alternative_diagnoses: {
+            type: "ARRAY",
+            description: "Up to 3 other plausible diagnoses, most likely first. Empty if nothing else is plausible.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    disease: { type: "STRING", description: "The alternative disease name." },
+                    probability: { type: "NUMBER", description: "Probability of this alternative, from 0.0 to 1.0." }
+                },
+                required: ["disease", "probability"]
+            }
+        },
+        affected_regions: {
+            type: "ARRAY",
+            description: "Bounding boxes of visibly affected areas. Coordinates are fractions of the image size (0.0 to 1.0) measured from the top-left corner. Empty for a healthy plant.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    x: { type: "NUMBER", description: "Left edge, 0.0 to 1.0." },
+                    y: { type: "NUMBER", description: "Top edge, 0.0 to 1.0." },
+                    width: { type: "NUMBER", description: "Width, 0.0 to 1.0." },
+                    height: { type: "NUMBER", description: "Height, 0.0 to 1.0." },
+                    label: { type: "STRING", description: "Short description of the symptom in this region." },
+                    photo_index: { type: "INTEGER", description: "1-based number of the photo this region is on." }
+                },
+                required: ["x", "y", "width", "height", "label", "photo_index"]
+            }
+        },
+        photo_findings: {
+            type: "ARRAY",
+            description: "Which photo supports which finding. One entry per finding, citing the 1-based photo number it is visible in.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    photo_index: { type: "INTEGER", description: "1-based number of the photo." },
+                    finding: { type: "STRING", description: "What this photo shows that supports the diagnosis." }
+                },
+                required: ["photo_index", "finding"]
+            }
+        }
+    },
+    required: ["health_percentage", "predicted_disease", "home_remedies", "confidence", "severity", "affected_part", "alternative_diagnoses", "affected_regions", "photo_findings"]
+};
+
+// JSON Schema for a care schedule proposed by the bot
+const CARE_SCHEDULE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        summary: { type: "STRING", description: "One or two friendly sentences explaining the plan." },
+        tasks: {
+            type: "ARRAY",
+            description: "2 to 6 care tasks. Include a follow-up scan after any treatment, to check it worked.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    type: { type: "STRING", enum: ["water", "fertilize", "repot", "pest_check", "rescan"], description: "The kind of care." },
+                    title: { type: "STRING", description: "Short instruction, e.g. 'Spray with neem oil solution'." },
+                    every: { type: "INTEGER", description: "Repeat interval in `unit`s. 0 for a one-off task." },
+                    unit: { type: "STRING", enum: ["day", "week", "month"], description: "Unit of the repeat interval." },
+                    start_in_days: { type: "INTEGER", description: "Days from today until the first occurrence. 0 for today." },
+                    notes: { type: "STRING", description: "Optional detail, e.g. how much water. Empty if none." }
+                },
+                required: ["type", "title", "every", "unit", "start_in_days", "notes"]
+            }
         }
     },
-    required: ["health_percentage", "predicted_disease", "home_remedies"]
+    required: ["summary", "tasks"]
+};
+
+// Views a scan photo can be tagged with; `prompt` tells the model what it is looking at.
+const PHOTO_VIEWS = [
+    { id: 'leaf_top', label: 'Leaf top', prompt: 'the upper surface of a leaf' },
+    { id: 'leaf_underside', label: 'Leaf underside', prompt: 'the underside of a leaf, where pests and fungal spores often hide' },
+    { id: 'stem', label: 'Stem', prompt: 'the stem or stalk' },
+    { id: 'roots_soil', label: 'Roots / soil', prompt: 'the roots and soil surface' },
+    { id: 'whole_plant', label: 'Whole plant', prompt: 'the whole plant, showing its overall shape and color' }
+];
+const MAX_PHOTOS_PER_SCAN = 5;
+
+// Diagnoses below this confidence are flagged to the user as uncertain.
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+const MAX_ALTERNATIVE_DIAGNOSES = 3;
+
+const SEVERITY_STYLES = {
+    none: 'text-green-700 bg-green-100 border-green-300',
+    mild: 'text-yellow-700 bg-yellow-100 border-yellow-300',
+    moderate: 'text-orange-700 bg-orange-100 border-orange-300',
+    severe: 'text-red-700 bg-red-100 border-red-300'
+};
+
+// Firestore collections stored under artifacts/{appId}/users/{userId}/
+const THREAD_COLLECTION_NAME = "plant_bot_threads"; // Each thread keeps its messages in a `messages` subcollection
+const LEGACY_CHAT_COLLECTION_NAME = "plant_bot_chats"; // Flat chat log from before threads; migrated on first load
+const SCAN_COLLECTION_NAME = "plant_scans";
+const PLANT_COLLECTION_NAME = "plants";
+const CARE_TASK_COLLECTION_NAME = "care_tasks";
+const SETTINGS_COLLECTION_NAME = "settings"; // PREFERENCES_DOC_ID ({ locale, updatedAt }) and GROWING_CONTEXT_DOC_ID
+const PREFERENCES_DOC_ID = "preferences";
+const GROWING_CONTEXT_DOC_ID = "growing_context"; // Shaped like EMPTY_GROWING_CONTEXT, plus updatedAt
+// Read-only copies of scans their owners chose to share, readable by anyone with the link
+const SHARED_SCANS_PATH = `artifacts/${appId}/public/data/shared_scans`;
+
+const PLANT_CONTAINERS = [
+    { id: 'pot', label: 'Pot' },
+    { id: 'bed', label: 'Bed' }
+];
+
+// Choices in the growing context profile; `prompt` is how prompts describe each one.
+const GROWING_SETTINGS = [
+    { id: 'indoor', label: 'Indoors', prompt: 'grown indoors' },
+    { id: 'outdoor', label: 'Outdoors', prompt: 'grown outdoors' },
+    { id: 'greenhouse', label: 'Greenhouse', prompt: 'grown in a greenhouse' }
+];
+const LIGHT_LEVELS = [
+    { id: 'low', label: 'Low light', prompt: 'low light' },
+    { id: 'medium', label: 'Medium, indirect light', prompt: 'medium indirect light' },
+    { id: 'bright', label: 'Bright, indirect light', prompt: 'bright indirect light' },
+    { id: 'full_sun', label: 'Full sun', prompt: 'full sun (6 or more hours of direct sun)' }
+];
+const WATERING_HABITS = [
+    { id: 'daily', label: 'Daily', prompt: 'watered daily' },
+    { id: 'every_few_days', label: 'Every few days', prompt: 'watered every few days' },
+    { id: 'weekly', label: 'About once a week', prompt: 'watered about once a week' },
+    { id: 'when_dry', label: 'When the soil feels dry', prompt: 'watered when the top of the soil is dry' }
+];
+// `weather` is recent weather typed in by the user; when empty it comes from the configured weather source
+const EMPTY_GROWING_CONTEXT = { region: '', setting: '', light: '', watering: '', weather: '' };
+
+// Everything stored per user, for account merging and deletion.
+const USER_DATA_COLLECTIONS = [
+    { name: PLANT_COLLECTION_NAME },
+    { name: SCAN_COLLECTION_NAME },
+    { name: THREAD_COLLECTION_NAME, subcollections: ['messages'] },
+    { name: LEGACY_CHAT_COLLECTION_NAME },
+    { name: CARE_TASK_COLLECTION_NAME },
+    { name: SETTINGS_COLLECTION_NAME }
+];
+
+const DEFAULT_THREAD_TITLE = "New conversation";
+
+// Languages of the UI and the model's answers; `prompt` is how prompts name the language.
+const SUPPORTED_LOCALES = [
+    { id: 'en', label: 'English', prompt: 'English' },
+    { id: 'hi', label: 'हिन्दी', prompt: 'Hindi (Devanagari script)' },
+    { id: 'es', label: 'Español', prompt: 'Spanish' },
+    { id: 'bn', label: 'বাংলা', prompt: 'Bengali (Bengali script)' }
+];
+const DEFAULT_LOCALE = 'en';
+// localStorage: the language last chosen in this browser, used until the user's saved choice loads
+const LOCALE_STORAGE_KEY = "garden_locale";
+
+// Bounds what the bot loads and sends, however long a thread gets.
+const CHAT_CONTEXT_CONFIG = {
+    pageSize: 30,            // Messages loaded per page when scrolling back
+    maxRecentMessages: 16,   // Newest turns sent verbatim
+    maxRecentChars: 8000,    // Character budget for the verbatim turns
+    maxSummaryChars: 1500    // Older turns are folded into a running summary of this size
+};
+
+// The bot may call tools (see BOT_TOOLS) for this many rounds per reply before it must answer.
+const BOT_TOOL_CONFIG = {
+    maxRounds: 4,
+    maxScansPerCall: 10
+};
+
+// Photos are re-encoded before upload: phone cameras produce 5-12 MB files the model doesn't need.
+const IMAGE_PREPROCESS_CONFIG = {
+    maxEdge: 1600,            // Longest edge in pixels after downscaling
+    outputType: 'image/jpeg', // 'image/jpeg' or 'image/webp'
+    quality: 0.85             // Encoder quality, 0 to 1
+};
+
+// Local checks that hold back blurry, badly exposed or distant photos before they are analyzed.
+// Measured on a copy downscaled to `analysisEdge`, so thresholds don't depend on camera resolution.
+const PHOTO_QUALITY_CONFIG = {
+    analysisEdge: 256,
+    minSharpness: 60,            // Variance of the Laplacian; lower is blurry
+    minMeanLuminance: 50,        // Mean brightness, 0-255
+    maxMeanLuminance: 210,
+    darkLevel: 15,               // Histogram levels counted as crushed black...
+    brightLevel: 245,            // ...and as blown-out white
+    maxClippedFraction: 0.3,     // Share of crushed or blown-out pixels that fails a photo
+    minLeafCoverage: 0.2,        // Share of plant-colored pixels (inside the framing guide for camera shots)
+    coverageExemptViews: ['stem', 'roots_soil'],
+    liveCheckIntervalMs: 500     // How often the viewfinder re-checks the live frame
+};
+// The viewfinder's framing guide, as a normalized area of the frame.
+const CAMERA_GUIDE_REGION = { x: 0.15, y: 0.15, width: 0.7, height: 0.7 };
+
+// Thumbnails are stored inline in the scan document, so keep them small.
+const THUMBNAIL_MAX_EDGE = 240;
+
+// Scans and chat messages made while offline wait in this IndexedDB store until the app is back online.
+const OFFLINE_QUEUE_CONFIG = {
+    dbName: 'garden-offline',
+    storeName: 'queue',
+    syncTag: 'garden-offline-queue', // Background Sync tag; sw.js relays it to open tabs
+    lockName: 'garden-offline-queue', // Web Lock held by the one tab working through the queue
+    leaseMs: 5 * 60 * 1000 // How long a claimed item stays with its tab; longer than any one item takes
+};
+
+// Local mode keeps every document in this IndexedDB store instead of Firestore.
+const LOCAL_STORE_CONFIG = {
+    dbName: 'garden-local-data',
+    storeName: 'documents',
+    channelName: 'garden-local-data' // BroadcastChannel that tells other tabs about writes
+};
+
+// Local mode has no sign-in; everything belongs to this one user.
+const LOCAL_USER = { uid: 'local-user', isAnonymous: true, email: null, displayName: null, providerData: [] };
+
+// Kinds of recurring care; `recurrence` is the default when adding one by hand (null: does not repeat).
+const CARE_TASK_TYPES = [
+    { id: 'water', label: 'Water', emoji: '💧', recurrence: { every: 3, unit: 'day' } },
+    { id: 'fertilize', label: 'Fertilize', emoji: '🌱', recurrence: { every: 2, unit: 'week' } },
+    { id: 'repot', label: 'Repot', emoji: '🪴', recurrence: { every: 12, unit: 'month' } },
+    { id: 'pest_check', label: 'Pest check', emoji: '🔍', recurrence: { every: 1, unit: 'week' } },
+    { id: 'rescan', label: 'Follow-up scan', emoji: '📸', recurrence: null }
+];
+const RECURRENCE_UNITS = ['day', 'week', 'month'];
+const SNOOZE_OPTIONS = [
+    { days: 1, label: '1 day' },
+    { days: 3, label: '3 days' },
+    { days: 7, label: '1 week' }
+];
+const AGENDA_UPCOMING_DAYS = 7;
+
+// Browser notifications for due care tasks, shown while the app is open (also as an installed app).
+const CARE_REMINDER_CONFIG = {
+    notifyFromHour: 8,                 // No reminders before this local hour
+    checkIntervalMs: 15 * 60 * 1000,   // How often an open app looks for newly due tasks
+    storageKey: "garden_care_reminded" // localStorage: { day, taskIds } already announced today
+};
+
+// Health bands used for badges and history filtering (lower bound inclusive).
+const HEALTH_BANDS = [
+    { id: 'healthy', label: 'Healthy (80-100%)', min: 80, chartColor: '#16a34a' },
+    { id: 'fair', label: 'Fair (60-79%)', min: 60, chartColor: '#ca8a04' },
+    { id: 'poor', label: 'Poor (0-59%)', min: 0, chartColor: '#dc2626' }
+];
+
+// In-app alerts when a plant's newest scan looks worse than before (see detectHealthAlert).
+const HEALTH_ALERT_CONFIG = {
+    defaultDropThreshold: 15, // Percentage points; plants can set their own `healthAlertThreshold`
+    minDropThreshold: 1,
+    maxDropThreshold: 100
 };
 
 // --- Utility Functions ---
 
+/**
+ * An AI API failure classified by cause, so callers can decide whether to retry and what to tell the user.
+ * Cancellation by the caller is not an ApiError; it stays a DOMException named 'AbortError'.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} type - A key of API_ERROR_TYPES.
+     * @param {string} message - Technical detail, for the console.
+     * @param {object} options - { status, retryAfterMs, cause }.
+     */
+    constructor(type, message, { status = null, retryAfterMs = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return API_ERROR_TYPES[this.type]?.retryable === true;
+    }
+}
+
+/**
+ * Waits for a while, or rejects with an AbortError as soon as `signal` is aborted.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} signal - Optional cancellation signal.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("The operation was aborted.", 'AbortError');
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
 /**
  * Executes an exponential backoff retry mechanism for an async function.
+ * Only errors marked `retryable` are retried, and a server-provided `retryAfterMs` replaces the backoff.
  * @param {function} fn - The async function to execute.
- * @param {number} maxRetries - Maximum number of retries.
+ * @param {object} options - { maxAttempts, signal } where aborting `signal` cancels the wait between attempts.
  * @returns {Promise<any>} The result of the async function.
  */
-async function retryWithBackoff(fn, maxRetries = 5) {
-    for (let i = 0; i < maxRetries; i++) {
+async function retryWithBackoff(fn, { maxAttempts = API_RETRY_CONFIG.maxAttempts, signal } = {}) {
+    for (let i = 0; i < maxAttempts; i++) {
         try {
             return await fn();
         } catch (error) {
-            if (i === maxRetries - 1) throw error; // Re-throw on last attempt
-            const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
+            if (error.name === 'AbortError') throw error; // Cancelled by the caller, don't retry
+            if (!error.retryable || i === maxAttempts - 1) throw error; // Permanent failure, or out of attempts
+            if (error.type === 'network' && !navigator.onLine) throw error; // Fail fast so the offline queue can take over
+            const delay = error.retryAfterMs ?? Math.pow(2, i) * 1000 + Math.random() * 1000;
+            if (delay > API_RETRY_CONFIG.maxRetryAfterMs) throw error; // Too long to keep the user waiting
+            await sleep(delay, signal);
         }
     }
 }
 
+/**
+ * Reads how long the server asked us to wait, from the Retry-After header (seconds or an HTTP date)
+ * or from the google.rpc.RetryInfo detail Gemini puts in its error body (e.g. "retryDelay": "17s").
+ * @param {string|null} headerValue - The Retry-After header, if readable.
+ * @param {object|null} errorBody - The parsed error response.
+ * @returns {number|null} Delay in milliseconds, or null if the server didn't say.
+ */
+const parseRetryAfterMs = (headerValue, errorBody) => {
+    if (headerValue) {
+        const seconds = Number(headerValue);
+        if (!isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(headerValue);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const retryInfo = (errorBody?.error?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+    const match = /^([\d.]+)s$/.exec(retryInfo?.retryDelay || '');
+    return match ? Number(match[1]) * 1000 : null;
+};
+
+/**
+ * Classifies a non-2xx API response.
+ * @param {Response} response - The failed fetch response.
+ * @returns {Promise<ApiError>} The classified error.
+ */
+const classifyHttpError = async (response) => {
+    const body = await response.json().catch(() => null);
+    const detail = body?.error?.message || `API call failed with status: ${response.status}`;
+    const options = { status: response.status, retryAfterMs: parseRetryAfterMs(response.headers.get('Retry-After'), body) };
+
+    // A missing or invalid key comes back as 400 INVALID_ARGUMENT or 403 PERMISSION_DENIED
+    if (response.status === 401 || response.status === 403 || (response.status === 400 && /api key/i.test(detail))) {
+        return new ApiError('auth', detail, options);
+    }
+    if (response.status === 429) return new ApiError('rate_limit', detail, options);
+    if (response.status === 408 || response.status === 504) return new ApiError('timeout', detail, options);
+    if (response.status >= 500) return new ApiError('server', detail, options);
+    return new ApiError('bad_request', detail, options);
+};
+
+/**
+ * Links a per-request timeout to an optional caller signal. Streamed requests call restart()
+ * whenever data arrives, so only a stalled stream times out.
+ * @param {number} timeoutMs - Timeout in milliseconds.
+ * @param {AbortSignal} callerSignal - Optional cancellation signal from the caller.
+ * @returns {object} { signal, restart, isTimedOut, dispose }.
+ */
+const createRequestSignal = (timeoutMs, callerSignal) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const restart = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const onCallerAbort = () => controller.abort();
+
+    if (callerSignal?.aborted) controller.abort();
+    else callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+    restart();
+
+    return {
+        signal: controller.signal,
+        restart,
+        isTimedOut: () => timedOut,
+        dispose: () => {
+            clearTimeout(timer);
+            callerSignal?.removeEventListener('abort', onCallerAbort);
+        }
+    };
+};
+
+/**
+ * Converts low-level fetch and parsing failures into ApiErrors. Caller cancellations pass through unchanged.
+ * @param {Error} error - The caught error.
+ * @param {object} request - From createRequestSignal, to tell a timeout from a cancellation.
+ * @returns {Error} An ApiError, or the original error.
+ */
+const toApiError = (error, request) => {
+    if (error instanceof ApiError) return error;
+    if (error.name === 'AbortError') {
+        return request.isTimedOut() ? new ApiError('timeout', "The request timed out.", { cause: error }) : error;
+    }
+    if (error instanceof SyntaxError) return new ApiError('malformed', error.message, { cause: error });
+    // fetch() rejects with a TypeError whose message differs per browser ("Failed to fetch", "Load failed", ...)
+    if (error instanceof TypeError) return new ApiError('network', error.message, { cause: error });
+    return error;
+};
+
+/**
+ * Extracts the answer text from a generateContent response.
+ * @param {object} result - Parsed response body (or the last chunk of a stream).
+ * @returns {string} The text.
+ * @throws {ApiError} 'blocked' if the answer was withheld, 'malformed' if it is otherwise empty.
+ */
+const extractCandidateText = (result) => {
+    const candidate = result?.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    if (text) return text;
+
+    const blockReason = result?.promptFeedback?.blockReason;
+    if (blockReason) throw new ApiError('blocked', `The prompt was blocked: ${blockReason}.`);
+    if (!candidate || BLOCKING_FINISH_REASONS.includes(candidate.finishReason)) {
+        throw new ApiError('blocked', `No answer was returned (finish reason: ${candidate?.finishReason || 'none'}).`);
+    }
+    throw new ApiError('malformed', "API response was empty or malformed.");
+};
+
+/**
+ * Extracts the function calls the model asked for from a generateContent response or stream chunk.
+ * Thought signatures are kept, since they must be sent back with the calls.
+ * @param {object} result - Parsed response body or chunk.
+ * @returns {Array<object>} { name, args, thoughtSignature }, empty if the model answered in text.
+ */
+const extractFunctionCalls = (result) => (result?.candidates?.[0]?.content?.parts || [])
+    .filter(part => part.functionCall)
+    .map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {}, thoughtSignature: part.thoughtSignature || null }));
+
+/**
+ * Turns a failure into a message for the user, specific to its cause where known.
+ * @param {Error} error - The caught error.
+ * @param {string} fallback - Message for failures that aren't ApiErrors.
+ * @returns {string} The message.
+ */
+const describeApiError = (error, fallback) => {
+    if (!(error instanceof ApiError)) return fallback;
+    const { message } = API_ERROR_TYPES[error.type];
+    if (error.type !== 'rate_limit') return message;
+    return error.retryAfterMs
+        ? `${message} You can try again in about ${Math.ceil(error.retryAfterMs / 1000)} seconds.`
+        : `${message} Please wait a minute and try again.`;
+};
+
 /**
  * Converts a File object (image) to a Base64 string.
  * @param {File} file - The image file object.
@@ -62,402 +680,7913 @@ const fileToBase64 = (file) => {
     });
 };
 
-// --- Components ---
+/**
+ * Tells whether an error means the device couldn't reach the network, as opposed to a server or data error.
+ * @param {Error} error - The caught error.
+ * @returns {boolean} True if the request should be queued until the connection returns.
+ */
+const isNetworkError = (error) => !navigator.onLine || (error instanceof ApiError && error.type === 'network');
 
-const PlantScanner = () => {
-  const [file, setFile] = useState(null);
-  const [scanResult, setScanResult] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const inputRef = useRef(null);
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile) {
-      setFile(selectedFile);
-      setScanResult(null); // Clear previous result
-      setError(null);
+/**
+ * Validates a structured analysis against ANALYSIS_RESPONSE_SCHEMA and normalizes it:
+ * alternatives are sorted and capped, and region boxes are clipped to the image.
+ * @param {object} result - Parsed model response.
+ * @param {object} options - { photoCount } where photoCount, default 1, bounds each region's and finding's photo_index.
+ * @returns {object} The normalized result.
+ * @throws {Error} If a required field is missing or out of range.
+ */
+const validateAnalysisResult = (result, { photoCount = 1 } = {}) => {
+    if (!result || typeof result !== 'object') throw new Error("Analysis result is not an object.");
+    const { health_percentage, predicted_disease, home_remedies, confidence, severity, affected_part, alternative_diagnoses, affected_regions, photo_findings } = result;
+    const isPhotoIndex = (value) => Number.isInteger(value) && value >= 1 && value <= photoCount;
+
+    if (typeof health_percentage !== 'number' || health_percentage < 0 || health_percentage > 100) {
+        throw new Error("Invalid health percentage received.");
+    }
+    if (typeof predicted_disease !== 'string' || !predicted_disease.trim()) {
+        throw new Error("Invalid predicted disease received.");
+    }
+    if (!Array.isArray(home_remedies) || !home_remedies.every(remedy => typeof remedy === 'string')) {
+        throw new Error("Invalid home remedies received.");
+    }
+    if (!isFraction(confidence)) {
+        throw new Error("Invalid confidence received.");
+    }
+    if (!ANALYSIS_RESPONSE_SCHEMA.properties.severity.enum.includes(severity)) {
+        throw new Error("Invalid severity received.");
+    }
+    if (!ANALYSIS_RESPONSE_SCHEMA.properties.affected_part.enum.includes(affected_part)) {
+        throw new Error("Invalid affected plant part received.");
+    }
+    if (!Array.isArray(alternative_diagnoses) || !alternative_diagnoses.every(alt => alt && typeof alt.disease === 'string' && isFraction(alt.probability))) {
+        throw new Error("Invalid alternative diagnoses received.");
+    }
+    if (!Array.isArray(affected_regions) || !affected_regions.every(region => region && ['x', 'y', 'width', 'height'].every(key => isFraction(region[key])) && isPhotoIndex(region.photo_index))) {
+        throw new Error("Invalid affected regions received.");
+    }
+    if (!Array.isArray(photo_findings) || !photo_findings.every(finding => finding && isPhotoIndex(finding.photo_index) && typeof finding.finding === 'string')) {
+        throw new Error("Invalid photo findings received.");
     }
-  };
 
-  const handleScan = async () => {
-    if (!file) return;
+    return {
+        ...result,
+        health_percentage: Math.round(health_percentage),
+        predicted_disease: predicted_disease.trim(),
+        alternative_diagnoses: [...alternative_diagnoses]
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, MAX_ALTERNATIVE_DIAGNOSES),
+        affected_regions: affected_regions.map(region => ({
+            x: region.x,
+            y: region.y,
+            width: Math.min(region.width, 1 - region.x),
+            height: Math.min(region.height, 1 - region.y),
+            label: typeof region.label === 'string' ? region.label : '',
+            photo_index: region.photo_index
+        })),
+        photo_findings: photo_findings.map(({ photo_index, finding }) => ({ photo_index, finding }))
+    };
+};
 
-    setLoading(true);
-    setScanResult(null);
-    setError(null);
+const getPhotoViewLabel = (viewId) => (PHOTO_VIEWS.some(view => view.id === viewId) ? t(`photoViews.${viewId}`) : t('photo.generic'));
 
-    try {
-      // 1. Convert image to Base64
-      const base64ImageData = await fileToBase64(file);
-      const mimeType = file.type || 'image/png';
+/**
+ * Returns the regions drawn on one photo. Scans saved before multi-photo
+ * support have no photo_index; their regions all belong to the only photo.
+ * @param {Array<object>} regions - affected_regions of a scan.
+ * @param {number} index - 0-based photo position.
+ * @returns {Array<object>} Regions on that photo.
+ */
+const getRegionsForPhoto = (regions = [], index) => regions.filter(region => (region.photo_index || 1) === index + 1);
 
-      // 2. Define the user prompt for multimodal analysis
-      const userPrompt = "Analyze this image of a plant. Determine its health percentage (0-100), predict the specific disease, or state 'Healthy'. Provide 3 to 5 actionable home remedies using common household products like soap, vinegar, or baking soda. If the plant is healthy, provide general care tips instead of remedies. Respond ONLY in the requested JSON format.";
+/**
+ * Returns a saved scan's photos as { view, src }, including single-photo scans saved before `photos` existed.
+ * @param {object} scan - A scan document.
+ * @returns {Array<object>} The scan's photos.
+ */
+const getScanPhotos = (scan) => {
+    if (Array.isArray(scan.photos) && scan.photos.length > 0) {
+        return scan.photos.map(photo => ({ view: photo.view, src: photo.thumbnail }));
+    }
+    return scan.thumbnail ? [{ view: null, src: scan.thumbnail }] : [];
+};
 
-      // 3. Construct the API payload
-      const payload = {
-        contents: [
-            {
-                role: "user",
-                parts: [
-                    { text: userPrompt },
-                    {
-                        inlineData: {
-                            mimeType: mimeType,
-                            data: base64ImageData
-                        }
-                    }
-                ]
-            }
-        ],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: ANALYSIS_RESPONSE_SCHEMA
+/**
+ * Splits a base64 data URL into the { mimeType, data } shape providers expect.
+ * @param {string} dataUrl - e.g. "data:image/jpeg;base64,....".
+ * @returns {object|null} The inline image, or null if not a base64 data URL.
+ */
+const dataUrlToInlineImage = (dataUrl) => {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+    return match ? { mimeType: match[1], data: match[2] } : null;
+};
+
+/**
+ * Summarizes a scan for the bot: shown as the opening message of a scan
+ * discussion and repeated in the system prompt on every following turn.
+ * @param {object} scan - A scan result or scan document.
+ * @returns {string} Plain-text summary.
+ */
+const describeScanForBot = (scan) => {
+    const remedies = (scan.home_remedies || []).map(remedy => `- ${remedy}`).join('\n');
+    return `Plant scan result: ${scan.predicted_disease} (${scan.health_percentage}% health` +
+        `${typeof scan.confidence === 'number' ? `, ${Math.round(scan.confidence * 100)}% confidence` : ''}` +
+        `${scan.severity ? `, ${scan.severity} severity` : ''}).\nSuggested remedies:\n${remedies}`;
+};
+
+/**
+ * Builds the analysis prompt, describing what each attached photo shows.
+ * @param {Array<string>} views - PHOTO_VIEWS id of each photo, in upload order.
+ * @param {string} locale - Language to write the results in, one of SUPPORTED_LOCALES.
+ * @param {object|null} growingContext - From resolveGrowingContext().
+ * @returns {string} The user prompt.
+ */
+const buildScanPrompt = (views, locale = getActiveLocale(), growingContext = null) => {
+    const photoList = views.map((viewId, index) => {
+        const view = PHOTO_VIEWS.find(v => v.id === viewId);
+        return `Photo ${index + 1} shows ${view ? view.prompt : 'part of the plant'}.`;
+    }).join(' ');
+
+    return `Analyze ${views.length === 1 ? 'this image' : `these ${views.length} images`} of a plant. ${views.length > 1 ? 'All photos are of the same plant; combine them into one diagnosis. ' : ''}${photoList} Determine its health percentage (0-100), predict the specific disease, or state 'Healthy'. Provide 3 to 5 actionable home remedies using common household products like soap, vinegar, or baking soda. If the plant is healthy, provide general care tips instead of remedies. Be honest about uncertainty: give a calibrated confidence, the severity and the affected plant part, up to 3 alternative diagnoses with probabilities, and bounding boxes around every visibly affected area, each tagged with the photo it is on. For every finding, say which photo supports it.${buildGrowingContextInstruction(growingContext, 'analysis')}${buildLanguageInstruction(locale, 'analysis')} Respond ONLY in the requested JSON format.`;
+};
+
+/**
+ * Builds the Firestore path of a per-user collection.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} name - The collection name, e.g. SCAN_COLLECTION_NAME.
+ * @returns {string} The collection path.
+ */
+const getUserCollectionPath = (userId, name) => `artifacts/${appId}/users/${userId}/${name}`;
+
+/**
+ * Opens an IndexedDB database holding a single object store, creating it on first use.
+ * @param {string} name - Database name.
+ * @param {string} storeName - Object store name.
+ * @param {string} keyPath - Record property used as the key.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+const openIndexedDb = (name, storeName, keyPath) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs an operation in one transaction and resolves once the transaction commits.
+ * @param {IDBDatabase} database - From openIndexedDb().
+ * @param {string} storeName - Object store name.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function} operation - Receives the object store; may return an IDBRequest whose result is resolved.
+ * @returns {Promise<any>} The request's result, if any.
+ */
+const runIndexedDbTransaction = (database, storeName, mode, operation) => new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Formats a byte count for display, e.g. 1536 -> "1.5 KB".
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} Human-readable size.
+ */
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Decodes an image file with its EXIF orientation applied.
+ * @param {Blob} file - The image file object.
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} A drawable, upright image.
+ */
+const decodeImage = async (file) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Fall through to <img>, which also honors EXIF orientation in current browsers.
         }
-      };
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            const isHeic = /hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+            reject(new Error(isHeic ? t('photo.heic') : t('photo.unreadable')));
+        };
+        img.src = url;
+    });
+};
 
-      const apiKey = ""; // Canvas provides this at runtime
-      const apiUrl = `${API_URL_BASE}?key=${apiKey}`;
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Image encoding failed."))), type, quality);
+});
 
-      // 4. API call with exponential backoff
-      const apiCall = async () => {
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-        if (!response.ok) {
-          throw new Error(`API call failed with status: ${response.status}`);
+/**
+ * Prepares a photo for upload: applies EXIF orientation, optionally crops to a
+ * region of interest, downscales to `maxEdge` and re-encodes. Re-encoding through
+ * a canvas drops all metadata, including GPS location.
+ * @param {Blob} file - The original image file.
+ * @param {object} options - { maxEdge, outputType, quality, crop } where crop is a normalized { x, y, width, height }.
+ * @returns {Promise<object>} { blob, mimeType, width, height, bytes, originalBytes }.
+ */
+const preprocessImage = async (file, options = {}) => {
+    const { maxEdge, outputType, quality, crop } = { ...IMAGE_PREPROCESS_CONFIG, ...options };
+    const image = await decodeImage(file);
+
+    const sourceWidth = image.width;
+    const sourceHeight = image.height;
+    const region = crop
+        ? { x: crop.x * sourceWidth, y: crop.y * sourceHeight, width: crop.width * sourceWidth, height: crop.height * sourceHeight }
+        : { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+
+    const scale = Math.min(1, maxEdge / Math.max(region.width, region.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(region.width * scale));
+    canvas.height = Math.max(1, Math.round(region.height * scale));
+    const context = canvas.getContext('2d');
+    if (outputType === 'image/jpeg') {
+        // JPEG has no alpha; paint transparent PNG areas white instead of black.
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+    if (typeof image.close === 'function') image.close();
+
+    let blob = await canvasToBlob(canvas, outputType, quality);
+    if (blob.type !== outputType) {
+        // The browser can't encode the requested type (e.g. WebP on older Safari) and fell back to PNG.
+        blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+    }
+
+    return {
+        blob,
+        mimeType: blob.type,
+        width: canvas.width,
+        height: canvas.height,
+        bytes: blob.size,
+        originalBytes: file.size
+    };
+};
+
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+// Hue range of leaves, from yellowing and brown spots through greens (degrees).
+const isPlantColored = (r, g, b) => {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    if (max < 40 || delta / max < 0.2) return false; // Too dark to tell, or grey/white
+    let hue;
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+    if (hue < 0) hue += 360;
+    return hue >= 25 && hue <= 170;
+};
+
+/**
+ * Draws a frame or photo onto a small canvas for quality measurement.
+ * @param {CanvasImageSource} source - A <video>, ImageBitmap or <img>.
+ * @param {number} width - The source's width in pixels.
+ * @param {number} height - The source's height in pixels.
+ * @returns {ImageData} RGBA pixels, at most PHOTO_QUALITY_CONFIG.analysisEdge on the longest edge.
+ */
+const readPhotoPixels = (source, width, height) => {
+    const scale = Math.min(1, PHOTO_QUALITY_CONFIG.analysisEdge / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(3, Math.round(width * scale));
+    canvas.height = Math.max(3, Math.round(height * scale));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Measures a photo's technical quality: sharpness as the variance of the Laplacian of its
+ * luminance, exposure from the luminance histogram, and leaf coverage as the share of
+ * plant-colored pixels inside `region`.
+ * @param {object} imageData - { data, width, height } RGBA pixels, see readPhotoPixels.
+ * @param {object} region - Normalized { x, y, width, height } to measure coverage in; the whole frame by default.
+ * @returns {object} { sharpness, meanLuminance, darkFraction, brightFraction, leafCoverage }.
+ */
+const measurePhotoQuality = ({ data, width, height }, region = FULL_FRAME) => {
+    const pixelCount = width * height;
+    const luminance = new Float32Array(pixelCount);
+    const histogram = new Uint32Array(256);
+    const left = Math.floor(region.x * width);
+    const right = Math.ceil((region.x + region.width) * width);
+    const top = Math.floor(region.y * height);
+    const bottom = Math.ceil((region.y + region.height) * height);
+    let regionPixels = 0;
+    let plantPixels = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        const b = data[i * 4 + 2];
+        const value = 0.299 * r + 0.587 * g + 0.114 * b;
+        luminance[i] = value;
+        histogram[Math.round(value)]++;
+
+        const x = i % width;
+        const y = (i - x) / width;
+        if (x >= left && x < right && y >= top && y < bottom) {
+            regionPixels++;
+            if (isPlantColored(r, g, b)) plantPixels++;
         }
-        return response.json();
-      };
+    }
 
-      const result = await retryWithBackoff(apiCall);
-      
-      const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!jsonText) throw new Error("API response was empty or malformed.");
+    // 4-neighbour Laplacian over the interior; blur flattens it, lowering the variance
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = 4 * luminance[i] - luminance[i - 1] - luminance[i + 1] - luminance[i - width] - luminance[i + width];
+            sum += laplacian;
+            sumOfSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const laplacianMean = count > 0 ? sum / count : 0;
 
-      // 5. Parse and validate JSON response
-      const parsedResult = JSON.parse(jsonText);
-      if (typeof parsedResult.health_percentage !== 'number') {
-        throw new Error("Invalid health percentage received.");
-      }
-      
-      setScanResult(parsedResult);
+    let luminanceTotal = 0;
+    let dark = 0;
+    let bright = 0;
+    histogram.forEach((pixels, level) => {
+        luminanceTotal += level * pixels;
+        if (level <= PHOTO_QUALITY_CONFIG.darkLevel) dark += pixels;
+        if (level >= PHOTO_QUALITY_CONFIG.brightLevel) bright += pixels;
+    });
+
+    return {
+        sharpness: count > 0 ? Math.round(sumOfSquares / count - laplacianMean * laplacianMean) : 0,
+        meanLuminance: Math.round(luminanceTotal / pixelCount),
+        darkFraction: dark / pixelCount,
+        brightFraction: bright / pixelCount,
+        leafCoverage: regionPixels > 0 ? plantPixels / regionPixels : 0
+    };
+};
+
+/**
+ * Measures the quality of an encoded photo, see measurePhotoQuality.
+ * @param {Blob} blob - The photo.
+ * @param {object} region - Normalized area to measure leaf coverage in.
+ * @returns {Promise<object>} The measurements.
+ */
+const measureBlobQuality = async (blob, region) => {
+    const image = await decodeImage(blob);
+    try {
+        return measurePhotoQuality(readPhotoPixels(image, image.width, image.height), region);
+    } finally {
+        if (typeof image.close === 'function') image.close();
+    }
+};
+
+/**
+ * Turns quality measurements into the reasons a photo would be rejected.
+ * Leaf coverage isn't required for views that show little foliage.
+ * @param {object} quality - From measurePhotoQuality.
+ * @param {string} view - PHOTO_VIEWS id of the photo.
+ * @returns {Array<string>} User-facing reasons in the active language; empty when the photo passes.
+ */
+const evaluatePhotoQuality = (quality, view) => {
+    const config = PHOTO_QUALITY_CONFIG;
+    const problems = [];
+    if (quality.sharpness < config.minSharpness) {
+        problems.push(t('quality.blurry'));
+    }
+    if (quality.meanLuminance < config.minMeanLuminance || quality.darkFraction > config.maxClippedFraction) {
+        problems.push(t('quality.dark'));
+    } else if (quality.meanLuminance > config.maxMeanLuminance || quality.brightFraction > config.maxClippedFraction) {
+        problems.push(t('quality.overexposed'));
+    }
+    if (!config.coverageExemptViews.includes(view) && quality.leafCoverage < config.minLeafCoverage) {
+        problems.push(t('quality.framing'));
+    }
+    return problems;
+};
+
+/**
+ * Builds the Firestore path of a thread's messages subcollection.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread document ID.
+ * @returns {string} The collection path.
+ */
+const getThreadMessagesPath = (userId, threadId) => `${getUserCollectionPath(userId, THREAD_COLLECTION_NAME)}/${threadId}/messages`;
+
+// A reply made only of tool calls has no text of its own; the model is told what it did instead.
+const withContextText = (msg) => (msg.text || !msg.toolCalls?.length
+    ? msg
+    : { ...msg, text: `(${msg.toolCalls.map(call => `${call.summary || call.label}: ${call.status}`).join('; ')})` });
+
+/**
+ * Picks the newest messages that fit the verbatim context budget.
+ * @param {Array<object>} messages - Chronological messages.
+ * @param {object} config - Shaped like CHAT_CONTEXT_CONFIG.
+ * @returns {Array<object>} The newest messages, still in chronological order.
+ */
+const selectRecentTurns = (messages, config = CHAT_CONTEXT_CONFIG) => {
+    const recent = [];
+    let chars = 0;
+    for (let i = messages.length - 1; i >= 0 && recent.length < config.maxRecentMessages; i--) {
+        chars += messages[i].text.length;
+        // Always keep the latest turn, even if it alone exceeds the budget.
+        if (chars > config.maxRecentChars && recent.length > 0) break;
+        recent.unshift(messages[i]);
+    }
+    return recent;
+};
+
+// Firestore rejects a commit of over 500 writes or 10 MiB. Scans carry inline photos, so a batch
+// of a few hundred of them can pass the size limit long before the write limit.
+const BATCH_LIMITS = {
+    maxOperations: 450,
+    maxBytes: 8 * 1024 * 1024
+};
+
+/**
+ * Estimates the request size of a write's data from its JSON encoding.
+ * @param {object} data - The document data; undefined for deletes.
+ * @returns {number} Approximate size in bytes.
+ */
+const estimateWriteBytes = (data) => {
+    try {
+        return new TextEncoder().encode(JSON.stringify(data ?? null)).length;
+    } catch (e) {
+        return 1024; // Data JSON can't encode, e.g. a sentinel with cycles; small in practice
+    }
+};
+
+/**
+ * Runs Firestore writes in batches below BATCH_LIMITS, by count and by estimated payload size.
+ * @param {object} db - Firestore instance.
+ * @param {Array<function>} operations - Each receives a WriteBatch and adds one write to it.
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (db, operations) => {
+    let batch = null;
+    let count = 0;
+    let bytes = 0;
+    for (const operation of operations) {
+        // Record the writes first, so they can be sized before choosing a batch
+        const writes = [];
+        operation({
+            set: (...args) => writes.push(['set', args]),
+            update: (...args) => writes.push(['update', args]),
+            delete: (...args) => writes.push(['delete', args])
+        });
+        const size = writes.reduce((sum, [, args]) => sum + estimateWriteBytes(args[1]), 0);
+        if (batch && (count + writes.length > BATCH_LIMITS.maxOperations || bytes + size > BATCH_LIMITS.maxBytes)) {
+            await batch.commit();
+            batch = null;
+        }
+        if (!batch) {
+            batch = writeBatch(db);
+            count = 0;
+            bytes = 0;
+        }
+        writes.forEach(([method, args]) => batch[method](...args));
+        count += writes.length;
+        bytes += size;
+    }
+    if (batch) await batch.commit();
+};
+
+/**
+ * Moves the pre-thread flat chat log into a single "Earlier conversation" thread.
+ * Uses fixed document IDs, so running it twice (e.g. from two tabs) is harmless.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<void>}
+ */
+const migrateLegacyChats = async (db, userId) => {
+    const legacySnapshot = await getDocs(collection(db, getUserCollectionPath(userId, LEGACY_CHAT_COLLECTION_NAME)));
+    if (legacySnapshot.empty) return;
+
+    const legacyDocs = legacySnapshot.docs
+        .filter(legacyDoc => legacyDoc.data().text)
+        .sort((a, b) => (toDate(a.data().timestamp)?.getTime() || 0) - (toDate(b.data().timestamp)?.getTime() || 0));
+    const threadRef = doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), 'legacy-chats');
+    const first = legacyDocs[0]?.data();
+    const last = legacyDocs[legacyDocs.length - 1]?.data();
+
+    const operations = [];
+    if (legacyDocs.length > 0) {
+        operations.push(batch => batch.set(threadRef, {
+            title: "Earlier conversation",
+            titleSource: 'auto',
+            plantId: null,
+            scanId: null,
+            scanContext: null,
+            summary: '',
+            summaryThrough: null,
+            lastMessagePreview: last.text.slice(0, 120),
+            createdAt: first.timestamp || serverTimestamp(),
+            updatedAt: last.timestamp || serverTimestamp()
+        }));
+        legacyDocs.forEach(legacyDoc => {
+            operations.push(batch => batch.set(doc(db, getThreadMessagesPath(userId, threadRef.id), legacyDoc.id), legacyDoc.data()));
+        });
+    }
+    legacySnapshot.docs.forEach(legacyDoc => operations.push(batch => batch.delete(legacyDoc.ref)));
+    await commitInBatches(db, operations);
+};
+
+/**
+ * Deletes a thread and all of its messages.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread document ID.
+ * @returns {Promise<void>}
+ */
+const deleteThread = async (db, userId, threadId) => {
+    const messagesSnapshot = await getDocs(collection(db, getThreadMessagesPath(userId, threadId)));
+    await commitInBatches(db, [
+        ...messagesSnapshot.docs.map(messageDoc => batch => batch.delete(messageDoc.ref)),
+        batch => batch.delete(doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), threadId))
+    ]);
+};
+
+/**
+ * Renders a small JPEG thumbnail of an image file.
+ * @param {Blob} file - The image file object.
+ * @param {number} maxEdge - Longest edge of the thumbnail in pixels.
+ * @returns {Promise<string>} JPEG data URL.
+ */
+const createThumbnail = (file, maxEdge = THUMBNAIL_MAX_EDGE) => {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, maxEdge / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        img.onerror = (error) => {
+            URL.revokeObjectURL(url);
+            reject(error);
+        };
+        img.src = url;
+    });
+};
+
+/**
+ * Converts a Firestore timestamp (or anything date-like) to a Date.
+ * Pending server timestamps are null until the write is acknowledged.
+ * @param {any} value - Firestore Timestamp, Date, number or ISO string.
+ * @returns {Date|null} The date, or null if unavailable.
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formats a date as a local calendar day. Care tasks are due on days rather than instants,
+ * and the string form sorts and compares correctly in both data stores.
+ * @param {Date} date - The date; defaults to now.
+ * @returns {string} e.g. "2024-05-31".
+ */
+const toDayString = (date = new Date()) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const parseDayString = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date);
+};
+
+/**
+ * Moves a calendar day forward. Month steps keep the day of the month where possible,
+ * so Jan 31 + 1 month is the last day of February rather than early March.
+ * @param {string} day - "YYYY-MM-DD".
+ * @param {number} every - How many units to add.
+ * @param {string} unit - One of RECURRENCE_UNITS.
+ * @returns {string} The new day.
+ */
+const addToDay = (day, every, unit) => {
+    const date = parseDayString(day);
+    if (unit === 'month') {
+        const target = new Date(date.getFullYear(), date.getMonth() + every, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(date.getDate(), lastDay));
+        return toDayString(target);
+    }
+    date.setDate(date.getDate() + every * (unit === 'week' ? 7 : 1));
+    return toDayString(date);
+};
+
+const daysBetween = (fromDay, toDay) => Math.round((parseDayString(toDay) - parseDayString(fromDay)) / 86400000);
+
+const formatRecurrence = (recurrence) => {
+    if (!recurrence) return "Once";
+    return recurrence.every === 1 ? `Every ${recurrence.unit}` : `Every ${recurrence.every} ${recurrence.unit}s`;
+};
+
+/**
+ * Describes when a task is due, relative to today.
+ * @param {string} day - Due day, "YYYY-MM-DD".
+ * @param {string} today - Today, "YYYY-MM-DD".
+ * @returns {string} e.g. "Today", "Tomorrow", "2 days overdue" or "Fri, Jun 7".
+ */
+const formatDueDay = (day, today = toDayString()) => {
+    const offset = daysBetween(today, day);
+    if (offset === 0) return "Today";
+    if (offset === 1) return "Tomorrow";
+    if (offset < 0) return `${-offset} day${offset === -1 ? '' : 's'} overdue`;
+    return formatDate(parseDayString(day), { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Returns the health band a percentage falls into.
+ * @param {number} health - Health percentage (0-100).
+ * @returns {object} One of HEALTH_BANDS.
+ */
+const getHealthBand = (health) => HEALTH_BANDS.find(band => health >= band.min) || HEALTH_BANDS[HEALTH_BANDS.length - 1];
+
+const getHealthColor = (health) => {
+    if (health >= 80) return 'text-green-600 bg-green-100 border-green-300';
+    if (health >= 60) return 'text-yellow-600 bg-yellow-100 border-yellow-300';
+    return 'text-red-600 bg-red-100 border-red-300';
+};
+
+const getHealthAlertThreshold = (plant) => (Number.isInteger(plant?.healthAlertThreshold)
+    ? plant.healthAlertThreshold
+    : HEALTH_ALERT_CONFIG.defaultDropThreshold);
+
+const isHealthyDiagnosis = (disease) => !disease || /healthy/i.test(disease);
+
+// Translations in parentheses (see buildLanguageInstruction) don't make two diagnoses different
+const isSameDiagnosis = (a, b) => {
+    const [first, second] = [a, b].map(normalizeDiseaseName);
+    if (first || second) return first === second;
+    return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+};
+
+/**
+ * Orders scans oldest first; scans still waiting for a server timestamp count as newest.
+ * @param {Array<object>} scans - Scan documents.
+ * @returns {Array<object>} A sorted copy.
+ */
+const sortScansChronologically = (scans) => [...scans].sort(
+    (a, b) => (toDate(a.timestamp)?.getTime() ?? Infinity) - (toDate(b.timestamp)?.getTime() ?? Infinity)
+);
+
+/**
+ * Compares a plant's newest scan with its history: an alert is due when health dropped by more
+ * than `threshold` points since the previous scan, or when a disease diagnosed earlier is back
+ * after a scan that didn't show it.
+ * @param {Array<object>} scans - The plant's scans, in any order.
+ * @param {number} threshold - Drop in percentage points that raises an alert.
+ * @returns {object|null} { scanId, drop, previousHealth, latestHealth, recurredDisease }, or null when
+ *   nothing is wrong. It is worded by describeHealthAlert() when shown, in the language of the moment.
+ */
+const detectHealthAlert = (scans, threshold) => {
+    const ordered = sortScansChronologically(scans);
+    if (ordered.length < 2) return null;
+    const latest = ordered[ordered.length - 1];
+    const previous = ordered[ordered.length - 2];
+
+    const drop = previous.health_percentage - latest.health_percentage;
+    const declined = drop > threshold;
+    const recurred = !isHealthyDiagnosis(latest.predicted_disease) &&
+        !isSameDiagnosis(previous.predicted_disease, latest.predicted_disease) &&
+        ordered.slice(0, -2).some(scan => isSameDiagnosis(scan.predicted_disease, latest.predicted_disease));
+    if (!declined && !recurred) return null;
+
+    return {
+        scanId: latest.id,
+        drop: declined ? drop : null,
+        previousHealth: previous.health_percentage,
+        latestHealth: latest.health_percentage,
+        recurredDisease: recurred ? latest.predicted_disease : null
+    };
+};
+
+// Alerts saved before they were stored as fields only have their English `message`.
+const describeHealthAlert = (alert) => {
+    if (alert.previousHealth === undefined) return alert.message;
+    return [
+        alert.drop !== null && t('alerts.healthDrop', { drop: alert.drop, previous: alert.previousHealth, latest: alert.latestHealth }),
+        alert.recurredDisease && t('alerts.recurred', { disease: formatDiagnosis(alert.recurredDisease) })
+    ].filter(Boolean).join(' ');
+};
+
+// The same alert for the bot's tool results, which stay in English
+const toToolHealthAlert = ({ drop, previousHealth, latestHealth, recurredDisease, message }) => (previousHealth === undefined
+    ? message
+    : { drop, previous_health: previousHealth, latest_health: latestHealth, recurred_disease: recurredDisease });
+
+/**
+ * Re-checks a plant's scans and stores the result as the plant's `healthAlert`, so the app can
+ * show it without loading every plant's scans. A dismissed alert stays dismissed for the same scan.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} plantId - The plant to check.
+ * @returns {Promise<void>}
+ */
+const refreshPlantHealthAlert = async (db, userId, plantId) => {
+    const plantRef = doc(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME), plantId);
+    const [plantSnapshot, scanSnapshot] = await Promise.all([
+        getDoc(plantRef),
+        getDocs(query(collection(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME)), where('plantId', '==', plantId)))
+    ]);
+    if (!plantSnapshot.exists()) return;
+
+    const plant = plantSnapshot.data();
+    const alert = detectHealthAlert(scanSnapshot.docs.map(d => ({ id: d.id, ...d.data() })), getHealthAlertThreshold(plant));
+    const dismissed = Boolean(alert && plant.healthAlert?.scanId === alert.scanId && plant.healthAlert.dismissed);
+    await updateDoc(plantRef, { healthAlert: alert ? { ...alert, dismissed } : null });
+};
+
+/**
+ * Persists a completed scan to the user's scan history and re-checks its plant for a health alert.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} scan - Parsed analysis result (with growing_context) plus photos ({ view, mimeType, thumbnail }) and plantId.
+ * @returns {Promise<object>} The new document reference.
+ */
+const saveScanResult = async (db, userId, scan) => {
+    const {
+        health_percentage, predicted_disease, home_remedies, confidence, severity, affected_part,
+        alternative_diagnoses, affected_regions, photo_findings, growing_context = null, photos, plantId = null
+    } = scan;
+    const scanRef = await addDoc(collection(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME)), {
+        health_percentage,
+        predicted_disease,
+        home_remedies,
+        confidence,
+        severity,
+        affected_part,
+        alternative_diagnoses,
+        affected_regions,
+        photo_findings,
+        growing_context, // From resolveGrowingContext(), or null
+        photos, // [{ view, mimeType, thumbnail }]
+        // The first photo doubles as the list thumbnail.
+        thumbnail: photos[0]?.thumbnail || null,
+        mimeType: photos[0]?.mimeType || null,
+        plantId,
+        timestamp: serverTimestamp()
+    });
+    if (plantId) {
+        // The scan is saved either way; a failed check only leaves the previous alert in place
+        refreshPlantHealthAlert(db, userId, plantId).catch(error => console.error("Error checking plant health trend:", error));
+    }
+    return scanRef;
+};
+
+/**
+ * Describes a plant profile in one line for prompts and labels.
+ * @param {object} plant - A plant profile document.
+ * @returns {string} e.g. "Basil (Ocimum basilicum), pot on the kitchen window".
+ */
+const describePlant = (plant) => {
+    const container = PLANT_CONTAINERS.find(c => c.id === plant.container);
+    const placement = [container?.label.toLowerCase(), plant.location && `at ${plant.location}`].filter(Boolean).join(' ');
+    return `${plant.name}${plant.species ? ` (${plant.species})` : ''}${placement ? `, ${placement}` : ''}`;
+};
+
+// --- Localization ---
+// UI strings are looked up by key with t(); a key missing from a catalog falls back to English.
+// Catalogs cover the app shell and everything shown in the scanner and the bot, growing context included;
+// `{name}` placeholders are filled from `params`.
+// The active language is module state, detected at startup and switched by useLocale() before the
+// re-render it triggers, so every component, prompt builder and background worker reads the same one
+// without threading it through props.
+
+const TRANSLATIONS = {
+    en: {
+        'app.title': "Home Garden Health",
+        'app.loading': "Loading Garden Companion...",
+        'app.language': "Language",
+        'app.mockProvider': "Using the offline mock AI provider — results are simulated.",
+        'app.useConfiguredProvider': "Use the configured provider",
+        'app.localMode': "💾 Local mode — your plants, scans and chats are stored only in this browser.",
+        'app.switchToFirebase': "Switch to Firebase",
+        'app.localStoreError': "This browser's storage couldn't be opened, so local mode can't start. Private browsing can block it; try a normal window.",
+        'app.signInError': "We couldn't sign you in. Check your connection and reload the page.",
+        'app.emailLinkError': "That sign-in link is invalid or has expired. Request a new one from the account menu.",
+        'tabs.scanner': "Plant Scanner",
+        'tabs.bot': "AI Gardener Bot",
+        'tabs.history': "Scan History",
+        'tabs.garden': "My Garden",
+        'tabs.today': "Today",
+        'tabs.guide': "Guide",
+        'common.cancel': "Cancel",
+        'common.confirm': "Confirm",
+        'diagnosis.healthy': "Healthy",
+        'scanner.title': "Plant Health Scanner",
+        'scanner.intro': "Upload clear, focused photos of your plant for AI-powered disease and health analysis. Add up to {max} views of the same plant (leaf top and underside, stem, roots/soil, whole plant) for a more reliable diagnosis.",
+        'scanner.useCamera': "📷 Use Live Camera",
+        'scanner.addPhoto': "Add Another Photo",
+        'scanner.selectPhoto': "Select or Capture Photo",
+        'scanner.rejectedPhotos': "Scanning unlocks once every photo passes the quality check. Retake or remove photo {numbers}.",
+        'scanner.analyzingPhotos': "Analyzing {count} Photos...",
+        'scanner.analyzingImage': "Analyzing Image...",
+        'scanner.scan': "Scan for Diseases",
+        'scanner.cancel': "Cancel analysis",
+        'scanner.queuedTitle': "Scan queued",
+        'scanner.queuedBody': "You're offline, so this scan will run automatically when you're back online. Its result will appear in your scan history.",
+        'scanner.errorTitle': "Error:",
+        'scanner.offlineSignedOut': "You're offline and not signed in yet, so this scan can't be queued. Please try again once you're connected.",
+        'scanner.offlineQueueFailed': "You're offline and this scan could not be saved for later. Please try again once you're connected.",
+        'scanner.malformed': "The analysis came back incomplete. Please try again, or try a clearer, closer picture.",
+        'scanner.failed': "Analysis failed. Please try a clearer picture or ask the bot for help.",
+        'scanner.resultsTitle': "Scan Results",
+        'scanner.health': "{percent}% Health",
+        'scanner.predictedStatus': "Predicted Status:",
+        'scanner.remedies': "DIY Home Remedies",
+        'scanner.careTips': "General Care Tips",
+        'scanner.discuss': "💬 Discuss this scan with the AI Gardener",
+        'scanner.saving': "Saving to your scan history...",
+        'scanner.saved': "Saved to your scan history.",
+        'scanner.saveFailed': "Could not save this scan to your history.",
+        'bot.backToChat': "Back to chat",
+        'bot.conversations': "☰ Conversations ({count})",
+        'bot.olderMessages': "Scroll up for older messages...",
+        'bot.empty': "Start a conversation! Ask me anything about plant care, watering schedules, or what to do before a vacation.",
+        'bot.discussingScan': "📸 Discussing a plant scan",
+        'bot.interrupted': "⏹ Reply was interrupted before it finished.",
+        'bot.regenerate': "↻ Regenerate",
+        'bot.typing': "Bot is typing...",
+        'bot.waitingForAnswer': "Waiting for your answer...",
+        'bot.replyQueued': "⏳ Reply queued until you're back online",
+        'bot.messageQueued': "⏳ Queued, sends when you're back online",
+        'bot.sending': "Sending...",
+        'bot.queueFailed': "Failed: {error}",
+        'bot.groundedIn': "Answers are grounded in your scan:",
+        'bot.scanHealth': "({percent}% health)",
+        'bot.suggestSchedule': "📅 Suggest a care schedule",
+        'bot.tryAgain': "Try again",
+        'bot.placeholder': "Ask your plant question...",
+        'bot.placeholderOffline': "Offline: messages are sent later...",
+        'bot.stop': "Stop",
+        'bot.send': "Send",
+        'bot.offlineQueueFailed': "You're offline and this message could not be saved for later.",
+        'bot.sendFailed': "Your message could not be sent. Please try again.",
+        'bot.cutOff': "The reply was cut off.",
+        'bot.replyFailed': "Oops! I ran into a technical issue. The gardening bot is on a coffee break. Please try your question again.",
+        'bot.scheduleFailed': "I couldn't put a care schedule together. Please try again.",
+        'bot.scheduleAddFailed': "The schedule could not be added. Please try again.",
+        'context.used': "Growing context used",
+        'context.none': "No growing conditions were used. Add them under My Garden for advice that fits where and how you grow.",
+        'context.region': "Region: {value}",
+        'context.weather': "Weather: {value}",
+        'context.weatherSample': "Sample weather: {value}",
+        'context.weatherFrom': "Weather ({source}): {value}",
+        'context.setting.indoor': "Indoors",
+        'context.setting.outdoor': "Outdoors",
+        'context.setting.greenhouse': "Greenhouse",
+        'context.light.low': "Low light",
+        'context.light.medium': "Medium, indirect light",
+        'context.light.bright': "Bright, indirect light",
+        'context.light.full_sun': "Full sun",
+        'context.watering.daily': "Watered daily",
+        'context.watering.every_few_days': "Watered every few days",
+        'context.watering.weekly': "Watered weekly",
+        'context.watering.when_dry': "Watered when dry",
+        'common.save': "Save",
+        'common.delete': "Delete",
+        'common.retry': "Retry",
+        'common.remove': "Remove",
+        'common.working': "Working...",
+        'common.saving': "Saving...",
+        'plantPicker.label': "🪴 Plant:",
+        'plantPicker.none': "No specific plant",
+        'diagnosis.lowConfidence': "⚠️ Low confidence ({percent}%)",
+        'diagnosis.lowConfidenceHelp': "This diagnosis is uncertain. Check the alternatives below, try a sharper photo of the affected area, or confirm with a local nursery before treating.",
+        'diagnosis.confidence': "Confidence: {percent}%",
+        'diagnosis.severity': "Severity: {value}",
+        'diagnosis.affected': "Affected: {value}",
+        'diagnosis.alternatives': "Other possibilities",
+        'severity.none': "none",
+        'severity.mild': "mild",
+        'severity.moderate': "moderate",
+        'severity.severe': "severe",
+        'plantPart.leaf': "leaf",
+        'plantPart.stem': "stem",
+        'plantPart.root': "root",
+        'plantPart.flower': "flower",
+        'plantPart.fruit': "fruit",
+        'plantPart.whole plant': "whole plant",
+        'remedy.unsafe': "⛔ Unsafe: ",
+        'remedy.conflict': "⚠️ Works against this problem: ",
+        'remedy.caution': "⚠️ Use with care: ",
+        'guide.curated': "📚 Curated guide: {name}",
+        'guide.version': "Curated guide v{version} · reviewed {date}",
+        'guide.symptoms': "Symptoms",
+        'guide.hosts': "Common hosts:",
+        'guide.treatments': "Vetted treatments",
+        'guide.pets': "Pets:",
+        'guide.children': "Children:",
+        'photoViews.leaf_top': "Leaf top",
+        'photoViews.leaf_underside': "Leaf underside",
+        'photoViews.stem': "Stem",
+        'photoViews.roots_soil': "Roots / soil",
+        'photoViews.whole_plant': "Whole plant",
+        'photo.generic': "Photo",
+        'photo.label': "Photo {number}",
+        'photo.alt': "Plant photo {number}",
+        'photo.preparing': "Preparing photo...",
+        'photo.cropAlt': "Draw a box around the affected area",
+        'photo.dragToCrop': "Drag a box around the affected area.",
+        'photo.passed': "✓ Passed the quality check",
+        'photo.fixHint': "Retake this photo, crop to the affected area or remove it.",
+        'photo.originalSize': "(was {size}, location data removed)",
+        'photo.crop': "Crop to area",
+        'photo.cancelCrop': "Cancel crop",
+        'photo.resetCrop': "Reset crop",
+        'photo.heic': "This browser can't open HEIC photos. Set your camera to \"Most Compatible\" (JPEG) or pick a JPEG/PNG image.",
+        'photo.unreadable': "This file could not be read as an image.",
+        'quality.blurry': "Too blurry: hold steady and tap the screen to focus on the leaves.",
+        'quality.dark': "Too dark: move to brighter light or turn on a lamp.",
+        'quality.overexposed': "Overexposed: avoid direct sun and glare on the leaves.",
+        'quality.framing': "Too far away or off-center: fill the frame with the plant.",
+        'camera.blocked': "Camera access was blocked. Allow it in your browser's site settings, or pick a photo instead.",
+        'camera.notFound': "No camera was found on this device. Pick a photo instead.",
+        'camera.inUse': "The camera is in use by another app. Close it and try again.",
+        'camera.failed': "The camera couldn't be started. Pick a photo instead.",
+        'camera.needsHttps': "This browser can't open the camera here (it needs HTTPS). Pick a photo instead.",
+        'camera.captureFailed': "The photo couldn't be taken. Please try again.",
+        'camera.close': "Close camera",
+        'camera.starting': "Starting camera...",
+        'camera.frameHint': "Frame the affected leaves inside the guide.",
+        'camera.ready': "✓ Sharp, well lit and well framed.",
+        'camera.capturing': "Capturing...",
+        'camera.capture': "📸 Capture",
+        'threads.search': "Search conversations...",
+        'threads.new': "+ New",
+        'threads.empty': "No conversations yet.",
+        'threads.noMatch': "No conversations match your search.",
+        'threads.rename': "Rename",
+        'threads.confirmDelete': "Delete this conversation?",
+        'schedule.title': "📅 Suggested care schedule",
+        'schedule.fromToday': "from today",
+        'schedule.inOneDay': "in 1 day",
+        'schedule.inDays': "in {count} days",
+        'schedule.added': "✓ Added to your schedule",
+        'schedule.adding': "Adding...",
+        'schedule.add': "Add to my schedule",
+        'recurrence.once': "Once",
+        'recurrence.day': "Every day",
+        'recurrence.week': "Every week",
+        'recurrence.month': "Every month",
+        'recurrence.days': "Every {count} days",
+        'recurrence.weeks': "Every {count} weeks",
+        'recurrence.months': "Every {count} months",
+        'tools.cancelled': " (cancelled)",
+        'account.guest': "Guest",
+        'account.mine': "My account",
+        'account.recentLogin': "For your security, sign out and sign in again, then retry.",
+        'account.recentLoginGuest': "For your security, guest data can only be deleted shortly after the session starts. Continue with Google or an email link first, then retry.",
+        'account.cancelled': "Sign-in was cancelled.",
+        'account.failed': "Something went wrong. Please try again.",
+        'account.linkSent': "We sent a sign-in link to {email}. Open it on this device to keep your garden.",
+        'account.guestIntro': "You're using a guest session. Your garden is only saved in this browser.",
+        'account.google': "Continue with Google",
+        'account.emailLink': "Email me a sign-in link",
+        'account.signedIn': "Signed in as {name}. Your garden syncs across your devices.",
+        'account.signOut': "Sign out",
+        'account.deleteWarning': "This permanently deletes your plants, scans and conversations.",
+        'account.deleteWarningAccount': "This permanently deletes your plants, scans and conversations and your account.",
+        'account.deleteEverything': "Delete everything",
+        'account.delete': "Delete my account and data",
+        'account.confirmEmail': "Confirm your email to finish signing in",
+        'account.signIn': "Sign in",
+        'alerts.viewTrend': "View trend",
+        'alerts.dismiss': "Dismiss",
+        'alerts.healthDrop': "Health fell {drop} points ({previous}% → {latest}%) since the last scan.",
+        'alerts.recurred': "{disease} is back after an earlier scan without it.",
+        'queue.pending': "Waiting for connection",
+        'queue.processing': "Sending...",
+        'queue.failed': "Failed",
+        'queue.sendingOne': "Sending 1 queued item...",
+        'queue.sending': "Sending {count} queued items...",
+        'queue.offline': "You're offline. New scans and messages are queued and sent when you're back online.",
+        'queue.scanOne': "Scan of 1 photo",
+        'queue.scan': "Scan of {count} photos",
+        'queue.forPlant': " for {name}",
+        'queue.reply': "Reply to \"{text}\"",
+        'queue.queuedAt': "queued {time}"
+    },
+    hi: {
+        'app.title': "होम गार्डन हेल्थ",
+        'app.loading': "गार्डन कम्पैनियन लोड हो रहा है...",
+        'app.language': "भाषा",
+        'app.mockProvider': "ऑफ़लाइन मॉक AI प्रोवाइडर चल रहा है — नतीजे नकली हैं।",
+        'app.useConfiguredProvider': "सेट किया गया प्रोवाइडर इस्तेमाल करें",
+        'app.localMode': "💾 लोकल मोड — आपके पौधे, स्कैन और चैट सिर्फ़ इसी ब्राउज़र में सहेजे जाते हैं।",
+        'app.switchToFirebase': "Firebase पर जाएँ",
+        'app.localStoreError': "इस ब्राउज़र का स्टोरेज नहीं खुल सका, इसलिए लोकल मोड शुरू नहीं हो सकता। प्राइवेट ब्राउज़िंग इसे रोक सकती है; सामान्य विंडो में खोलकर देखें।",
+        'app.signInError': "हम आपको साइन इन नहीं कर सके। अपना कनेक्शन जाँचें और पेज फिर से लोड करें।",
+        'app.emailLinkError': "यह साइन-इन लिंक अमान्य है या उसकी अवधि खत्म हो चुकी है। अकाउंट मेनू से नया लिंक मँगाएँ।",
+        'tabs.scanner': "पौधा स्कैनर",
+        'tabs.bot': "AI माली बॉट",
+        'tabs.history': "स्कैन इतिहास",
+        'tabs.garden': "मेरा बगीचा",
+        'tabs.today': "आज",
+        'tabs.guide': "गाइड",
+        'common.cancel': "रद्द करें",
+        'common.confirm': "पुष्टि करें",
+        'diagnosis.healthy': "स्वस्थ",
+        'scanner.title': "पौधा स्वास्थ्य स्कैनर",
+        'scanner.intro': "AI से रोग और स्वास्थ्य की जाँच के लिए अपने पौधे की साफ़, फ़ोकस वाली तस्वीरें अपलोड करें। ज़्यादा भरोसेमंद निदान के लिए उसी पौधे के {max} तक हिस्सों की तस्वीरें जोड़ें (पत्ती का ऊपरी और निचला भाग, तना, जड़ें/मिट्टी, पूरा पौधा)।",
+        'scanner.useCamera': "📷 लाइव कैमरा इस्तेमाल करें",
+        'scanner.addPhoto': "एक और फ़ोटो जोड़ें",
+        'scanner.selectPhoto': "फ़ोटो चुनें या खींचें",
+        'scanner.rejectedPhotos': "हर फ़ोटो के गुणवत्ता जाँच में पास होने पर ही स्कैन शुरू होगा। फ़ोटो {numbers} फिर से खींचें या हटाएँ।",
+        'scanner.analyzingPhotos': "{count} फ़ोटो की जाँच हो रही है...",
+        'scanner.analyzingImage': "तस्वीर की जाँच हो रही है...",
+        'scanner.scan': "रोगों के लिए स्कैन करें",
+        'scanner.cancel': "जाँच रद्द करें",
+        'scanner.queuedTitle': "स्कैन कतार में है",
+        'scanner.queuedBody': "आप ऑफ़लाइन हैं, इसलिए यह स्कैन ऑनलाइन आते ही अपने आप चलेगा। इसका नतीजा आपके स्कैन इतिहास में दिखेगा।",
+        'scanner.errorTitle': "त्रुटि:",
+        'scanner.offlineSignedOut': "आप ऑफ़लाइन हैं और अभी साइन इन नहीं हैं, इसलिए यह स्कैन कतार में नहीं रखा जा सकता। कनेक्ट होने पर फिर से कोशिश करें।",
+        'scanner.offlineQueueFailed': "आप ऑफ़लाइन हैं और यह स्कैन बाद के लिए सहेजा नहीं जा सका। कनेक्ट होने पर फिर से कोशिश करें।",
+        'scanner.malformed': "जाँच का नतीजा अधूरा आया। फिर से कोशिश करें, या ज़्यादा साफ़ और पास से ली गई तस्वीर आज़माएँ।",
+        'scanner.failed': "जाँच नहीं हो सकी। ज़्यादा साफ़ तस्वीर आज़माएँ या बॉट से मदद लें।",
+        'scanner.resultsTitle': "स्कैन के नतीजे",
+        'scanner.health': "{percent}% स्वास्थ्य",
+        'scanner.predictedStatus': "अनुमानित स्थिति:",
+        'scanner.remedies': "घरेलू उपचार",
+        'scanner.careTips': "देखभाल के सामान्य सुझाव",
+        'scanner.discuss': "💬 इस स्कैन पर AI माली से बात करें",
+        'scanner.saving': "आपके स्कैन इतिहास में सहेजा जा रहा है...",
+        'scanner.saved': "आपके स्कैन इतिहास में सहेज लिया गया।",
+        'scanner.saveFailed': "यह स्कैन आपके इतिहास में सहेजा नहीं जा सका।",
+        'bot.backToChat': "चैट पर वापस",
+        'bot.conversations': "☰ बातचीत ({count})",
+        'bot.olderMessages': "पुराने संदेशों के लिए ऊपर स्क्रॉल करें...",
+        'bot.empty': "बातचीत शुरू करें! पौधों की देखभाल, पानी देने के समय या छुट्टी पर जाने से पहले क्या करें, कुछ भी पूछें।",
+        'bot.discussingScan': "📸 एक पौधे के स्कैन पर बातचीत",
+        'bot.interrupted': "⏹ जवाब पूरा होने से पहले रुक गया।",
+        'bot.regenerate': "↻ फिर से जवाब लें",
+        'bot.typing': "बॉट लिख रहा है...",
+        'bot.waitingForAnswer': "आपके जवाब का इंतज़ार है...",
+        'bot.replyQueued': "⏳ ऑनलाइन आने तक जवाब कतार में है",
+        'bot.messageQueued': "⏳ कतार में है, ऑनलाइन आने पर भेजा जाएगा",
+        'bot.sending': "भेजा जा रहा है...",
+        'bot.queueFailed': "विफल: {error}",
+        'bot.groundedIn': "जवाब आपके स्कैन पर आधारित हैं:",
+        'bot.scanHealth': "({percent}% स्वास्थ्य)",
+        'bot.suggestSchedule': "📅 देखभाल का शेड्यूल सुझाएँ",
+        'bot.tryAgain': "फिर से कोशिश करें",
+        'bot.placeholder': "अपने पौधे के बारे में पूछें...",
+        'bot.placeholderOffline': "ऑफ़लाइन: संदेश बाद में भेजे जाएँगे...",
+        'bot.stop': "रोकें",
+        'bot.send': "भेजें",
+        'bot.offlineQueueFailed': "आप ऑफ़लाइन हैं और यह संदेश बाद के लिए सहेजा नहीं जा सका।",
+        'bot.sendFailed': "आपका संदेश भेजा नहीं जा सका। फिर से कोशिश करें।",
+        'bot.cutOff': "जवाब बीच में कट गया।",
+        'bot.replyFailed': "ओह! कुछ तकनीकी दिक्कत आ गई। माली बॉट चाय पीने गया है। कृपया अपना सवाल फिर से पूछें।",
+        'bot.scheduleFailed': "मैं देखभाल का शेड्यूल नहीं बना सका। फिर से कोशिश करें।",
+        'bot.scheduleAddFailed': "शेड्यूल जोड़ा नहीं जा सका। फिर से कोशिश करें।",
+        'context.used': "इस्तेमाल की गई उगाने की स्थितियाँ",
+        'context.none': "उगाने की कोई स्थिति इस्तेमाल नहीं हुई। अपने बगीचे के हिसाब से सलाह पाने के लिए उन्हें My Garden में जोड़ें।",
+        'context.region': "क्षेत्र: {value}",
+        'context.weather': "मौसम: {value}",
+        'context.weatherSample': "नमूना मौसम: {value}",
+        'context.weatherFrom': "मौसम ({source}): {value}",
+        'context.setting.indoor': "घर के अंदर",
+        'context.setting.outdoor': "बाहर",
+        'context.setting.greenhouse': "ग्रीनहाउस",
+        'context.light.low': "कम रोशनी",
+        'context.light.medium': "मध्यम, अप्रत्यक्ष रोशनी",
+        'context.light.bright': "तेज़, अप्रत्यक्ष रोशनी",
+        'context.light.full_sun': "पूरी धूप",
+        'context.watering.daily': "रोज़ पानी",
+        'context.watering.every_few_days': "हर कुछ दिनों में पानी",
+        'context.watering.weekly': "हफ़्ते में एक बार पानी",
+        'context.watering.when_dry': "मिट्टी सूखने पर पानी",
+        'common.save': "सहेजें",
+        'common.delete': "मिटाएँ",
+        'common.retry': "फिर से कोशिश करें",
+        'common.remove': "हटाएँ",
+        'common.working': "काम चल रहा है...",
+        'common.saving': "सहेजा जा रहा है...",
+        'plantPicker.label': "🪴 पौधा:",
+        'plantPicker.none': "कोई खास पौधा नहीं",
+        'diagnosis.lowConfidence': "⚠️ कम भरोसा ({percent}%)",
+        'diagnosis.lowConfidenceHelp': "यह निदान पक्का नहीं है। नीचे दिए विकल्प देखें, प्रभावित हिस्से की साफ़ फ़ोटो लें, या इलाज से पहले किसी स्थानीय नर्सरी से पुष्टि करें।",
+        'diagnosis.confidence': "भरोसा: {percent}%",
+        'diagnosis.severity': "गंभीरता: {value}",
+        'diagnosis.affected': "प्रभावित: {value}",
+        'diagnosis.alternatives': "दूसरी संभावनाएँ",
+        'severity.none': "कोई नहीं",
+        'severity.mild': "हल्की",
+        'severity.moderate': "मध्यम",
+        'severity.severe': "गंभीर",
+        'plantPart.leaf': "पत्ती",
+        'plantPart.stem': "तना",
+        'plantPart.root': "जड़",
+        'plantPart.flower': "फूल",
+        'plantPart.fruit': "फल",
+        'plantPart.whole plant': "पूरा पौधा",
+        'remedy.unsafe': "⛔ असुरक्षित: ",
+        'remedy.conflict': "⚠️ इस समस्या में उल्टा असर करता है: ",
+        'remedy.caution': "⚠️ सावधानी से इस्तेमाल करें: ",
+        'guide.curated': "📚 जाँची-परखी गाइड: {name}",
+        'guide.version': "जाँची-परखी गाइड v{version} · समीक्षा {date}",
+        'guide.symptoms': "लक्षण",
+        'guide.hosts': "आम मेज़बान पौधे:",
+        'guide.treatments': "जाँचे हुए इलाज",
+        'guide.pets': "पालतू जानवर:",
+        'guide.children': "बच्चे:",
+        'photoViews.leaf_top': "पत्ती का ऊपरी भाग",
+        'photoViews.leaf_underside': "पत्ती का निचला भाग",
+        'photoViews.stem': "तना",
+        'photoViews.roots_soil': "जड़ें / मिट्टी",
+        'photoViews.whole_plant': "पूरा पौधा",
+        'photo.generic': "फ़ोटो",
+        'photo.label': "फ़ोटो {number}",
+        'photo.alt': "पौधे की फ़ोटो {number}",
+        'photo.preparing': "फ़ोटो तैयार हो रही है...",
+        'photo.cropAlt': "प्रभावित हिस्से के चारों ओर बॉक्स बनाएँ",
+        'photo.dragToCrop': "प्रभावित हिस्से के चारों ओर बॉक्स खींचें।",
+        'photo.passed': "✓ गुणवत्ता जाँच में पास",
+        'photo.fixHint': "यह फ़ोटो दोबारा लें, प्रभावित हिस्से तक काटें या इसे हटा दें।",
+        'photo.originalSize': "(पहले {size}, लोकेशन डेटा हटाया गया)",
+        'photo.crop': "हिस्सा काटें",
+        'photo.cancelCrop': "काटना रद्द करें",
+        'photo.resetCrop': "काटना हटाएँ",
+        'photo.heic': "यह ब्राउज़र HEIC फ़ोटो नहीं खोल सकता। कैमरा को \"Most Compatible\" (JPEG) पर सेट करें या JPEG/PNG फ़ोटो चुनें।",
+        'photo.unreadable': "इस फ़ाइल को फ़ोटो के रूप में पढ़ा नहीं जा सका।",
+        'quality.blurry': "बहुत धुँधली: कैमरा स्थिर रखें और पत्तियों पर फ़ोकस के लिए स्क्रीन टैप करें।",
+        'quality.dark': "बहुत अँधेरी: ज़्यादा रोशनी में जाएँ या लैंप जलाएँ।",
+        'quality.overexposed': "बहुत ज़्यादा रोशनी: पत्तियों पर सीधी धूप और चमक से बचें।",
+        'quality.framing': "बहुत दूर या किनारे पर: पौधे से पूरा फ़्रेम भरें।",
+        'camera.blocked': "कैमरा की अनुमति रोकी गई है। ब्राउज़र की साइट सेटिंग में इसकी अनुमति दें, या कोई फ़ोटो चुनें।",
+        'camera.notFound': "इस डिवाइस पर कोई कैमरा नहीं मिला। कोई फ़ोटो चुनें।",
+        'camera.inUse': "कैमरा किसी दूसरे ऐप में इस्तेमाल हो रहा है। उसे बंद करके फिर से कोशिश करें।",
+        'camera.failed': "कैमरा शुरू नहीं हो सका। कोई फ़ोटो चुनें।",
+        'camera.needsHttps': "यह ब्राउज़र यहाँ कैमरा नहीं खोल सकता (इसके लिए HTTPS चाहिए)। कोई फ़ोटो चुनें।",
+        'camera.captureFailed': "फ़ोटो नहीं ली जा सकी। फिर से कोशिश करें।",
+        'camera.close': "कैमरा बंद करें",
+        'camera.starting': "कैमरा शुरू हो रहा है...",
+        'camera.frameHint': "प्रभावित पत्तियों को गाइड के अंदर रखें।",
+        'camera.ready': "✓ साफ़, अच्छी रोशनी और सही फ़्रेम।",
+        'camera.capturing': "फ़ोटो ली जा रही है...",
+        'camera.capture': "📸 फ़ोटो लें",
+        'threads.search': "बातचीत खोजें...",
+        'threads.new': "+ नई",
+        'threads.empty': "अभी कोई बातचीत नहीं है।",
+        'threads.noMatch': "आपकी खोज से कोई बातचीत नहीं मिली।",
+        'threads.rename': "नाम बदलें",
+        'threads.confirmDelete': "यह बातचीत मिटाएँ?",
+        'schedule.title': "📅 सुझाया गया देखभाल शेड्यूल",
+        'schedule.fromToday': "आज से",
+        'schedule.inOneDay': "1 दिन में",
+        'schedule.inDays': "{count} दिनों में",
+        'schedule.added': "✓ आपके शेड्यूल में जोड़ दिया गया",
+        'schedule.adding': "जोड़ा जा रहा है...",
+        'schedule.add': "मेरे शेड्यूल में जोड़ें",
+        'recurrence.once': "एक बार",
+        'recurrence.day': "हर दिन",
+        'recurrence.week': "हर हफ़्ते",
+        'recurrence.month': "हर महीने",
+        'recurrence.days': "हर {count} दिन",
+        'recurrence.weeks': "हर {count} हफ़्ते",
+        'recurrence.months': "हर {count} महीने",
+        'tools.cancelled': " (रद्द)",
+        'account.guest': "मेहमान",
+        'account.mine': "मेरा खाता",
+        'account.recentLogin': "आपकी सुरक्षा के लिए, साइन आउट करके फिर से साइन इन करें, फिर दोबारा कोशिश करें।",
+        'account.recentLoginGuest': "आपकी सुरक्षा के लिए, मेहमान डेटा सत्र शुरू होने के कुछ ही देर बाद तक मिटाया जा सकता है। पहले Google या ईमेल लिंक से जारी रखें, फिर दोबारा कोशिश करें।",
+        'account.cancelled': "साइन इन रद्द कर दिया गया।",
+        'account.failed': "कुछ गड़बड़ हो गई। फिर से कोशिश करें।",
+        'account.linkSent': "हमने {email} पर साइन-इन लिंक भेजा है। अपना बगीचा बनाए रखने के लिए इसे इसी डिवाइस पर खोलें।",
+        'account.guestIntro': "आप मेहमान सत्र में हैं। आपका बगीचा सिर्फ़ इसी ब्राउज़र में सहेजा गया है।",
+        'account.google': "Google के साथ जारी रखें",
+        'account.emailLink': "मुझे साइन-इन लिंक ईमेल करें",
+        'account.signedIn': "{name} के रूप में साइन इन। आपका बगीचा आपके सभी डिवाइस पर सिंक होता है।",
+        'account.signOut': "साइन आउट",
+        'account.deleteWarning': "इससे आपके पौधे, स्कैन और बातचीत हमेशा के लिए मिट जाएँगे।",
+        'account.deleteWarningAccount': "इससे आपके पौधे, स्कैन, बातचीत और आपका खाता हमेशा के लिए मिट जाएँगे।",
+        'account.deleteEverything': "सब कुछ मिटाएँ",
+        'account.delete': "मेरा खाता और डेटा मिटाएँ",
+        'account.confirmEmail': "साइन इन पूरा करने के लिए अपना ईमेल पुष्टि करें",
+        'account.signIn': "साइन इन",
+        'alerts.viewTrend': "रुझान देखें",
+        'alerts.dismiss': "हटाएँ",
+        'alerts.healthDrop': "पिछले स्कैन के बाद से सेहत {drop} अंक गिरी ({previous}% → {latest}%)।",
+        'alerts.recurred': "पहले के एक स्कैन में न दिखने के बाद {disease} फिर लौट आया है।",
+        'queue.pending': "कनेक्शन का इंतज़ार",
+        'queue.processing': "भेजा जा रहा है...",
+        'queue.failed': "विफल",
+        'queue.sendingOne': "कतार का 1 आइटम भेजा जा रहा है...",
+        'queue.sending': "कतार के {count} आइटम भेजे जा रहे हैं...",
+        'queue.offline': "आप ऑफ़लाइन हैं। नए स्कैन और संदेश कतार में रखे जाते हैं और ऑनलाइन आने पर भेजे जाते हैं।",
+        'queue.scanOne': "1 फ़ोटो का स्कैन",
+        'queue.scan': "{count} फ़ोटो का स्कैन",
+        'queue.forPlant': " ({name} के लिए)",
+        'queue.reply': "\"{text}\" का जवाब",
+        'queue.queuedAt': "{time} पर कतार में"
+    },
+    es: {
+        'app.title': "Salud del Jardín",
+        'app.loading': "Cargando Garden Companion...",
+        'app.language': "Idioma",
+        'app.mockProvider': "Usando el proveedor de IA simulado sin conexión: los resultados son ficticios.",
+        'app.useConfiguredProvider': "Usar el proveedor configurado",
+        'app.localMode': "💾 Modo local: tus plantas, análisis y chats se guardan solo en este navegador.",
+        'app.switchToFirebase': "Cambiar a Firebase",
+        'app.localStoreError': "No se pudo abrir el almacenamiento de este navegador, así que el modo local no puede iniciarse. La navegación privada puede bloquearlo; prueba en una ventana normal.",
+        'app.signInError': "No pudimos iniciar tu sesión. Revisa tu conexión y recarga la página.",
+        'app.emailLinkError': "Ese enlace de inicio de sesión no es válido o ha caducado. Pide uno nuevo desde el menú de la cuenta.",
+        'tabs.scanner': "Escáner de plantas",
+        'tabs.bot': "Jardinero IA",
+        'tabs.history': "Historial",
+        'tabs.garden': "Mi jardín",
+        'tabs.today': "Hoy",
+        'tabs.guide': "Guía",
+        'common.cancel': "Cancelar",
+        'common.confirm': "Confirmar",
+        'diagnosis.healthy': "Sana",
+        'scanner.title': "Escáner de salud de plantas",
+        'scanner.intro': "Sube fotos nítidas y enfocadas de tu planta para un análisis de salud y enfermedades con IA. Añade hasta {max} vistas de la misma planta (haz y envés de la hoja, tallo, raíces/suelo, planta entera) para un diagnóstico más fiable.",
+        'scanner.useCamera': "📷 Usar la cámara en vivo",
+        'scanner.addPhoto': "Añadir otra foto",
+        'scanner.selectPhoto': "Elegir o tomar una foto",
+        'scanner.rejectedPhotos': "El análisis se habilita cuando todas las fotos pasan el control de calidad. Repite o quita la foto {numbers}.",
+        'scanner.analyzingPhotos': "Analizando {count} fotos...",
+        'scanner.analyzingImage': "Analizando la imagen...",
+        'scanner.scan': "Buscar enfermedades",
+        'scanner.cancel': "Cancelar el análisis",
+        'scanner.queuedTitle': "Análisis en cola",
+        'scanner.queuedBody': "Estás sin conexión, así que este análisis se hará automáticamente cuando vuelvas a estar en línea. El resultado aparecerá en tu historial.",
+        'scanner.errorTitle': "Error:",
+        'scanner.offlineSignedOut': "Estás sin conexión y aún no has iniciado sesión, así que este análisis no puede ponerse en cola. Inténtalo de nuevo cuando tengas conexión.",
+        'scanner.offlineQueueFailed': "Estás sin conexión y este análisis no se pudo guardar para más tarde. Inténtalo de nuevo cuando tengas conexión.",
+        'scanner.malformed': "El análisis llegó incompleto. Inténtalo de nuevo o prueba con una foto más nítida y cercana.",
+        'scanner.failed': "El análisis falló. Prueba con una foto más nítida o pide ayuda al bot.",
+        'scanner.resultsTitle': "Resultados del análisis",
+        'scanner.health': "{percent}% de salud",
+        'scanner.predictedStatus': "Estado previsto:",
+        'scanner.remedies': "Remedios caseros",
+        'scanner.careTips': "Consejos generales de cuidado",
+        'scanner.discuss': "💬 Comentar este análisis con el Jardinero IA",
+        'scanner.saving': "Guardando en tu historial...",
+        'scanner.saved': "Guardado en tu historial.",
+        'scanner.saveFailed': "No se pudo guardar este análisis en tu historial.",
+        'bot.backToChat': "Volver al chat",
+        'bot.conversations': "☰ Conversaciones ({count})",
+        'bot.olderMessages': "Desplázate hacia arriba para ver mensajes anteriores...",
+        'bot.empty': "¡Empieza una conversación! Pregúntame lo que quieras sobre el cuidado de plantas, el riego o qué hacer antes de irte de vacaciones.",
+        'bot.discussingScan': "📸 Comentando un análisis de planta",
+        'bot.interrupted': "⏹ La respuesta se interrumpió antes de terminar.",
+        'bot.regenerate': "↻ Regenerar",
+        'bot.typing': "El bot está escribiendo...",
+        'bot.waitingForAnswer': "Esperando tu respuesta...",
+        'bot.replyQueued': "⏳ Respuesta en cola hasta que vuelvas a estar en línea",
+        'bot.messageQueued': "⏳ En cola, se envía cuando vuelvas a estar en línea",
+        'bot.sending': "Enviando...",
+        'bot.queueFailed': "Error: {error}",
+        'bot.groundedIn': "Las respuestas se basan en tu análisis:",
+        'bot.scanHealth': "({percent}% de salud)",
+        'bot.suggestSchedule': "📅 Sugerir un plan de cuidados",
+        'bot.tryAgain': "Reintentar",
+        'bot.placeholder': "Haz tu pregunta sobre plantas...",
+        'bot.placeholderOffline': "Sin conexión: los mensajes se enviarán más tarde...",
+        'bot.stop': "Detener",
+        'bot.send': "Enviar",
+        'bot.offlineQueueFailed': "Estás sin conexión y este mensaje no se pudo guardar para más tarde.",
+        'bot.sendFailed': "No se pudo enviar tu mensaje. Inténtalo de nuevo.",
+        'bot.cutOff': "La respuesta se cortó.",
+        'bot.replyFailed': "¡Uy! Tuve un problema técnico. El bot jardinero está tomando un café. Vuelve a hacer tu pregunta.",
+        'bot.scheduleFailed': "No pude preparar un plan de cuidados. Inténtalo de nuevo.",
+        'bot.scheduleAddFailed': "No se pudo añadir el plan. Inténtalo de nuevo.",
+        'context.used': "Condiciones de cultivo usadas",
+        'context.none': "No se usaron condiciones de cultivo. Añádelas en My Garden para recibir consejos adaptados a dónde y cómo cultivas.",
+        'context.region': "Región: {value}",
+        'context.weather': "Clima: {value}",
+        'context.weatherSample': "Clima de ejemplo: {value}",
+        'context.weatherFrom': "Clima ({source}): {value}",
+        'context.setting.indoor': "Interior",
+        'context.setting.outdoor': "Exterior",
+        'context.setting.greenhouse': "Invernadero",
+        'context.light.low': "Poca luz",
+        'context.light.medium': "Luz media indirecta",
+        'context.light.bright': "Luz brillante indirecta",
+        'context.light.full_sun': "Pleno sol",
+        'context.watering.daily': "Riego diario",
+        'context.watering.every_few_days': "Riego cada pocos días",
+        'context.watering.weekly': "Riego semanal",
+        'context.watering.when_dry': "Riego cuando se seca",
+        'common.save': "Guardar",
+        'common.delete': "Eliminar",
+        'common.retry': "Reintentar",
+        'common.remove': "Quitar",
+        'common.working': "Procesando...",
+        'common.saving': "Guardando...",
+        'plantPicker.label': "🪴 Planta:",
+        'plantPicker.none': "Ninguna planta en concreto",
+        'diagnosis.lowConfidence': "⚠️ Confianza baja ({percent}%)",
+        'diagnosis.lowConfidenceHelp': "Este diagnóstico es incierto. Revisa las alternativas de abajo, prueba con una foto más nítida de la zona afectada o confírmalo con un vivero local antes de tratar.",
+        'diagnosis.confidence': "Confianza: {percent}%",
+        'diagnosis.severity': "Gravedad: {value}",
+        'diagnosis.affected': "Afectado: {value}",
+        'diagnosis.alternatives': "Otras posibilidades",
+        'severity.none': "ninguna",
+        'severity.mild': "leve",
+        'severity.moderate': "moderada",
+        'severity.severe': "grave",
+        'plantPart.leaf': "hoja",
+        'plantPart.stem': "tallo",
+        'plantPart.root': "raíz",
+        'plantPart.flower': "flor",
+        'plantPart.fruit': "fruto",
+        'plantPart.whole plant': "toda la planta",
+        'remedy.unsafe': "⛔ No seguro: ",
+        'remedy.conflict': "⚠️ Empeora este problema: ",
+        'remedy.caution': "⚠️ Úsalo con cuidado: ",
+        'guide.curated': "📚 Guía revisada: {name}",
+        'guide.version': "Guía revisada v{version} · revisada el {date}",
+        'guide.symptoms': "Síntomas",
+        'guide.hosts': "Plantas afectadas habituales:",
+        'guide.treatments': "Tratamientos comprobados",
+        'guide.pets': "Mascotas:",
+        'guide.children': "Niños:",
+        'photoViews.leaf_top': "Haz de la hoja",
+        'photoViews.leaf_underside': "Envés de la hoja",
+        'photoViews.stem': "Tallo",
+        'photoViews.roots_soil': "Raíces / suelo",
+        'photoViews.whole_plant': "Planta entera",
+        'photo.generic': "Foto",
+        'photo.label': "Foto {number}",
+        'photo.alt': "Foto de la planta {number}",
+        'photo.preparing': "Preparando la foto...",
+        'photo.cropAlt': "Dibuja un recuadro alrededor de la zona afectada",
+        'photo.dragToCrop': "Arrastra un recuadro alrededor de la zona afectada.",
+        'photo.passed': "✓ Pasó el control de calidad",
+        'photo.fixHint': "Vuelve a hacer esta foto, recórtala a la zona afectada o quítala.",
+        'photo.originalSize': "(antes {size}, datos de ubicación eliminados)",
+        'photo.crop': "Recortar zona",
+        'photo.cancelCrop': "Cancelar recorte",
+        'photo.resetCrop': "Quitar recorte",
+        'photo.heic': "Este navegador no puede abrir fotos HEIC. Configura la cámara en \"Más compatible\" (JPEG) o elige una imagen JPEG/PNG.",
+        'photo.unreadable': "Este archivo no se pudo leer como imagen.",
+        'quality.blurry': "Demasiado borrosa: mantén el pulso y toca la pantalla para enfocar las hojas.",
+        'quality.dark': "Demasiado oscura: busca más luz o enciende una lámpara.",
+        'quality.overexposed': "Sobreexpuesta: evita el sol directo y los reflejos en las hojas.",
+        'quality.framing': "Demasiado lejos o descentrada: llena el encuadre con la planta.",
+        'camera.blocked': "Se bloqueó el acceso a la cámara. Permítelo en la configuración del sitio del navegador o elige una foto.",
+        'camera.notFound': "No se encontró ninguna cámara en este dispositivo. Elige una foto.",
+        'camera.inUse': "Otra aplicación está usando la cámara. Ciérrala e inténtalo de nuevo.",
+        'camera.failed': "No se pudo iniciar la cámara. Elige una foto.",
+        'camera.needsHttps': "Este navegador no puede abrir la cámara aquí (necesita HTTPS). Elige una foto.",
+        'camera.captureFailed': "No se pudo hacer la foto. Inténtalo de nuevo.",
+        'camera.close': "Cerrar cámara",
+        'camera.starting': "Iniciando la cámara...",
+        'camera.frameHint': "Encuadra las hojas afectadas dentro de la guía.",
+        'camera.ready': "✓ Nítida, bien iluminada y bien encuadrada.",
+        'camera.capturing': "Capturando...",
+        'camera.capture': "📸 Capturar",
+        'threads.search': "Buscar conversaciones...",
+        'threads.new': "+ Nueva",
+        'threads.empty': "Aún no hay conversaciones.",
+        'threads.noMatch': "Ninguna conversación coincide con tu búsqueda.",
+        'threads.rename': "Renombrar",
+        'threads.confirmDelete': "¿Eliminar esta conversación?",
+        'schedule.title': "📅 Plan de cuidados sugerido",
+        'schedule.fromToday': "desde hoy",
+        'schedule.inOneDay': "en 1 día",
+        'schedule.inDays': "en {count} días",
+        'schedule.added': "✓ Añadido a tu plan",
+        'schedule.adding': "Añadiendo...",
+        'schedule.add': "Añadir a mi plan",
+        'recurrence.once': "Una vez",
+        'recurrence.day': "Cada día",
+        'recurrence.week': "Cada semana",
+        'recurrence.month': "Cada mes",
+        'recurrence.days': "Cada {count} días",
+        'recurrence.weeks': "Cada {count} semanas",
+        'recurrence.months': "Cada {count} meses",
+        'tools.cancelled': " (cancelado)",
+        'account.guest': "Invitado",
+        'account.mine': "Mi cuenta",
+        'account.recentLogin': "Por seguridad, cierra sesión, vuelve a iniciarla y reinténtalo.",
+        'account.recentLoginGuest': "Por seguridad, los datos de invitado solo se pueden eliminar poco después de iniciar la sesión. Continúa con Google o con un enlace por correo y reinténtalo.",
+        'account.cancelled': "Se canceló el inicio de sesión.",
+        'account.failed': "Algo salió mal. Inténtalo de nuevo.",
+        'account.linkSent': "Enviamos un enlace de inicio de sesión a {email}. Ábrelo en este dispositivo para conservar tu jardín.",
+        'account.guestIntro': "Estás en una sesión de invitado. Tu jardín solo se guarda en este navegador.",
+        'account.google': "Continuar con Google",
+        'account.emailLink': "Envíame un enlace de inicio de sesión",
+        'account.signedIn': "Sesión iniciada como {name}. Tu jardín se sincroniza en todos tus dispositivos.",
+        'account.signOut': "Cerrar sesión",
+        'account.deleteWarning': "Esto elimina para siempre tus plantas, análisis y conversaciones.",
+        'account.deleteWarningAccount': "Esto elimina para siempre tus plantas, análisis, conversaciones y tu cuenta.",
+        'account.deleteEverything': "Eliminar todo",
+        'account.delete': "Eliminar mi cuenta y mis datos",
+        'account.confirmEmail': "Confirma tu correo para terminar de iniciar sesión",
+        'account.signIn': "Iniciar sesión",
+        'alerts.viewTrend': "Ver tendencia",
+        'alerts.dismiss': "Descartar",
+        'alerts.healthDrop': "La salud bajó {drop} puntos ({previous}% → {latest}%) desde el último escaneo.",
+        'alerts.recurred': "{disease} ha vuelto después de un escaneo anterior en el que no aparecía.",
+        'queue.pending': "Esperando conexión",
+        'queue.processing': "Enviando...",
+        'queue.failed': "Error",
+        'queue.sendingOne': "Enviando 1 elemento en cola...",
+        'queue.sending': "Enviando {count} elementos en cola...",
+        'queue.offline': "Estás sin conexión. Los nuevos análisis y mensajes se ponen en cola y se envían cuando vuelvas a conectarte.",
+        'queue.scanOne': "Análisis de 1 foto",
+        'queue.scan': "Análisis de {count} fotos",
+        'queue.forPlant': " de {name}",
+        'queue.reply': "Respuesta a \"{text}\"",
+        'queue.queuedAt': "en cola a las {time}"
+    },
+    bn: {
+        'app.title': "হোম গার্ডেন হেলথ",
+        'app.loading': "গার্ডেন কম্প্যানিয়ন লোড হচ্ছে...",
+        'app.language': "ভাষা",
+        'app.mockProvider': "অফলাইন মক AI প্রোভাইডার চলছে — ফলাফলগুলো কৃত্রিম।",
+        'app.useConfiguredProvider': "সেট করা প্রোভাইডার ব্যবহার করুন",
+        'app.localMode': "💾 লোকাল মোড — আপনার গাছ, স্ক্যান আর চ্যাট শুধু এই ব্রাউজারেই রাখা হয়।",
+        'app.switchToFirebase': "Firebase-এ যান",
+        'app.localStoreError': "এই ব্রাউজারের স্টোরেজ খোলা যায়নি, তাই লোকাল মোড শুরু করা যাচ্ছে না। প্রাইভেট ব্রাউজিং এটি আটকাতে পারে; সাধারণ উইন্ডোতে চেষ্টা করুন।",
+        'app.signInError': "আমরা আপনাকে সাইন ইন করাতে পারিনি। সংযোগ পরীক্ষা করে পেজটি আবার লোড করুন।",
+        'app.emailLinkError': "এই সাইন-ইন লিংকটি অবৈধ বা এর মেয়াদ শেষ। অ্যাকাউন্ট মেনু থেকে নতুন লিংক চেয়ে নিন।",
+        'tabs.scanner': "গাছ স্ক্যানার",
+        'tabs.bot': "AI মালি বট",
+        'tabs.history': "স্ক্যানের ইতিহাস",
+        'tabs.garden': "আমার বাগান",
+        'tabs.today': "আজ",
+        'tabs.guide': "গাইড",
+        'common.cancel': "বাতিল",
+        'common.confirm': "নিশ্চিত করুন",
+        'diagnosis.healthy': "সুস্থ",
+        'scanner.title': "গাছের স্বাস্থ্য স্ক্যানার",
+        'scanner.intro': "AI দিয়ে রোগ ও স্বাস্থ্য পরীক্ষার জন্য আপনার গাছের পরিষ্কার, ফোকাস করা ছবি আপলোড করুন। আরও নির্ভরযোগ্য নির্ণয়ের জন্য একই গাছের {max}টি পর্যন্ত দিকের ছবি দিন (পাতার উপর ও নিচ, কাণ্ড, শিকড়/মাটি, পুরো গাছ)।",
+        'scanner.useCamera': "📷 লাইভ ক্যামেরা ব্যবহার করুন",
+        'scanner.addPhoto': "আরেকটি ছবি যোগ করুন",
+        'scanner.selectPhoto': "ছবি বেছে নিন বা তুলুন",
+        'scanner.rejectedPhotos': "প্রতিটি ছবি মান যাচাইয়ে পাস করলে তবেই স্ক্যান করা যাবে। ছবি {numbers} আবার তুলুন বা সরিয়ে দিন।",
+        'scanner.analyzingPhotos': "{count}টি ছবি বিশ্লেষণ করা হচ্ছে...",
+        'scanner.analyzingImage': "ছবি বিশ্লেষণ করা হচ্ছে...",
+        'scanner.scan': "রোগের জন্য স্ক্যান করুন",
+        'scanner.cancel': "বিশ্লেষণ বাতিল করুন",
+        'scanner.queuedTitle': "স্ক্যান সারিতে রাখা হয়েছে",
+        'scanner.queuedBody': "আপনি অফলাইনে আছেন, তাই অনলাইনে ফিরলেই এই স্ক্যান নিজে থেকে চলবে। এর ফলাফল আপনার স্ক্যানের ইতিহাসে দেখা যাবে।",
+        'scanner.errorTitle': "ত্রুটি:",
+        'scanner.offlineSignedOut': "আপনি অফলাইনে আছেন এবং এখনও সাইন ইন করেননি, তাই এই স্ক্যান সারিতে রাখা যাচ্ছে না। সংযোগ ফিরলে আবার চেষ্টা করুন।",
+        'scanner.offlineQueueFailed': "আপনি অফলাইনে আছেন এবং এই স্ক্যান পরে চালানোর জন্য সংরক্ষণ করা যায়নি। সংযোগ ফিরলে আবার চেষ্টা করুন।",
+        'scanner.malformed': "বিশ্লেষণের ফলাফল অসম্পূর্ণ এসেছে। আবার চেষ্টা করুন, অথবা আরও পরিষ্কার ও কাছ থেকে তোলা ছবি দিন।",
+        'scanner.failed': "বিশ্লেষণ ব্যর্থ হয়েছে। আরও পরিষ্কার ছবি দিন বা বটের সাহায্য নিন।",
+        'scanner.resultsTitle': "স্ক্যানের ফলাফল",
+        'scanner.health': "{percent}% স্বাস্থ্য",
+        'scanner.predictedStatus': "সম্ভাব্য অবস্থা:",
+        'scanner.remedies': "ঘরোয়া প্রতিকার",
+        'scanner.careTips': "যত্নের সাধারণ পরামর্শ",
+        'scanner.discuss': "💬 এই স্ক্যান নিয়ে AI মালির সঙ্গে কথা বলুন",
+        'scanner.saving': "আপনার স্ক্যানের ইতিহাসে সংরক্ষণ করা হচ্ছে...",
+        'scanner.saved': "আপনার স্ক্যানের ইতিহাসে সংরক্ষিত হয়েছে।",
+        'scanner.saveFailed': "এই স্ক্যান আপনার ইতিহাসে সংরক্ষণ করা যায়নি।",
+        'bot.backToChat': "চ্যাটে ফিরুন",
+        'bot.conversations': "☰ কথোপকথন ({count})",
+        'bot.olderMessages': "পুরনো বার্তার জন্য উপরে স্ক্রল করুন...",
+        'bot.empty': "কথোপকথন শুরু করুন! গাছের যত্ন, জল দেওয়ার সময় বা ছুটিতে যাওয়ার আগে কী করবেন — যা খুশি জিজ্ঞেস করুন।",
+        'bot.discussingScan': "📸 একটি গাছের স্ক্যান নিয়ে আলোচনা",
+        'bot.interrupted': "⏹ উত্তর শেষ হওয়ার আগেই থেমে গেছে।",
+        'bot.regenerate': "↻ আবার উত্তর নিন",
+        'bot.typing': "বট লিখছে...",
+        'bot.waitingForAnswer': "আপনার উত্তরের অপেক্ষায়...",
+        'bot.replyQueued': "⏳ অনলাইনে না ফেরা পর্যন্ত উত্তর সারিতে আছে",
+        'bot.messageQueued': "⏳ সারিতে আছে, অনলাইনে ফিরলে পাঠানো হবে",
+        'bot.sending': "পাঠানো হচ্ছে...",
+        'bot.queueFailed': "ব্যর্থ: {error}",
+        'bot.groundedIn': "উত্তরগুলো আপনার স্ক্যানের ভিত্তিতে:",
+        'bot.scanHealth': "({percent}% স্বাস্থ্য)",
+        'bot.suggestSchedule': "📅 যত্নের সময়সূচি প্রস্তাব করুন",
+        'bot.tryAgain': "আবার চেষ্টা করুন",
+        'bot.placeholder': "আপনার গাছ নিয়ে প্রশ্ন করুন...",
+        'bot.placeholderOffline': "অফলাইন: বার্তাগুলো পরে পাঠানো হবে...",
+        'bot.stop': "থামান",
+        'bot.send': "পাঠান",
+        'bot.offlineQueueFailed': "আপনি অফলাইনে আছেন এবং এই বার্তাটি পরে পাঠানোর জন্য সংরক্ষণ করা যায়নি।",
+        'bot.sendFailed': "আপনার বার্তা পাঠানো যায়নি। আবার চেষ্টা করুন।",
+        'bot.cutOff': "উত্তরটি মাঝপথে কেটে গেছে।",
+        'bot.replyFailed': "উফ! একটা প্রযুক্তিগত সমস্যা হয়েছে। মালি বট চা খেতে গেছে। অনুগ্রহ করে আবার প্রশ্ন করুন।",
+        'bot.scheduleFailed': "আমি যত্নের সময়সূচি তৈরি করতে পারিনি। আবার চেষ্টা করুন।",
+        'bot.scheduleAddFailed': "সময়সূচি যোগ করা যায়নি। আবার চেষ্টা করুন।",
+        'context.used': "ব্যবহৃত চাষের পরিবেশ",
+        'context.none': "চাষের কোনো পরিবেশ ব্যবহার করা হয়নি। আপনার বাগানের উপযোগী পরামর্শ পেতে My Garden-এ সেগুলো যোগ করুন।",
+        'context.region': "অঞ্চল: {value}",
+        'context.weather': "আবহাওয়া: {value}",
+        'context.weatherSample': "নমুনা আবহাওয়া: {value}",
+        'context.weatherFrom': "আবহাওয়া ({source}): {value}",
+        'context.setting.indoor': "ঘরের ভেতরে",
+        'context.setting.outdoor': "বাইরে",
+        'context.setting.greenhouse': "গ্রিনহাউস",
+        'context.light.low': "কম আলো",
+        'context.light.medium': "মাঝারি, পরোক্ষ আলো",
+        'context.light.bright': "উজ্জ্বল, পরোক্ষ আলো",
+        'context.light.full_sun': "পূর্ণ রোদ",
+        'context.watering.daily': "প্রতিদিন জল",
+        'context.watering.every_few_days': "কয়েক দিন পর পর জল",
+        'context.watering.weekly': "সপ্তাহে একবার জল",
+        'context.watering.when_dry': "মাটি শুকালে জল",
+        'common.save': "সংরক্ষণ করুন",
+        'common.delete': "মুছুন",
+        'common.retry': "আবার চেষ্টা করুন",
+        'common.remove': "সরান",
+        'common.working': "কাজ চলছে...",
+        'common.saving': "সংরক্ষণ হচ্ছে...",
+        'plantPicker.label': "🪴 গাছ:",
+        'plantPicker.none': "নির্দিষ্ট কোনো গাছ নয়",
+        'diagnosis.lowConfidence': "⚠️ কম নিশ্চয়তা ({percent}%)",
+        'diagnosis.lowConfidenceHelp': "এই নির্ণয়টি নিশ্চিত নয়। নিচের বিকল্পগুলো দেখুন, আক্রান্ত অংশের আরও স্পষ্ট ছবি তুলুন, অথবা চিকিৎসার আগে স্থানীয় নার্সারিতে নিশ্চিত হয়ে নিন।",
+        'diagnosis.confidence': "নিশ্চয়তা: {percent}%",
+        'diagnosis.severity': "তীব্রতা: {value}",
+        'diagnosis.affected': "আক্রান্ত: {value}",
+        'diagnosis.alternatives': "অন্যান্য সম্ভাবনা",
+        'severity.none': "নেই",
+        'severity.mild': "হালকা",
+        'severity.moderate': "মাঝারি",
+        'severity.severe': "গুরুতর",
+        'plantPart.leaf': "পাতা",
+        'plantPart.stem': "কাণ্ড",
+        'plantPart.root': "শিকড়",
+        'plantPart.flower': "ফুল",
+        'plantPart.fruit': "ফল",
+        'plantPart.whole plant': "পুরো গাছ",
+        'remedy.unsafe': "⛔ অনিরাপদ: ",
+        'remedy.conflict': "⚠️ এই সমস্যায় উল্টো কাজ করে: ",
+        'remedy.caution': "⚠️ সাবধানে ব্যবহার করুন: ",
+        'guide.curated': "📚 যাচাই করা নির্দেশিকা: {name}",
+        'guide.version': "যাচাই করা নির্দেশিকা v{version} · পর্যালোচনা {date}",
+        'guide.symptoms': "লক্ষণ",
+        'guide.hosts': "সাধারণ আক্রান্ত গাছ:",
+        'guide.treatments': "যাচাই করা চিকিৎসা",
+        'guide.pets': "পোষা প্রাণী:",
+        'guide.children': "শিশু:",
+        'photoViews.leaf_top': "পাতার উপরের দিক",
+        'photoViews.leaf_underside': "পাতার নিচের দিক",
+        'photoViews.stem': "কাণ্ড",
+        'photoViews.roots_soil': "শিকড় / মাটি",
+        'photoViews.whole_plant': "পুরো গাছ",
+        'photo.generic': "ছবি",
+        'photo.label': "ছবি {number}",
+        'photo.alt': "গাছের ছবি {number}",
+        'photo.preparing': "ছবি প্রস্তুত হচ্ছে...",
+        'photo.cropAlt': "আক্রান্ত অংশের চারপাশে একটি বাক্স আঁকুন",
+        'photo.dragToCrop': "আক্রান্ত অংশের চারপাশে টেনে একটি বাক্স আঁকুন।",
+        'photo.passed': "✓ মান যাচাইয়ে উত্তীর্ণ",
+        'photo.fixHint': "ছবিটি আবার তুলুন, আক্রান্ত অংশ পর্যন্ত কেটে নিন বা সরিয়ে দিন।",
+        'photo.originalSize': "(আগে {size}, অবস্থানের তথ্য মুছে ফেলা হয়েছে)",
+        'photo.crop': "অংশ কেটে নিন",
+        'photo.cancelCrop': "কাটা বাতিল করুন",
+        'photo.resetCrop': "কাটা বাদ দিন",
+        'photo.heic': "এই ব্রাউজার HEIC ছবি খুলতে পারে না। ক্যামেরাকে \"Most Compatible\" (JPEG) এ সেট করুন বা JPEG/PNG ছবি বেছে নিন।",
+        'photo.unreadable': "এই ফাইলটি ছবি হিসেবে পড়া যায়নি।",
+        'quality.blurry': "খুব ঝাপসা: স্থির রাখুন এবং পাতায় ফোকাস করতে স্ক্রিনে ট্যাপ করুন।",
+        'quality.dark': "খুব অন্ধকার: বেশি আলোতে যান বা একটি বাতি জ্বালান।",
+        'quality.overexposed': "অতিরিক্ত আলো: পাতায় সরাসরি রোদ ও ঝলক এড়িয়ে চলুন।",
+        'quality.framing': "খুব দূরে বা একপাশে: পুরো ফ্রেম গাছ দিয়ে ভরে দিন।",
+        'camera.blocked': "ক্যামেরার অনুমতি আটকানো হয়েছে। ব্রাউজারের সাইট সেটিংসে অনুমতি দিন, অথবা একটি ছবি বেছে নিন।",
+        'camera.notFound': "এই ডিভাইসে কোনো ক্যামেরা পাওয়া যায়নি। একটি ছবি বেছে নিন।",
+        'camera.inUse': "অন্য একটি অ্যাপ ক্যামেরা ব্যবহার করছে। সেটি বন্ধ করে আবার চেষ্টা করুন।",
+        'camera.failed': "ক্যামেরা চালু করা যায়নি। একটি ছবি বেছে নিন।",
+        'camera.needsHttps': "এই ব্রাউজার এখানে ক্যামেরা খুলতে পারে না (HTTPS দরকার)। একটি ছবি বেছে নিন।",
+        'camera.captureFailed': "ছবি তোলা যায়নি। আবার চেষ্টা করুন।",
+        'camera.close': "ক্যামেরা বন্ধ করুন",
+        'camera.starting': "ক্যামেরা চালু হচ্ছে...",
+        'camera.frameHint': "আক্রান্ত পাতাগুলো গাইডের ভেতরে রাখুন।",
+        'camera.ready': "✓ স্পষ্ট, ভালো আলো এবং ঠিকমতো ফ্রেম করা।",
+        'camera.capturing': "ছবি তোলা হচ্ছে...",
+        'camera.capture': "📸 ছবি তুলুন",
+        'threads.search': "কথোপকথন খুঁজুন...",
+        'threads.new': "+ নতুন",
+        'threads.empty': "এখনো কোনো কথোপকথন নেই।",
+        'threads.noMatch': "আপনার খোঁজের সাথে কোনো কথোপকথন মেলেনি।",
+        'threads.rename': "নাম বদলান",
+        'threads.confirmDelete': "এই কথোপকথনটি মুছবেন?",
+        'schedule.title': "📅 প্রস্তাবিত যত্নের সময়সূচি",
+        'schedule.fromToday': "আজ থেকে",
+        'schedule.inOneDay': "১ দিন পরে",
+        'schedule.inDays': "{count} দিন পরে",
+        'schedule.added': "✓ আপনার সময়সূচিতে যোগ করা হয়েছে",
+        'schedule.adding': "যোগ করা হচ্ছে...",
+        'schedule.add': "আমার সময়সূচিতে যোগ করুন",
+        'recurrence.once': "একবার",
+        'recurrence.day': "প্রতিদিন",
+        'recurrence.week': "প্রতি সপ্তাহে",
+        'recurrence.month': "প্রতি মাসে",
+        'recurrence.days': "প্রতি {count} দিনে",
+        'recurrence.weeks': "প্রতি {count} সপ্তাহে",
+        'recurrence.months': "প্রতি {count} মাসে",
+        'tools.cancelled': " (বাতিল)",
+        'account.guest': "অতিথি",
+        'account.mine': "আমার অ্যাকাউন্ট",
+        'account.recentLogin': "আপনার নিরাপত্তার জন্য সাইন আউট করে আবার সাইন ইন করুন, তারপর আবার চেষ্টা করুন।",
+        'account.recentLoginGuest': "আপনার নিরাপত্তার জন্য অতিথির ডেটা সেশন শুরুর অল্প পরেই শুধু মুছে ফেলা যায়। আগে Google বা ইমেল লিংক দিয়ে চালিয়ে যান, তারপর আবার চেষ্টা করুন।",
+        'account.cancelled': "সাইন ইন বাতিল করা হয়েছে।",
+        'account.failed': "কিছু একটা ভুল হয়েছে। আবার চেষ্টা করুন।",
+        'account.linkSent': "আমরা {email} ঠিকানায় একটি সাইন-ইন লিঙ্ক পাঠিয়েছি। আপনার বাগান রাখতে এই ডিভাইসেই এটি খুলুন।",
+        'account.guestIntro': "আপনি অতিথি সেশনে আছেন। আপনার বাগান শুধু এই ব্রাউজারে সংরক্ষিত আছে।",
+        'account.google': "Google দিয়ে চালিয়ে যান",
+        'account.emailLink': "আমাকে সাইন-ইন লিঙ্ক ইমেল করুন",
+        'account.signedIn': "{name} হিসেবে সাইন ইন করা আছে। আপনার বাগান সব ডিভাইসে সিঙ্ক হয়।",
+        'account.signOut': "সাইন আউট",
+        'account.deleteWarning': "এতে আপনার গাছ, স্ক্যান ও কথোপকথন চিরতরে মুছে যাবে।",
+        'account.deleteWarningAccount': "এতে আপনার গাছ, স্ক্যান, কথোপকথন এবং অ্যাকাউন্ট চিরতরে মুছে যাবে।",
+        'account.deleteEverything': "সব মুছে ফেলুন",
+        'account.delete': "আমার অ্যাকাউন্ট ও ডেটা মুছুন",
+        'account.confirmEmail': "সাইন ইন শেষ করতে আপনার ইমেল নিশ্চিত করুন",
+        'account.signIn': "সাইন ইন",
+        'alerts.viewTrend': "প্রবণতা দেখুন",
+        'alerts.dismiss': "বাতিল করুন",
+        'alerts.healthDrop': "শেষ স্ক্যানের পর থেকে স্বাস্থ্য {drop} পয়েন্ট কমেছে ({previous}% → {latest}%)।",
+        'alerts.recurred': "আগের একটি স্ক্যানে না থাকার পর {disease} আবার ফিরে এসেছে।",
+        'queue.pending': "সংযোগের অপেক্ষায়",
+        'queue.processing': "পাঠানো হচ্ছে...",
+        'queue.failed': "ব্যর্থ",
+        'queue.sendingOne': "সারির ১টি আইটেম পাঠানো হচ্ছে...",
+        'queue.sending': "সারির {count}টি আইটেম পাঠানো হচ্ছে...",
+        'queue.offline': "আপনি অফলাইনে আছেন। নতুন স্ক্যান ও বার্তা সারিতে রাখা হয় এবং অনলাইনে ফিরলে পাঠানো হয়।",
+        'queue.scanOne': "১টি ছবির স্ক্যান",
+        'queue.scan': "{count}টি ছবির স্ক্যান",
+        'queue.forPlant': " ({name}-এর জন্য)",
+        'queue.reply': "\"{text}\"-এর উত্তর",
+        'queue.queuedAt': "{time}-এ সারিতে"
+    }
+};
+
+let activeLocale = DEFAULT_LOCALE;
+
+const getActiveLocale = () => activeLocale;
+
+const setActiveLocale = (locale) => {
+    activeLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+};
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.some(supported => supported.id === locale);
+
+/**
+ * Picks the language to start with before the user's saved choice is known: the last one chosen
+ * in this browser, else the browser's own language if supported.
+ * @returns {string} One of SUPPORTED_LOCALES.
+ */
+const detectInitialLocale = () => {
+    try {
+        const remembered = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (isSupportedLocale(remembered)) return remembered;
+    } catch (e) {
+        // Storage can be blocked; fall back to the browser's language
+    }
+    const browserLocale = (navigator.languages || [navigator.language])
+        .map(language => (language || '').split('-')[0])
+        .find(isSupportedLocale);
+    return browserLocale || DEFAULT_LOCALE;
+};
+
+// Known before the first render, so nothing starts out in the wrong language
+setActiveLocale(detectInitialLocale());
+
+/**
+ * Looks up a UI string in the active language.
+ * @param {string} key - Catalog key, e.g. 'scanner.title'.
+ * @param {object} params - Values for `{name}` placeholders.
+ * @returns {string} The string, in English if the active catalog lacks it, or the key if no catalog has it.
+ */
+const t = (key, params = {}) => {
+    const template = TRANSLATIONS[activeLocale]?.[key] ?? TRANSLATIONS[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// Dates and times in the active language, for chat and scan timestamps
+const formatDateTime = (date) => date.toLocaleString(activeLocale);
+const formatDate = (date, options) => date.toLocaleDateString(activeLocale, options);
+const formatTime = (date, options) => date.toLocaleTimeString(activeLocale, options);
+
+// Diagnoses are stored in English (see buildLanguageInstruction); only "Healthy" has a fixed translation.
+const formatDiagnosis = (disease) => (/^healthy$/i.test((disease || '').trim()) ? t('diagnosis.healthy') : disease);
+
+// formatRecurrence() in the active language; the English one stays in prompts and tool results.
+const formatLocalizedRecurrence = (recurrence) => {
+    if (!recurrence) return t('recurrence.once');
+    return recurrence.every === 1 ? t(`recurrence.${recurrence.unit}`) : t(`recurrence.${recurrence.unit}s`, { count: recurrence.every });
+};
+
+/**
+ * Tells the model which language to write in. Disease names stay in English with the translation in
+ * parentheses, because they are matched against the knowledge base and compared across scans.
+ * @param {string} locale - One of SUPPORTED_LOCALES.
+ * @param {string} kind - 'analysis' for scan results, 'chat' for bot replies, 'text' for anything else.
+ * @returns {string} A sentence to append to the prompt; empty for English, which is the default.
+ */
+const buildLanguageInstruction = (locale, kind = 'text') => {
+    if (!isSupportedLocale(locale) || locale === DEFAULT_LOCALE) return '';
+    const language = SUPPORTED_LOCALES.find(supported => supported.id === locale).prompt;
+    if (kind === 'analysis') {
+        return ` Write every text value (remedies, findings and region labels) in ${language}. Write predicted_disease and the alternative disease names in English followed by the ${language} name in parentheses, e.g. "Powdery Mildew (name in ${language})", and use exactly 'Healthy' for a healthy plant. Enum values stay exactly as listed.`;
+    }
+    if (kind === 'chat') {
+        return ` Always reply in ${language}, even when earlier messages or scan details are in English. When you name a disease, add its English name in parentheses.`;
+    }
+    return ` Write all text meant for the user in ${language}.`;
+};
+
+const getPreferencesDoc = (db, userId) => doc(db, getUserCollectionPath(userId, SETTINGS_COLLECTION_NAME), PREFERENCES_DOC_ID);
+
+/**
+ * Saves the user's language, and remembers it in this browser for the next start.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} locale - One of SUPPORTED_LOCALES.
+ * @returns {Promise<void>}
+ */
+const saveLocalePreference = async (db, userId, locale) => {
+    try {
+        window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (e) {
+        // Only the start-up guess is lost; the saved preference still applies once loaded
+    }
+    await setDoc(getPreferencesDoc(db, userId), { locale, updatedAt: serverTimestamp() }, { merge: true });
+};
+
+// --- Growing Context ---
+// Where and how the user grows (region or hardiness zone, indoors or out, light, watering and recent
+// weather) changes what the same symptoms most likely mean. The profile is one settings document; before
+// each scan or bot reply it is resolved into a snapshot that goes into the prompt and is stored with the
+// result, so the user can see which context an answer was based on.
+
+// Made-up weeks of weather, rotated weekly by the stub source
+const STUB_WEATHER_SUMMARIES = [
+    "warm and humid, around 28°C by day, with rain on most days",
+    "hot and dry, around 34°C by day, no rain this week",
+    "mild, around 20°C by day, with two days of light rain",
+    "cool and damp, around 12°C by day, overcast with frequent drizzle"
+];
+
+/**
+ * Weather source for trying the growing context without a weather service: it makes up recent weather
+ * on this device, ignoring the region. Its summaries are labelled as samples wherever they are shown.
+ * @returns {object} { name, getRecentWeather({ region, signal }) } resolving to a one-line summary.
+ */
+const createStubWeatherSource = () => ({
+    name: 'stub',
+    getRecentWeather: async () => {
+        const week = Math.floor(Date.now() / (7 * 24 * 60 * 60 * 1000));
+        return STUB_WEATHER_SUMMARIES[week % STUB_WEATHER_SUMMARIES.length];
+    }
+});
+
+// A real source (e.g. a forecast API keyed by region) is one more factory with the same shape.
+const WEATHER_SOURCE_FACTORIES = {
+    stub: createStubWeatherSource
+};
+
+/**
+ * Instantiates the weather source selected in the configuration.
+ * @param {object} config - Shaped like WEATHER_SOURCE_CONFIG.
+ * @returns {object|null} The selected source, or null for 'none' or an unknown source.
+ */
+const createWeatherSource = (config) => {
+    const factory = WEATHER_SOURCE_FACTORIES[config.source];
+    return factory ? factory(config[config.source] || {}) : null;
+};
+
+const getGrowingContextDoc = (db, userId) => doc(db, getUserCollectionPath(userId, SETTINGS_COLLECTION_NAME), GROWING_CONTEXT_DOC_ID);
+
+/**
+ * Saves the user's growing context profile.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} profile - Shaped like EMPTY_GROWING_CONTEXT.
+ * @returns {Promise<void>}
+ */
+const saveGrowingContext = async (db, userId, profile) => {
+    await setDoc(getGrowingContextDoc(db, userId), { ...profile, updatedAt: serverTimestamp() });
+};
+
+// Looks up a profile choice; an id that is no longer offered gives null and is left out of prompts.
+const findGrowingOption = (options, id) => options.find(option => option.id === id) || null;
+
+/**
+ * Resolves a growing context profile into the snapshot used for one scan or reply. Weather the user
+ * typed in wins; otherwise it is looked up from the configured weather source, if any.
+ * @param {object|null} profile - The GROWING_CONTEXT_DOC_ID document, if saved.
+ * @param {object} options - { signal } to cancel the weather lookup.
+ * @returns {Promise<object|null>} { region, setting, light, watering, weather, weatherSource } with unknown
+ *   fields null, where `weatherSource` is 'manual' or a WEATHER_SOURCE_FACTORIES name; null when nothing is known.
+ */
+const resolveGrowingContext = async (profile, { signal } = {}) => {
+    const context = {
+        region: profile?.region?.trim() || null,
+        setting: findGrowingOption(GROWING_SETTINGS, profile?.setting)?.id || null,
+        light: findGrowingOption(LIGHT_LEVELS, profile?.light)?.id || null,
+        watering: findGrowingOption(WATERING_HABITS, profile?.watering)?.id || null,
+        weather: profile?.weather?.trim() || null,
+        weatherSource: null
+    };
+    if (context.weather) {
+        context.weatherSource = 'manual';
+    } else if (weatherSource) {
+        try {
+            context.weather = (await weatherSource.getRecentWeather({ region: context.region, signal })) || null;
+            if (context.weather) context.weatherSource = weatherSource.name;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // Advice without the weather still beats no advice
+            console.error("Error getting recent weather:", error);
+        }
+    }
+    return Object.values(context).some(Boolean) ? context : null;
+};
+
+/**
+ * Loads and resolves the user's growing context, for work done away from the UI (the offline queue).
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<object|null>} As resolveGrowingContext().
+ */
+const loadGrowingContext = async (db, userId) => {
+    const snapshot = await getDoc(getGrowingContextDoc(db, userId));
+    return resolveGrowingContext(snapshot.exists() ? snapshot.data() : null);
+};
+
+/**
+ * Tells the model about the user's growing conditions.
+ * @param {object|null} context - From resolveGrowingContext().
+ * @param {string} kind - 'analysis' for scan results, 'chat' for bot replies.
+ * @returns {string} Sentences to append to the prompt; empty when nothing is known.
+ */
+const buildGrowingContextInstruction = (context, kind) => {
+    if (!context) return '';
+    const facts = [
+        context.region && `region or hardiness zone: ${context.region}`,
+        findGrowingOption(GROWING_SETTINGS, context.setting)?.prompt,
+        findGrowingOption(LIGHT_LEVELS, context.light)?.prompt,
+        findGrowingOption(WATERING_HABITS, context.watering)?.prompt,
+        context.weather && `recent weather: ${context.weather}`
+    ].filter(Boolean).join('; ');
+    if (kind === 'analysis') {
+        return ` The user's growing conditions: ${facts}. Weigh them when judging the cause: humidity, temperature, light and watering change which diseases, pests and disorders are likely for the same symptoms, and which remedies suit the setting.`;
+    }
+    return ` The user's growing conditions: ${facts}. Take them into account, and say so when they change what you recommend.`;
+};
+
+/**
+ * Lists a resolved growing context in the active language, for showing what a result was based on.
+ * @param {object} context - From resolveGrowingContext().
+ * @returns {Array<string>} One short label per known field.
+ */
+const describeGrowingContext = (context) => {
+    const weatherKey = context.weatherSource === 'manual' ? 'context.weather'
+        : context.weatherSource === 'stub' ? 'context.weatherSample' : 'context.weatherFrom';
+    return [
+        context.region && t('context.region', { value: context.region }),
+        context.setting && t(`context.setting.${context.setting}`),
+        context.light && t(`context.light.${context.light}`),
+        context.watering && t(`context.watering.${context.watering}`),
+        context.weather && t(weatherKey, { value: context.weather, source: context.weatherSource })
+    ].filter(Boolean);
+};
+
+// --- Knowledge Base ---
+// A curated reference of common diseases and pests, bundled with the app so it works offline and
+// doesn't depend on the model. Bump `version` and `reviewedOn` whenever an entry or rule changes.
+// Entries: { id, name, kind: 'disease' | 'pest', aliases, symptoms, hosts,
+//            treatments: [{ name, dosage, notes }], safety: { pets, children }, avoid: [{ pattern, reason }] }
+// `avoid` lists advice that works against this particular problem; REMEDY_SAFETY_RULES apply to every remedy.
+
+const KNOWLEDGE_BASE = {
+    version: "1.0.0",
+    reviewedOn: "2026-10-01",
+    entries: [
+        {
+            id: 'powdery_mildew',
+            name: "Powdery Mildew",
+            kind: 'disease',
+            aliases: ["powdery mildew", "white mold on leaves"],
+            symptoms: ["White to grey powdery patches on upper leaf surfaces", "Leaves yellow, curl and drop early", "Worst in warm days with cool, humid nights"],
+            hosts: ["Squash and cucumber", "Roses", "Zinnias", "Begonias", "Grapes", "Peas"],
+            treatments: [
+                { name: "Potassium bicarbonate spray", dosage: "1 tbsp (15 g) per gallon (3.8 L) of water, every 7 days", notes: "Gentler on leaves and soil than baking soda." },
+                { name: "Milk spray", dosage: "1 part milk to 2 parts water, weekly in the morning", notes: "Works best as prevention or on early spots." },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L) with a few drops of soap as an emulsifier", notes: "Spray in the evening; not in heat above 30 °C." },
+                { name: "Remove infected leaves", dosage: "Bag and bin them; don't compost", notes: "Thin crowded growth to improve airflow." }
+            ],
+            safety: {
+                pets: "Bicarbonate and milk sprays are low risk. Keep pets from licking leaves wet with neem.",
+                children: "Low risk once sprays have dried. Store concentrates out of reach."
+            },
+            avoid: []
+        },
+        {
+            id: 'downy_mildew',
+            name: "Downy Mildew",
+            kind: 'disease',
+            aliases: ["downy mildew"],
+            symptoms: ["Yellow, angular patches on the upper leaf surface", "Grey to purple fuzz on the underside", "Spreads fast in cool, wet weather"],
+            hosts: ["Basil", "Cucumber and melons", "Grapes", "Lettuce", "Impatiens"],
+            treatments: [
+                { name: "Remove and bin infected leaves", dosage: "At the first sign, on a dry day", notes: "Badly infected basil and impatiens are best removed entirely." },
+                { name: "Keep foliage dry", dosage: "Water at the soil in the morning", notes: "Space plants for airflow." },
+                { name: "Copper fungicide", dosage: "Strictly as labelled", notes: "Protects healthy growth; it doesn't cure infected leaves." }
+            ],
+            safety: {
+                pets: "Copper products are harmful if eaten; keep pets away until dry.",
+                children: "Keep children away from copper sprays until dry; wash hands after handling."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water|spray(ing)? (the )?(leaves|foliage) with water/i, reason: "Wet leaves spread downy mildew." }
+            ]
+        },
+        {
+            id: 'fungal_leaf_spot',
+            name: "Fungal Leaf Spot",
+            kind: 'disease',
+            aliases: ["leaf spot", "fungal leaf spot", "septoria leaf spot", "cercospora leaf spot"],
+            symptoms: ["Brown or black round spots, often with a yellow halo", "Spots merge and leaves drop", "Starts on lower, older leaves"],
+            hosts: ["Tomatoes", "Peppers", "Strawberries", "Roses", "Many houseplants"],
+            treatments: [
+                { name: "Prune spotted leaves", dosage: "With scissors wiped in 70% alcohol between cuts", notes: "Bag and bin them." },
+                { name: "Water at the soil", dosage: "In the morning, so the surface dries by evening", notes: "" },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L), every 7-14 days", notes: "Protects new leaves; existing spots won't disappear." }
+            ],
+            safety: {
+                pets: "Keep pets from chewing treated leaves until dry.",
+                children: "Low risk once dry."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water|spray(ing)? (the )?(leaves|foliage) with water/i, reason: "Wet leaves spread leaf spot." }
+            ]
+        },
+        {
+            id: 'bacterial_leaf_spot',
+            name: "Bacterial Leaf Spot",
+            kind: 'disease',
+            aliases: ["bacterial leaf spot", "bacterial spot", "bacterial blight"],
+            symptoms: ["Small, water-soaked spots that turn brown or black", "Spots are angular, limited by leaf veins", "May ooze in humid weather"],
+            hosts: ["Peppers", "Tomatoes", "Lettuce", "Philodendrons", "Begonias"],
+            treatments: [
+                { name: "Remove infected leaves", dosage: "When leaves are dry; disinfect tools afterwards", notes: "Don't handle plants while wet." },
+                { name: "Copper fungicide", dosage: "Strictly as labelled", notes: "Slows the spread only; it doesn't cure infected leaves." },
+                { name: "Isolate houseplants", dosage: "Until no new spots appear for 2 weeks", notes: "" }
+            ],
+            safety: {
+                pets: "Copper products are harmful if eaten; keep pets away until dry.",
+                children: "Keep children away from copper sprays until dry."
+            },
+            avoid: [
+                { pattern: /neem|baking soda|bicarbonate|sulfur|sulphur/i, reason: "This treats fungi; it has no effect on bacteria." },
+                { pattern: /\bmist|overhead water|spray(ing)? (the )?(leaves|foliage) with water/i, reason: "Water splashes spread bacteria between leaves." }
+            ]
+        },
+        {
+            id: 'rust',
+            name: "Rust",
+            kind: 'disease',
+            aliases: ["rust", "leaf rust", "cedar apple rust"],
+            symptoms: ["Orange, brown or yellow pustules on leaf undersides", "Pale yellow spots above the pustules", "Rusty powder rubs off on fingers"],
+            hosts: ["Roses", "Beans", "Hollyhocks", "Snapdragons", "Apples", "Geraniums"],
+            treatments: [
+                { name: "Remove infected leaves", dosage: "As soon as pustules appear; bag and bin", notes: "Clear fallen leaves too." },
+                { name: "Sulfur fungicide", dosage: "As labelled", notes: "Not above 32 °C, and not within 2 weeks of an oil spray." },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L), weekly", notes: "" }
+            ],
+            safety: {
+                pets: "Sulfur irritates eyes and skin; keep pets away while spraying.",
+                children: "Keep children away while spraying and until dry."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water/i, reason: "Rust spores germinate on wet leaves." }
+            ]
+        },
+        {
+            id: 'gray_mold',
+            name: "Gray Mold (Botrytis)",
+            kind: 'disease',
+            aliases: ["gray mold", "grey mould", "grey mold", "botrytis"],
+            symptoms: ["Fuzzy grey mold on flowers, fruit or damaged tissue", "Brown, soft rot spreading from wounds", "Clouds of spores when disturbed"],
+            hosts: ["Strawberries", "Tomatoes", "Peonies", "Begonias", "Cyclamen", "Succulents in humid rooms"],
+            treatments: [
+                { name: "Cut out infected parts", dosage: "Into healthy tissue; bag immediately", notes: "Clean up dead flowers and leaves." },
+                { name: "Lower humidity", dosage: "Increase airflow and spacing", notes: "" }
+            ],
+            safety: {
+                pets: "No sprays needed; no risk.",
+                children: "No risk."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water|increase humidity|humidifier/i, reason: "Moisture and humidity drive gray mold." }
+            ]
+        },
+        {
+            id: 'early_blight',
+            name: "Early Blight",
+            kind: 'disease',
+            aliases: ["early blight", "alternaria"],
+            symptoms: ["Brown spots with target-like rings on older leaves", "Yellowing around the spots", "Lower leaves die first"],
+            hosts: ["Tomatoes", "Potatoes", "Eggplant"],
+            treatments: [
+                { name: "Remove lower infected leaves", dosage: "Up to 30 cm from the soil", notes: "Bag and bin them." },
+                { name: "Mulch", dosage: "5 cm layer around the base", notes: "Stops soil splashing spores onto leaves." },
+                { name: "Copper fungicide", dosage: "Strictly as labelled", notes: "" }
+            ],
+            safety: {
+                pets: "Tomato and potato foliage is itself toxic to pets; copper is harmful if eaten.",
+                children: "Keep children away from copper sprays until dry."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water/i, reason: "Wet leaves spread blight." }
+            ]
+        },
+        {
+            id: 'late_blight',
+            name: "Late Blight",
+            kind: 'disease',
+            aliases: ["late blight", "phytophthora infestans"],
+            symptoms: ["Large, greasy grey-green patches that turn brown", "White growth on leaf undersides in humid weather", "Firm brown rot on fruit and tubers"],
+            hosts: ["Tomatoes", "Potatoes"],
+            treatments: [
+                { name: "Remove and bin the whole plant", dosage: "As soon as it is confirmed", notes: "Late blight spreads to neighbouring gardens; don't compost." },
+                { name: "Copper fungicide on nearby plants", dosage: "Strictly as labelled", notes: "Protects only; it doesn't cure." }
+            ],
+            safety: {
+                pets: "Copper is harmful if eaten.",
+                children: "Keep children away from copper sprays until dry."
+            },
+            avoid: [
+                { pattern: /compost/i, reason: "Composting spreads late blight spores." }
+            ]
+        },
+        {
+            id: 'root_rot',
+            name: "Root Rot",
+            kind: 'disease',
+            aliases: ["root rot", "pythium", "crown rot", "overwatering"],
+            symptoms: ["Wilting even though the soil is wet", "Yellowing lower leaves", "Brown, mushy, foul-smelling roots"],
+            hosts: ["Most houseplants", "Succulents", "Orchids", "Seedlings"],
+            treatments: [
+                { name: "Trim rotten roots and repot", dosage: "Into fresh, well-draining mix in a pot with drainage holes", notes: "Disinfect the pot and tools." },
+                { name: "Hydrogen peroxide rinse", dosage: "1 part 3% hydrogen peroxide to 4 parts water, once, after trimming", notes: "Never stronger than 3%." },
+                { name: "Water less", dosage: "Only when the top 2-3 cm of soil is dry", notes: "" }
+            ],
+            safety: {
+                pets: "3% peroxide is low risk once diluted and soaked in.",
+                children: "Keep peroxide out of reach; it irritates eyes."
+            },
+            avoid: [
+                { pattern: /water (it )?(more|daily|every day|frequently)|keep (the )?soil (moist|wet)|\bmist/i, reason: "More water worsens root rot." }
+            ]
+        },
+        {
+            id: 'anthracnose',
+            name: "Anthracnose",
+            kind: 'disease',
+            aliases: ["anthracnose"],
+            symptoms: ["Sunken, dark lesions on leaves, stems or fruit", "Dead areas along leaf veins", "Pinkish spore masses in wet weather"],
+            hosts: ["Beans", "Cucumbers", "Tomatoes", "Mango", "Shade trees", "Ficus"],
+            treatments: [
+                { name: "Prune infected parts", dosage: "On dry days; disinfect tools between cuts", notes: "" },
+                { name: "Copper fungicide", dosage: "Strictly as labelled", notes: "" }
+            ],
+            safety: {
+                pets: "Copper is harmful if eaten.",
+                children: "Keep children away from copper sprays until dry."
+            },
+            avoid: [
+                { pattern: /\bmist|overhead water/i, reason: "Splashing water spreads anthracnose." }
+            ]
+        },
+        {
+            id: 'aphids',
+            name: "Aphids",
+            kind: 'pest',
+            aliases: ["aphid", "aphids", "greenfly", "blackfly"],
+            symptoms: ["Clusters of small green, black or pink insects on shoot tips", "Curled, sticky leaves", "Black sooty mold on the sticky residue"],
+            hosts: ["Roses", "Peppers", "Lettuce", "Milkweed", "Hibiscus", "Most soft new growth"],
+            treatments: [
+                { name: "Blast with water", dosage: "A strong jet every 2-3 days", notes: "" },
+                { name: "Insecticidal soap", dosage: "As labelled, or 1-2% pure castile soap (1-2 tbsp per litre)", notes: "Must touch the insects; repeat every 5-7 days. Test a few leaves first." },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L)", notes: "Spray in the evening." }
+            ],
+            safety: {
+                pets: "Insecticidal soap is low risk once dry.",
+                children: "Low risk once dry."
+            },
+            avoid: [
+                { pattern: /high.nitrogen|nitrogen.rich/i, reason: "Heavy nitrogen feeding produces the soft growth aphids thrive on." }
+            ]
+        },
+        {
+            id: 'spider_mites',
+            name: "Spider Mites",
+            kind: 'pest',
+            aliases: ["spider mite", "spider mites", "red spider mite", "two-spotted mite"],
+            symptoms: ["Fine pale speckling on leaves", "Fine webbing between leaves and stems", "Tiny moving dots on leaf undersides"],
+            hosts: ["Houseplants in dry air", "Beans", "Cucumbers", "Roses", "Palms"],
+            treatments: [
+                { name: "Rinse leaves", dosage: "Shower the undersides every few days", notes: "Mites dislike humidity." },
+                { name: "Insecticidal soap", dosage: "As labelled, or 1-2% pure castile soap, every 5-7 days for 3 weeks", notes: "Cover leaf undersides." },
+                { name: "Horticultural oil", dosage: "1-2% solution, as labelled", notes: "Not in heat above 30 °C or full sun." }
+            ],
+            safety: {
+                pets: "Low risk once dry.",
+                children: "Low risk once dry."
+            },
+            avoid: []
+        },
+        {
+            id: 'mealybugs',
+            name: "Mealybugs",
+            kind: 'pest',
+            aliases: ["mealybug", "mealybugs", "mealy bug"],
+            symptoms: ["White, cottony clumps in leaf joints", "Sticky honeydew", "Stunted, yellowing growth"],
+            hosts: ["Succulents and cacti", "Orchids", "Citrus", "Hoya", "Coleus"],
+            treatments: [
+                { name: "Dab with alcohol", dosage: "Cotton swab dipped in 70% isopropyl alcohol, directly on each bug", notes: "Test on one leaf first; repeat weekly." },
+                { name: "Insecticidal soap", dosage: "As labelled, every 7 days", notes: "" },
+                { name: "Isolate the plant", dosage: "Until clean for 3 weeks", notes: "" }
+            ],
+            safety: {
+                pets: "Keep alcohol bottles away from pets.",
+                children: "Alcohol is poisonous to swallow; keep it out of reach."
+            },
+            avoid: []
+        },
+        {
+            id: 'scale',
+            name: "Scale Insects",
+            kind: 'pest',
+            aliases: ["scale", "scale insects", "soft scale", "armored scale"],
+            symptoms: ["Brown or grey bumps on stems and leaf veins", "Sticky leaves and sooty mold", "Yellowing and leaf drop"],
+            hosts: ["Citrus", "Ficus", "Ferns", "Orchids", "Palms", "Bay laurel"],
+            treatments: [
+                { name: "Scrape off", dosage: "With a fingernail or soft brush", notes: "" },
+                { name: "Horticultural oil", dosage: "1-2% solution, as labelled, every 2 weeks", notes: "Smothers the insects; not in heat or full sun." }
+            ],
+            safety: {
+                pets: "Low risk once dry.",
+                children: "Low risk once dry."
+            },
+            avoid: []
+        },
+        {
+            id: 'whiteflies',
+            name: "Whiteflies",
+            kind: 'pest',
+            aliases: ["whitefly", "whiteflies", "white fly"],
+            symptoms: ["Tiny white insects that fly up when the plant is touched", "Sticky leaves and sooty mold", "Yellowing leaves"],
+            hosts: ["Tomatoes", "Hibiscus", "Poinsettia", "Cabbage family", "Fuchsia"],
+            treatments: [
+                { name: "Yellow sticky traps", dosage: "One per plant or every 1-2 m", notes: "" },
+                { name: "Insecticidal soap", dosage: "As labelled, on leaf undersides every 5-7 days", notes: "" },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L)", notes: "" }
+            ],
+            safety: {
+                pets: "Place sticky traps where pets can't reach them.",
+                children: "Keep sticky traps out of children's reach."
+            },
+            avoid: []
+        },
+        {
+            id: 'fungus_gnats',
+            name: "Fungus Gnats",
+            kind: 'pest',
+            aliases: ["fungus gnat", "fungus gnats", "sciarid fly"],
+            symptoms: ["Small black flies around the soil", "Larvae in the top layer of wet soil", "Seedlings wilting or collapsing"],
+            hosts: ["Houseplants in moist soil", "Seedlings"],
+            treatments: [
+                { name: "Let the soil dry", dosage: "Top 3-5 cm dry between waterings", notes: "Larvae die in dry soil." },
+                { name: "Bti drench", dosage: "Bacillus thuringiensis israelensis, as labelled (e.g. soak a mosquito dunk)", notes: "Kills larvae; harmless to people and pets." },
+                { name: "Yellow sticky traps", dosage: "Laid just above the soil", notes: "Catches adults." }
+            ],
+            safety: {
+                pets: "Bti is safe for pets. Keep sticky traps out of reach.",
+                children: "Bti is safe for children."
+            },
+            avoid: [
+                { pattern: /water (it )?(more|daily|every day|frequently)|keep (the )?soil (moist|wet)/i, reason: "Moist soil is where fungus gnats breed." }
+            ]
+        },
+        {
+            id: 'thrips',
+            name: "Thrips",
+            kind: 'pest',
+            aliases: ["thrip", "thrips"],
+            symptoms: ["Silvery streaks and specks on leaves", "Black specks of droppings", "Distorted flowers and buds"],
+            hosts: ["Onions", "Roses", "Gladiolus", "Houseplants", "Peppers"],
+            treatments: [
+                { name: "Blue sticky traps", dosage: "One per plant", notes: "" },
+                { name: "Insecticidal soap", dosage: "As labelled, every 5 days for 3 weeks", notes: "" },
+                { name: "Neem oil", dosage: "As labelled, usually 2 tbsp per gallon (8 mL per L)", notes: "" }
+            ],
+            safety: {
+                pets: "Low risk once dry. Keep sticky traps out of reach.",
+                children: "Low risk once dry."
+            },
+            avoid: []
+        }
+    ]
+};
+
+// Warnings for any remedy, whatever the diagnosis. `unless` exempts safe uses (e.g. bleach for tools).
+const REMEDY_SAFETY_RULES = [
+    { pattern: /vinegar|acetic acid/i, severity: 'danger', warning: "Vinegar is a weed killer: even diluted it can scorch leaves and acidify the soil. It isn't a vetted treatment for plant diseases." },
+    { pattern: /bleach|sodium hypochlorite/i, unless: /tool|shear|scissor|pruner|blade|pots?\b|container/i, severity: 'danger', warning: "Never spray bleach on plants. It kills tissue and is toxic to pets and children; use it only to disinfect tools and pots." },
+    { pattern: /ammonia/i, severity: 'danger', warning: "Ammonia burns plants and its fumes harm people and pets." },
+    { pattern: /tobacco|nicotine|cigarette/i, severity: 'danger', warning: "Tobacco or nicotine sprays are highly toxic to pets and children and banned as pesticides in many countries." },
+    { pattern: /borax|boric acid/i, severity: 'danger', warning: "Borax is toxic to pets and children, and boron builds up to levels that poison plants." },
+    { pattern: /moth ?balls?|naphthalene/i, severity: 'danger', warning: "Mothballs are toxic to pets and children and contaminate soil." },
+    { pattern: /kerosene|paraffin|gasoline|petrol|motor oil|diesel/i, severity: 'danger', warning: "Fuels and motor oil kill plants and are dangerous to people and pets." },
+    { pattern: /(^|[^a-z])salt\b/i, unless: /epsom/i, severity: 'danger', warning: "Salt damages roots and makes soil unusable for years." },
+    { pattern: /dish ?(soap|washing|liquid|detergent)|washing.up liquid|detergent/i, severity: 'caution', warning: "Dish soaps and detergents strip the leaf's protective wax. Use insecticidal soap or pure castile soap at no more than 2%, test a few leaves first and don't spray in full sun." },
+    { pattern: /baking soda|sodium bicarbonate|bicarbonate of soda/i, severity: 'caution', warning: "More than 1 tbsp per gallon (3.8 L) burns leaves, and sodium builds up in the soil with repeated use. Potassium bicarbonate is gentler." },
+    { pattern: /essential oil|tea tree|peppermint oil|eucalyptus oil|citrus oil|clove oil|cinnamon oil/i, severity: 'caution', warning: "Essential oils are toxic to cats and dogs even in small amounts and can burn leaves." },
+    { pattern: /\bneem/i, severity: 'caution', warning: "Spray neem in the evening, not in heat or full sun, and keep pets from licking treated leaves. Avoid open flowers to protect bees." },
+    { pattern: /garlic|onion|chives?\b/i, severity: 'caution', warning: "Garlic and onion are toxic to dogs and cats that chew treated plants." },
+    { pattern: /cayenne|chil(e|i|li)\b|hot pepper|capsaicin/i, severity: 'caution', warning: "Pepper sprays sting the eyes and skin of pets and children. Wear gloves." },
+    { pattern: /rubbing alcohol|isopropyl|surgical spirit/i, severity: 'caution', warning: "Only dab 70% alcohol onto pests or dilute it at least 1 to 7; stronger sprays burn leaves. Alcohol is poisonous to swallow." },
+    { pattern: /hydrogen peroxide/i, severity: 'caution', warning: "Use only 3% hydrogen peroxide, diluted. Stronger solutions burn roots and irritate skin and eyes." },
+    { pattern: /copper/i, severity: 'caution', warning: "Copper builds up in soil and is harmful to pets and fish if eaten. Follow the label exactly." },
+    { pattern: /sulfur|sulphur/i, severity: 'caution', warning: "Sulfur burns leaves above 32 °C or within 2 weeks of an oil spray." }
+];
+
+const normalizeDiseaseName = (name) => (name || '').toLowerCase().replace(/\([^)]*\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Finds the knowledge base entry for a diagnosis: one whose name or alias appears in it as whole words.
+ * The longest match wins, so "Bacterial Leaf Spot" matches its own entry rather than plain leaf spot.
+ * @param {string} disease - A predicted disease, e.g. "Leaf Spot (fungal)".
+ * @returns {object|null} The entry, or null for healthy plants and unknown problems.
+ */
+const findKnowledgeEntry = (disease) => {
+    const normalized = normalizeDiseaseName(disease);
+    if (!normalized || isHealthyDiagnosis(normalized)) return null;
+
+    const padded = ` ${normalized} `;
+    let best = null;
+    KNOWLEDGE_BASE.entries.forEach(entry => {
+        [entry.name, ...entry.aliases].map(normalizeDiseaseName).forEach(term => {
+            if (padded.includes(` ${term} `) && (!best || term.length > best.length)) best = { entry, length: term.length };
+        });
+    });
+    return best?.entry || null;
+};
+
+/**
+ * Checks a remedy against the general safety rules and the diagnosis' own warnings.
+ * @param {string} remedy - One remedy from the model.
+ * @param {object|null} entry - The matched knowledge base entry, if any.
+ * @returns {Array<object>} { severity: 'danger' | 'caution' | 'conflict', message }, most serious first.
+ */
+const checkRemedySafety = (remedy, entry) => {
+    const warnings = [
+        ...REMEDY_SAFETY_RULES
+            .filter(rule => rule.pattern.test(remedy) && !(rule.unless && rule.unless.test(remedy)))
+            .map(rule => ({ severity: rule.severity, message: rule.warning })),
+        ...(entry?.avoid || [])
+            .filter(rule => rule.pattern.test(remedy))
+            .map(rule => ({ severity: 'conflict', message: rule.reason }))
+    ];
+    const order = ['danger', 'conflict', 'caution'];
+    return warnings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+};
+
+/**
+ * Searches the knowledge base by name, alias, symptom or host plant.
+ * @param {string} text - Search text; every word must match somewhere in an entry.
+ * @param {string} kind - 'all', 'disease' or 'pest'.
+ * @returns {Array<object>} Matching entries, sorted by name.
+ */
+const searchKnowledgeBase = (text, kind = 'all') => {
+    const words = normalizeDiseaseName(text).split(' ').filter(Boolean);
+    return KNOWLEDGE_BASE.entries
+        .filter(entry => kind === 'all' || entry.kind === kind)
+        .filter(entry => {
+            const haystack = normalizeDiseaseName([entry.name, ...entry.aliases, ...entry.symptoms, ...entry.hosts].join(' '));
+            return words.every(word => haystack.includes(word));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// --- Local Data Store ---
+// In local mode, documents live in IndexedDB instead of Cloud Firestore. They are all loaded into
+// memory at startup, written through on every change and announced to other tabs over a
+// BroadcastChannel. Only the Firestore features the Data Access functions below need are supported.
+// Records are { path, parentPath, id, data }; server timestamps are stored as epoch milliseconds.
+
+const splitDocPath = (path) => {
+    const slash = path.lastIndexOf('/');
+    return { parentPath: path.slice(0, slash), id: path.slice(slash + 1) };
+};
+
+/**
+ * Opens the local store and loads every document into memory.
+ * @returns {Promise<object>} The store, used wherever a Firestore instance would be.
+ */
+const openLocalStore = async () => {
+    const { dbName, storeName, channelName } = LOCAL_STORE_CONFIG;
+    const database = await openIndexedDb(dbName, storeName, 'path');
+    const records = await runIndexedDbTransaction(database, storeName, 'readonly', objectStore => objectStore.getAll());
+    const store = {
+        isLocal: true,
+        database,
+        documents: new Map(records.map(record => [record.path, record])),
+        listeners: new Set(),
+        channel: typeof BroadcastChannel === 'function' ? new BroadcastChannel(channelName) : null
+    };
+
+    if (store.channel) {
+        // Another tab wrote these documents; reload them so this tab's listeners see the change
+        store.channel.onmessage = async (event) => {
+            const { paths } = event.data;
+            const reloaded = await Promise.all(paths.map(path => runIndexedDbTransaction(database, storeName, 'readonly', objectStore => objectStore.get(path))));
+            paths.forEach((path, index) => {
+                if (reloaded[index]) store.documents.set(path, reloaded[index]);
+                else store.documents.delete(path);
+            });
+            notifyLocalListeners(store, paths);
+        };
+    }
+    return store;
+};
+
+const notifyLocalListeners = (store, paths) => {
+    const parentPaths = new Set(paths.map(path => splitDocPath(path).parentPath));
+    store.listeners.forEach(listener => {
+        if (parentPaths.has(listener.path)) listener.run();
+    });
+};
+
+/**
+ * Applies writes atomically: one IndexedDB transaction, then memory, listeners and other tabs.
+ * @param {object} store - The local store.
+ * @param {Array<object>} writes - { path, data } to set a document, or { path, data: null } to delete it.
+ * @returns {Promise<void>}
+ */
+const commitLocalWrites = async (store, writes) => {
+    const records = writes.map(({ path, data }) => (data ? { path, ...splitDocPath(path), data } : { path, deleted: true }));
+    await runIndexedDbTransaction(store.database, LOCAL_STORE_CONFIG.storeName, 'readwrite', (objectStore) => {
+        records.forEach(record => (record.deleted ? objectStore.delete(record.path) : objectStore.put(record)));
+    });
+    records.forEach(record => (record.deleted ? store.documents.delete(record.path) : store.documents.set(record.path, record)));
+
+    const paths = records.map(record => record.path);
+    notifyLocalListeners(store, paths);
+    store.channel?.postMessage({ paths });
+};
+
+// Collections have an odd number of path segments and documents an even number, as in Firestore.
+const localRef = (store, path) => ({
+    store,
+    path,
+    id: splitDocPath(path).id,
+    type: path.split('/').length % 2 === 1 ? 'collection' : 'document'
+});
+
+const localDocSnapshot = (store, path) => {
+    const record = store.documents.get(path);
+    return {
+        id: splitDocPath(path).id,
+        ref: localRef(store, path),
+        exists: () => Boolean(record),
+        data: () => (record ? structuredClone(record.data) : undefined)
+    };
+};
+
+// Orders values like Firestore does within one type: missing values first, then numbers, strings, ...
+const compareLocalValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matchesLocalWhere = (value, op, expected) => {
+    if (op === '==') return value === expected;
+    if (op === '!=') return value !== expected;
+    if (value === undefined || value === null) return false; // Range filters skip missing values, as in Firestore
+    const order = compareLocalValues(value, expected);
+    return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[op];
+};
+
+/**
+ * Evaluates a query against the documents in memory.
+ * @param {object} localQuery - A local collection ref or query ({ store, path, constraints }).
+ * @returns {object} A snapshot with `docs` and `empty`, like Firestore's QuerySnapshot.
+ */
+const runLocalQuery = ({ store, path, constraints = [] }) => {
+    let records = [...store.documents.values()].filter(record => record.parentPath === path);
+    const orderings = constraints.filter(constraint => constraint.type === 'orderBy');
+    const limitConstraint = constraints.find(constraint => constraint.type === 'limit');
+
+    constraints.filter(constraint => constraint.type === 'where').forEach(({ field, op, value }) => {
+        records = records.filter(record => matchesLocalWhere(record.data[field], op, value));
+    });
+    // Firestore leaves out documents that lack an orderBy field
+    orderings.forEach(({ field }) => {
+        records = records.filter(record => record.data[field] !== undefined);
+    });
+    records.sort((a, b) => {
+        for (const { field, direction } of orderings) {
+            const order = compareLocalValues(a.data[field], b.data[field]);
+            if (order !== 0) return direction === 'desc' ? -order : order;
+        }
+        return compareLocalValues(a.id, b.id);
+    });
+    if (limitConstraint) records = records.slice(0, limitConstraint.count);
+
+    const docs = records.map(record => localDocSnapshot(store, record.path));
+    return { docs, empty: docs.length === 0, size: docs.length };
+};
+
+// --- Data Access ---
+// All reads and writes go through these Firestore-shaped functions, so the rest of the app works the
+// same with either store: `db` is a Cloud Firestore instance or, in local mode, the local store.
+// Refs and queries remember their store; query constraints and serverTimestamp() are store-neutral
+// descriptors that are translated when used. Server timestamps are resolved in top-level fields only.
+
+const isLocalTarget = (target) => target?.isLocal === true || target?.store?.isLocal === true;
+
+const SERVER_TIMESTAMP = Object.freeze({ serverTimestamp: true });
+
+const resolveServerTimestamps = (data, now) => Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, value === SERVER_TIMESTAMP ? now() : value])
+);
+const toFirestoreData = (data) => resolveServerTimestamps(data, firestoreSdk.serverTimestamp);
+const toLocalData = (data) => resolveServerTimestamps(data, Date.now);
+
+const serverTimestamp = () => SERVER_TIMESTAMP;
+// For timestamps written as values rather than by the server, e.g. when restoring a backup
+const timestampFromDate = (db, date) => (isLocalTarget(db) ? date.getTime() : firestoreSdk.Timestamp.fromDate(date));
+const where = (field, op, value) => ({ type: 'where', field, op, value });
+const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+const limit = (count) => ({ type: 'limit', count });
+
+const toFirestoreConstraint = (constraint) => {
+    if (constraint.type === 'where') return firestoreSdk.where(constraint.field, constraint.op, constraint.value);
+    if (constraint.type === 'orderBy') return firestoreSdk.orderBy(constraint.field, constraint.direction);
+    return firestoreSdk.limit(constraint.count);
+};
+
+// `parent` is a store/Firestore instance or a document ref, as in Firestore's collection() and doc().
+const collection = (parent, ...pathSegments) => (isLocalTarget(parent)
+    ? localRef(parent.store || parent, [parent.path, ...pathSegments].filter(Boolean).join('/'))
+    : firestoreSdk.collection(parent, ...pathSegments));
+
+// As in Firestore, doc(collectionRef) refers to a new document with a generated ID.
+const doc = (parent, ...pathSegments) => {
+    if (!isLocalTarget(parent)) return firestoreSdk.doc(parent, ...pathSegments);
+    const segments = pathSegments.length === 0 && parent.type === 'collection'
+        ? [crypto.randomUUID().replace(/-/g, '').slice(0, 20)]
+        : pathSegments;
+    return localRef(parent.store || parent, [parent.path, ...segments].filter(Boolean).join('/'));
+};
+
+const query = (ref, ...constraints) => (isLocalTarget(ref)
+    ? { ...ref, type: 'query', constraints: [...(ref.constraints || []), ...constraints] }
+    : firestoreSdk.query(ref, ...constraints.map(toFirestoreConstraint)));
+
+const getDocs = async (ref) => (isLocalTarget(ref) ? runLocalQuery(ref) : firestoreSdk.getDocs(ref));
+
+const getDoc = async (ref) => (isLocalTarget(ref) ? localDocSnapshot(ref.store, ref.path) : firestoreSdk.getDoc(ref));
+
+const onSnapshot = (ref, onNext, onError) => {
+    if (!isLocalTarget(ref)) return firestoreSdk.onSnapshot(ref, onNext, onError);
+    const listener = {
+        path: ref.path,
+        run: () => {
+            try {
+                onNext(runLocalQuery(ref));
+            } catch (error) {
+                if (onError) onError(error);
+            }
+        }
+    };
+    ref.store.listeners.add(listener);
+    // Like Firestore, deliver the first snapshot asynchronously
+    Promise.resolve().then(() => {
+        if (ref.store.listeners.has(listener)) listener.run();
+    });
+    return () => ref.store.listeners.delete(listener);
+};
+
+const addDoc = async (collectionRef, data) => {
+    if (!isLocalTarget(collectionRef)) return firestoreSdk.addDoc(collectionRef, toFirestoreData(data));
+    const ref = doc(collectionRef);
+    await commitLocalWrites(ref.store, [{ path: ref.path, data: toLocalData(data) }]);
+    return ref;
+};
+
+// Writes a whole document, creating it if needed; with { merge: true } only the given fields change.
+const setDoc = async (ref, data, { merge = false } = {}) => {
+    if (!isLocalTarget(ref)) return firestoreSdk.setDoc(ref, toFirestoreData(data), { merge });
+    const existing = merge ? ref.store.documents.get(ref.path)?.data : null;
+    await commitLocalWrites(ref.store, [{ path: ref.path, data: { ...existing, ...toLocalData(data) } }]);
+};
+
+const updateDoc = async (ref, changes) => {
+    if (!isLocalTarget(ref)) return firestoreSdk.updateDoc(ref, toFirestoreData(changes));
+    const existing = ref.store.documents.get(ref.path);
+    if (!existing) throw new Error(`No document to update: ${ref.path}`);
+    await commitLocalWrites(ref.store, [{ path: ref.path, data: { ...existing.data, ...toLocalData(changes) } }]);
+};
+
+const deleteDoc = async (ref) => {
+    if (!isLocalTarget(ref)) return firestoreSdk.deleteDoc(ref);
+    await commitLocalWrites(ref.store, [{ path: ref.path, data: null }]);
+};
+
+const writeBatch = (db) => {
+    if (!isLocalTarget(db)) {
+        const batch = firestoreSdk.writeBatch(db);
+        return {
+            set: (ref, data) => batch.set(ref, toFirestoreData(data)),
+            update: (ref, changes) => batch.update(ref, toFirestoreData(changes)),
+            delete: (ref) => batch.delete(ref),
+            commit: () => batch.commit()
+        };
+    }
+    const writes = [];
+    return {
+        set: (ref, data) => writes.push({ path: ref.path, data: toLocalData(data) }),
+        update: (ref, changes) => {
+            const existing = db.documents.get(ref.path);
+            if (!existing) throw new Error(`No document to update: ${ref.path}`);
+            writes.push({ path: ref.path, data: { ...existing.data, ...toLocalData(changes) } });
+        },
+        delete: (ref) => writes.push({ path: ref.path, data: null }),
+        commit: () => commitLocalWrites(db, writes)
+    };
+};
+
+// --- AI Providers ---
+// Components talk to the model only through a provider object:
+//   analyzeImage(images, schema, { prompt, signal }) -> Promise<object>   parsed JSON matching `schema`
+//   generateJson(prompt, schema, { signal }) -> Promise<object>   text-only request for JSON matching `schema`
+//   chat(history, systemPrompt, { onToken, signal, tools }) -> Promise<{ text, interrupted, functionCalls }>
+//     `tools` are function declarations the model may call instead of answering; the calls come back in
+//     `functionCalls` ({ name, args }) and their results are sent as a history entry { role: 'user', functionResponses }.
+//     With `onToken`, the reply is streamed and each new chunk of text is passed to it as it arrives.
+//     Aborting `signal` mid-stream resolves with the partial text and `interrupted: true`.
+// `images` are { mimeType, data } with base64 data; `history` entries are { role: 'user' | 'model', text, images? }.
+// Failures reject with an ApiError (see API_ERROR_TYPES); aborting `signal` rejects with an AbortError,
+// except for streamed chat, which resolves as interrupted.
+
+/**
+ * Builds a Gemini provider that calls the generateContent REST endpoint.
+ * @param {object} config - { apiKey, model, baseUrl, timeoutMs } where timeoutMs, default 30000, limits each
+ *   request and, for streamed replies, the longest gap between chunks.
+ * @returns {object} Provider implementing analyzeImage, generateJson and chat.
+ */
+const createGeminiProvider = ({ apiKey = "", model, baseUrl, timeoutMs = 30000 }) => {
+    // POSTs once, classifying every failure. On success the request's timer is still running so a
+    // streamed body can keep restarting it; the caller must dispose() it.
+    const post = async (apiUrl, payload, signal) => {
+        const request = createRequestSignal(timeoutMs, signal);
+        try {
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: request.signal
+            });
+            if (!response.ok) {
+                throw await classifyHttpError(response);
+            }
+            return { response, request };
+        } catch (error) {
+            request.dispose();
+            throw toApiError(error, request);
+        }
+    };
+
+    // `read` and `parse` run inside the retry loop, so an unreadable answer is asked for again.
+    const generateContent = async (payload, { signal, read = extractCandidateText, parse = text => text } = {}) => {
+        const apiUrl = `${baseUrl}/${model}:generateContent?key=${apiKey}`;
+        return retryWithBackoff(async () => {
+            const { response, request } = await post(apiUrl, payload, signal);
+            try {
+                return parse(read(await response.json()));
+            } catch (error) {
+                throw toApiError(error, request);
+            } finally {
+                request.dispose();
+            }
+        }, { signal });
+    };
+
+    // Streams a reply over server-sent events, passing each text chunk to onToken.
+    const streamGenerateContent = async (payload, { onToken, signal }) => {
+        const apiUrl = `${baseUrl}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+        // Only opening the stream is retried; a stream that fails midway keeps its partial text.
+        let opened;
+        try {
+            opened = await retryWithBackoff(() => post(apiUrl, payload, signal), { signal });
+        } catch (error) {
+            if (error.name === 'AbortError') return { text: '', interrupted: true };
+            throw error;
+        }
+
+        const { response, request } = opened;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let lastChunk = null;
+        const functionCalls = [];
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                request.restart();
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    lastChunk = JSON.parse(line.slice(5));
+                    const delta = (lastChunk.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+                    if (delta) {
+                        text += delta;
+                        onToken(delta);
+                    }
+                    functionCalls.push(...extractFunctionCalls(lastChunk));
+                }
+            }
+        } catch (rawError) {
+            const error = toApiError(rawError, request);
+            if (error.name === 'AbortError') return { text, interrupted: true };
+            error.partialText = text;
+            throw error;
+        } finally {
+            request.dispose();
+        }
+        if (functionCalls.length > 0) return { text, interrupted: false, functionCalls };
+        // An empty stream is classified from its last chunk, which carries the block or finish reason
+        return { text: text || extractCandidateText(lastChunk), interrupted: false, functionCalls };
+    };
+
+    return {
+        name: 'gemini',
+        model,
+
+        analyzeImage: async (images, schema, { prompt, signal }) => {
+            return generateContent({
+                contents: [
+                    {
+                        role: "user",
+                        parts: [
+                            { text: prompt },
+                            ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+                        ]
+                    }
+                ],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: schema
+                }
+            }, { signal, parse: JSON.parse });
+        },
+
+        generateJson: async (prompt, schema, { signal } = {}) => {
+            return generateContent({
+                contents: [{ role: "user", parts: [{ text: prompt }] }],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: schema
+                }
+            }, { signal, parse: JSON.parse });
+        },
+
+        chat: async (history, systemPrompt, { onToken, signal, tools } = {}) => {
+            const payload = {
+                contents: history.map(msg => ({
+                    role: msg.role === 'user' ? 'user' : 'model',
+                    parts: msg.functionResponses
+                        ? msg.functionResponses.map(({ name, response }) => ({ functionResponse: { name, response } }))
+                        : [
+                            ...(msg.text ? [{ text: msg.text }] : []),
+                            ...(msg.images || []).map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+                            ...(msg.functionCalls || []).map(({ name, args, thoughtSignature }) => ({
+                                functionCall: { name, args },
+                                ...(thoughtSignature ? { thoughtSignature } : {})
+                            }))
+                        ]
+                })),
+                systemInstruction: {
+                    parts: [{ text: systemPrompt }]
+                },
+                ...(tools?.length ? { tools: [{ functionDeclarations: tools }] } : {})
+            };
+            if (onToken) return streamGenerateContent(payload, { onToken, signal });
+            return generateContent(payload, {
+                signal,
+                read: (result) => {
+                    const functionCalls = extractFunctionCalls(result);
+                    if (functionCalls.length > 0) {
+                        const text = (result.candidates[0].content.parts || []).map(part => part.text || '').join('');
+                        return { text, interrupted: false, functionCalls };
+                    }
+                    return { text: extractCandidateText(result), interrupted: false, functionCalls };
+                }
+            });
+        }
+    };
+};
+
+// Canned diagnoses returned by the mock provider, picked by a hash of the image data.
+const MOCK_DIAGNOSES = [
+    {
+        health_percentage: 92,
+        predicted_disease: "Healthy",
+        home_remedies: [
+            "Your plant looks healthy and vigorous.",
+            "Water deeply once the top inch of soil is dry.",
+            "Wipe dust off the leaves with a damp cloth every few weeks.",
+            "Rotate the pot a quarter turn weekly for even growth."
+        ],
+        confidence: 0.9,
+        severity: "none",
+        affected_part: "none",
+        alternative_diagnoses: [],
+        affected_regions: []
+    },
+    {
+        health_percentage: 64,
+        predicted_disease: "Powdery Mildew",
+        home_remedies: [
+            "Mild powdery mildew is present on several leaves.",
+            "Spray a mix of 1 tablespoon baking soda and a few drops of liquid soap in 1 gallon of water.",
+            "Remove the worst affected leaves and bin them.",
+            "Improve air circulation and water at the soil, not the leaves."
+        ],
+        confidence: 0.78,
+        severity: "moderate",
+        affected_part: "leaf",
+        alternative_diagnoses: [
+            { disease: "Downy Mildew", probability: 0.14 },
+            { disease: "Dust or Spray Residue", probability: 0.05 }
+        ],
+        affected_regions: [
+            { x: 0.18, y: 0.22, width: 0.3, height: 0.25, label: "White powdery coating", photo_index: 1 },
+            { x: 0.55, y: 0.5, width: 0.25, height: 0.2, label: "Early mildew patch", photo_index: 1 }
+        ]
+    },
+    {
+        health_percentage: 41,
+        predicted_disease: "Leaf Spot",
+        home_remedies: [
+            "Fungal leaf spot is spreading across the lower leaves.",
+            "Prune spotted leaves with clean scissors.",
+            "Avoid overhead watering and let the soil surface dry between waterings.",
+            "Apply a diluted neem oil spray weekly for three weeks."
+        ],
+        confidence: 0.46,
+        severity: "severe",
+        affected_part: "leaf",
+        alternative_diagnoses: [
+            { disease: "Bacterial Leaf Spot", probability: 0.3 },
+            { disease: "Sunscald", probability: 0.15 },
+            { disease: "Potassium Deficiency", probability: 0.09 }
+        ],
+        affected_regions: [
+            { x: 0.1, y: 0.55, width: 0.35, height: 0.3, label: "Dark spots with yellow halos", photo_index: 1 }
+        ]
+    }
+];
+
+/**
+ * Cheap deterministic string hash (FNV-1a) used to make the mock provider repeatable.
+ * @param {string} text - Input string.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Produces a placeholder value that satisfies a Gemini response schema.
+ * Used by the mock provider for schemas it has no canned fixture for.
+ * @param {object} schema - Gemini responseSchema (OBJECT/ARRAY/STRING/NUMBER/...).
+ * @param {number} seed - Deterministic seed.
+ * @returns {any} A value shaped like the schema.
+ */
+const mockValueFromSchema = (schema, seed) => {
+    switch (schema.type) {
+        case "OBJECT":
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, prop], index) => [key, mockValueFromSchema(prop, seed + index)]));
+        case "ARRAY":
+            return [0, 1].map(index => mockValueFromSchema(schema.items, seed + index));
+        case "NUMBER":
+        case "INTEGER":
+            return seed % 100;
+        case "BOOLEAN":
+            return seed % 2 === 0;
+        default:
+            return schema.enum ? schema.enum[seed % schema.enum.length] : `Mock value ${seed % 1000}`;
+    }
+};
+
+// Care schedule returned by the mock provider; `treatment` tasks are dropped for healthy plants.
+const MOCK_CARE_SCHEDULE = {
+    summary: "Here's a simple routine to keep your plant on track.",
+    tasks: [
+        { type: "water", title: "Water when the top inch of soil is dry", every: 3, unit: "day", start_in_days: 0, notes: "Water at the soil, not the leaves." },
+        { type: "pest_check", title: "Check leaf undersides for spots and pests", every: 1, unit: "week", start_in_days: 2, notes: "" },
+        { type: "fertilize", title: "Feed with diluted balanced fertilizer", every: 2, unit: "week", start_in_days: 7, notes: "Half the label strength." },
+        { type: "pest_check", title: "Spray with baking soda and soap solution", every: 1, unit: "week", start_in_days: 0, notes: "1 tbsp baking soda and a few drops of soap per gallon of water.", treatment: true },
+        { type: "rescan", title: "Re-scan to see if the treatment is working", every: 0, unit: "day", start_in_days: 10, notes: "", treatment: true }
+    ]
+};
+
+// Keyword-matched replies for the mock chat; the first match wins.
+const MOCK_CHAT_REPLIES = [
+    { keywords: ['vacation', 'holiday', 'away'], text: "Going away? Group your pots together out of direct sun and set up a simple wick from a jar of water into each pot. A pierced water bottle pushed into the soil works well for a week too." },
+    { keywords: ['water', 'watering'], text: "Check the soil with your finger: water only when the top inch feels dry, then water deeply until it drains from the bottom. Empty the saucer afterwards so the roots don't sit in water." },
+    { keywords: ['yellow'], text: "Yellow leaves usually mean too much water or a lack of nitrogen. Let the soil dry out a bit more between waterings, and feed with a diluted balanced fertilizer if it has been a while." },
+    { keywords: ['pest', 'bug', 'aphid', 'mite'], text: "Rinse the pests off with a strong spray of water, then wipe the leaves with a mild soapy water mix (a teaspoon of liquid soap per litre). Repeat every few days for two weeks." }
+];
+
+// When tools are offered, the mock calls the first one whose keywords appear in the user's message.
+const MOCK_TOOL_CALLS = [
+    { keywords: ['remind me'], name: 'add_care_task', args: { type: 'pest_check', title: 'Check the leaves for pests', start_in_days: 1 } },
+    { keywords: ['schedule', 'due today', 'my tasks'], name: 'get_care_schedule', args: {} },
+    { keywords: ['my plants', 'my garden', 'which plants'], name: 'list_plants', args: {} }
+];
+
+/**
+ * Builds a deterministic, network-free provider for local development and automated tests.
+ * @param {object} config - { latencyMs } simulated response delay.
+ * @returns {object} Provider implementing analyzeImage, generateJson and chat.
+ */
+const createMockProvider = ({ latencyMs = 0 } = {}) => {
+    const respond = async (value, signal) => {
+        if (latencyMs > 0) await sleep(latencyMs, signal);
+        return value;
+    };
+
+    return {
+        name: 'mock',
+        model: 'mock',
+
+        analyzeImage: async (images, schema, { prompt, signal } = {}) => {
+            const seed = hashString(images.map(image => image.data.slice(0, 2048)).join('') + (prompt || ''));
+            if (schema === ANALYSIS_RESPONSE_SCHEMA) {
+                const diagnosis = structuredClone(MOCK_DIAGNOSES[seed % MOCK_DIAGNOSES.length]);
+                diagnosis.photo_findings = images.map((image, index) => ({
+                    photo_index: index + 1,
+                    finding: index === 0 ? diagnosis.home_remedies[0] : "Consistent with the first photo."
+                }));
+                return respond(diagnosis, signal);
+            }
+            return respond(mockValueFromSchema(schema, seed), signal);
+        },
+
+        generateJson: async (prompt, schema, { signal } = {}) => {
+            if (schema === CARE_SCHEDULE_SCHEMA) {
+                // Treatment steps only make sense when the prompt carries a diagnosis other than healthy
+                const diagnosed = /diagnosis:/i.test(prompt) && !/scan result: healthy/i.test(prompt);
+                const schedule = structuredClone(MOCK_CARE_SCHEDULE);
+                if (!diagnosed) schedule.tasks = schedule.tasks.filter(task => !task.treatment);
+                schedule.tasks.forEach(task => delete task.treatment);
+                return respond(schedule, signal);
+            }
+            return respond(mockValueFromSchema(schema, hashString(prompt)), signal);
+        },
+
+        chat: async (history, systemPrompt, { onToken, signal, tools } = {}) => {
+            const lastEntry = history[history.length - 1];
+            const lastUserMessage = [...history].reverse().find(msg => msg.role === 'user' && msg.text)?.text || '';
+            const lower = lastUserMessage.toLowerCase();
+
+            if (tools?.length && !lastEntry?.functionResponses) {
+                const call = MOCK_TOOL_CALLS.find(candidate =>
+                    candidate.keywords.some(keyword => lower.includes(keyword)) && tools.some(tool => tool.name === candidate.name));
+                if (call) return respond({ text: '', interrupted: false, functionCalls: [{ name: call.name, args: { ...call.args } }] }, signal);
+            }
+
+            let text;
+            if (lastEntry?.functionResponses) {
+                const results = lastEntry.functionResponses.map(({ name, response }) => `${name}: ${JSON.stringify(response)}`);
+                text = `(Mock gardener) Here is what I found. ${results.join(' ')}`;
+            } else {
+                const match = MOCK_CHAT_REPLIES.find(reply => reply.keywords.some(keyword => lower.includes(keyword)));
+                text = match ? match.text : `(Mock gardener) You asked: "${lastUserMessage}". Keep an eye on light, water and drainage, and let me know what you notice on the leaves.`;
+            }
+            if (!onToken) return respond({ text, interrupted: false, functionCalls: [] }, signal);
+
+            // Stream word by word, spreading the configured latency across the reply.
+            const words = text.split(/(?<=\s)/);
+            let streamed = '';
+            for (const word of words) {
+                if (signal?.aborted) return { text: streamed, interrupted: true };
+                if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs / words.length));
+                streamed += word;
+                onToken(word);
+            }
+            return { text: streamed, interrupted: false, functionCalls: [] };
+        }
+    };
+};
+
+const AI_PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Instantiates the provider selected in the configuration.
+ * @param {object} config - Shaped like AI_PROVIDER_CONFIG.
+ * @returns {object} The selected provider.
+ */
+const createAiProvider = (config) => {
+    const factory = AI_PROVIDER_FACTORIES[config.provider];
+    if (!factory) throw new Error(`Unknown AI provider "${config.provider}".`);
+    return factory(config[config.provider] || {});
+};
+
+// Checked once at startup; App shows the diagnostics screen instead of starting if anything is wrong.
+const CONFIG_CHECK = validateConfig(APP_CONFIG);
+const aiProvider = CONFIG_CHECK.canStart ? createAiProvider(AI_PROVIDER_CONFIG) : null;
+const weatherSource = CONFIG_CHECK.canStart ? createWeatherSource(WEATHER_SOURCE_CONFIG) : null;
+
+// --- Chat Threads ---
+// Shared by GardeningBot and the offline queue, which replies to messages sent while offline.
+
+const BOT_SYSTEM_PROMPT = "You are a friendly, knowledgeable, and practical home gardening expert and plant doctor. Your responses should be concise, encouraging, and focused on home remedies and simple, actionable care tips. Use common language and acknowledge the user's plant. When giving vacation tips, always prioritize simple, proven methods like wicking or bottle watering. Do not use markdown headers. Your only goal is to provide helpful, actionable advice. You can look up the user's saved plants, their scan history and their care schedule with the tools provided; use them instead of guessing or asking for details you can look up, and base what you say about them on the results. Only add a care task when the user has asked for it or agreed to your suggestion; they will be asked to confirm it.";
+
+/**
+ * Creates a conversation thread.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} fields - Fields overriding the defaults, e.g. { plantId, title }.
+ * @returns {Promise<string>} The new thread ID.
+ */
+const createThread = async (db, userId, fields = {}) => {
+    const threadRef = await addDoc(collection(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME)), {
+        title: DEFAULT_THREAD_TITLE,
+        titleSource: 'default',
+        plantId: null,
+        scanId: null,
+        scanContext: null,
+        summary: '',
+        summaryThrough: null,
+        lastMessagePreview: '',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        ...fields
+    });
+    return threadRef.id;
+};
+
+/**
+ * Appends a message to a thread and bumps the thread's preview and activity time.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread document ID.
+ * @param {object} message - { role, text, ... }.
+ * @returns {Promise<void>}
+ */
+const addThreadMessage = async (db, userId, threadId, message) => {
+    await addDoc(collection(db, getThreadMessagesPath(userId, threadId)), { ...message, timestamp: serverTimestamp() });
+    await updateDoc(doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), threadId), {
+        lastMessagePreview: message.text.slice(0, 120),
+        updatedAt: serverTimestamp()
+    });
+};
+
+/**
+ * Loads the newest messages of a thread, for replying outside the chat view.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread document ID.
+ * @returns {Promise<object>} { messages (chronological), hasOlder }.
+ */
+const loadRecentThreadMessages = async (db, userId, threadId) => {
+    const pageSize = CHAT_CONTEXT_CONFIG.maxRecentMessages;
+    const snapshot = await getDocs(query(
+        collection(db, getThreadMessagesPath(userId, threadId)),
+        orderBy('timestamp', 'desc'),
+        limit(pageSize)
+    ));
+    return {
+        messages: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(msg => msg.text || msg.toolCalls?.length).reverse(),
+        hasOlder: snapshot.docs.length === pageSize
+    };
+};
+
+/**
+ * Folds messages older than the verbatim window into the thread's running summary.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} thread - The thread document.
+ * @param {object} oldestRecent - The oldest message that is still sent verbatim.
+ * @returns {Promise<string>} The up-to-date summary.
+ */
+const updateThreadSummary = async (db, userId, thread, oldestRecent) => {
+    if (!oldestRecent?.timestamp) return thread.summary || '';
+
+    const constraints = [where('timestamp', '<', oldestRecent.timestamp), orderBy('timestamp', 'asc')];
+    if (thread.summaryThrough) constraints.unshift(where('timestamp', '>', thread.summaryThrough));
+    const snapshot = await getDocs(query(collection(db, getThreadMessagesPath(userId, thread.id)), ...constraints));
+    const unsummarized = snapshot.docs.map(doc => withContextText(doc.data())).filter(msg => msg.text && msg.kind !== 'scan_context');
+    if (unsummarized.length === 0) return thread.summary || '';
+
+    const transcript = unsummarized.map(msg => `${msg.role === 'user' ? 'User' : 'Gardener'}: ${msg.text}`).join('\n');
+    const { text: summary } = await aiProvider.chat(
+        [{ role: 'user', text: `${thread.summary ? `Summary so far:\n${thread.summary}\n\n` : ''}New messages:\n${transcript}` }],
+        `Summarize this gardening conversation for your own future reference in at most ${CHAT_CONTEXT_CONFIG.maxSummaryChars} characters. Keep plant names, symptoms, diagnoses, treatments tried and the user's preferences. Plain text only.`
+    );
+    const trimmed = summary.slice(0, CHAT_CONTEXT_CONFIG.maxSummaryChars);
+    await updateDoc(doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), thread.id), {
+        summary: trimmed,
+        summaryThrough: snapshot.docs[snapshot.docs.length - 1].data().timestamp
+    });
+    return trimmed;
+};
+
+/**
+ * Gives a thread a short title after its first exchange.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread document ID.
+ * @param {string} firstUserMessage - The message the conversation opened with.
+ * @returns {Promise<void>}
+ */
+const autoTitleThread = async (db, userId, threadId, firstUserMessage, locale = getActiveLocale()) => {
+    let title = firstUserMessage.length > 40 ? `${firstUserMessage.slice(0, 40).trim()}...` : firstUserMessage;
+    try {
+        const { text } = await aiProvider.chat(
+            [{ role: 'user', text: firstUserMessage }],
+            "Write a title of 2 to 6 words for a gardening conversation that starts with this message. Reply with the title only, no quotes or punctuation at the end." +
+                buildLanguageInstruction(locale)
+        );
+        if (text.trim() && text.trim().length <= 60) title = text.trim();
+    } catch (error) {
+        console.error("Error generating thread title:", error);
+    }
+    await updateDoc(doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), threadId), { title, titleSource: 'auto' });
+};
+
+/**
+ * Asks the model for the next reply in a thread. Does not save anything but the summary and whatever
+ * the user confirms through a write tool. The model may call BOT_TOOLS for a few rounds before answering.
+ * Older turns beyond the context budget are sent as a running summary instead.
+ * @param {object} options - { db, userId, thread, plant, conversation, hasOlderMessages, locale, growingContext, onToken,
+ *   onToolCall, confirmToolCall, signal } where `conversation` is the loaded messages ending with the user's latest turn,
+ *   `hasOlderMessages` says whether messages before it exist but weren't loaded, `growingContext` comes from
+ *   resolveGrowingContext(), `onToolCall` is passed each tool call once it has run and `confirmToolCall` is
+ *   passed on to runBotTool.
+ * @returns {Promise<object>} { text, interrupted, toolCalls } where `toolCalls` are
+ *   { name, label, args, status, summary, result } in the order they ran.
+ */
+const generateThreadReply = async ({ db, userId, thread, plant, conversation, hasOlderMessages = false, locale = getActiveLocale(), growingContext = null, onToken, onToolCall, confirmToolCall, signal }) => {
+    // Filter out messages without text property before sending to API
+    const validMessages = conversation.map(withContextText).filter(msg => msg.text && msg.kind !== 'scan_context');
+    const recent = selectRecentTurns(validMessages);
+    const hasOlderTurns = recent.length < validMessages.length || hasOlderMessages;
+
+    let summary = thread.summary || '';
+    if (hasOlderTurns) {
+        try {
+            summary = await updateThreadSummary(db, userId, thread, recent[0]);
+        } catch (error) {
+            // A stale summary still beats failing the reply
+            console.error("Error summarizing older turns:", error);
+        }
+    }
+
+    let systemPrompt = BOT_SYSTEM_PROMPT + buildLanguageInstruction(locale, 'chat');
+    if (plant) {
+        systemPrompt += ` The user is currently asking about this plant: ${describePlant(plant)}.`;
+    }
+    systemPrompt += buildGrowingContextInstruction(growingContext, 'chat');
+    if (thread.scanContext) {
+        systemPrompt += ` This conversation is about a photo scan the user ran; its photos are attached to the first message. Ground every answer in this scan and refer back to its findings:\n${thread.scanContext.text}`;
+    }
+    if (summary) {
+        systemPrompt += `\nSummary of the earlier part of this conversation:\n${summary}`;
+    }
+
+    // The scan being discussed always leads the history, however long the thread gets.
+    const history = [
+        ...(thread.scanContext ? [{
+            role: 'user',
+            text: thread.scanContext.text,
+            images: (thread.scanContext.images || []).map(dataUrlToInlineImage).filter(Boolean)
+        }] : []),
+        ...recent.map(msg => ({ role: msg.role === 'user' ? 'user' : 'model', text: msg.text }))
+    ];
+
+    // Text the model wrote alongside its tool calls has already been streamed, so it stays part of the reply.
+    const toolCalls = [];
+    let leadText = '';
+    for (let round = 0; ; round++) {
+        const tools = round < BOT_TOOL_CONFIG.maxRounds ? BOT_TOOL_DECLARATIONS : undefined;
+        const reply = await aiProvider.chat(history, systemPrompt, { onToken, signal, tools });
+        if (reply.interrupted || !reply.functionCalls?.length) {
+            return { text: leadText + reply.text, interrupted: reply.interrupted, toolCalls };
+        }
+
+        leadText += reply.text;
+        history.push({ role: 'model', text: reply.text, functionCalls: reply.functionCalls });
+        const functionResponses = [];
+        for (const call of reply.functionCalls) {
+            const outcome = await runBotTool(call, { db, userId, plant }, confirmToolCall);
+            const record = { name: call.name, label: BOT_TOOLS[call.name]?.label || call.name, args: call.args || {}, ...outcome };
+            toolCalls.push(record);
+            onToolCall?.(record);
+            functionResponses.push({ name: call.name, response: outcome.result });
+        }
+        if (signal?.aborted) return { text: leadText, interrupted: true, toolCalls };
+        history.push({ role: 'user', functionResponses });
+    }
+};
+
+// --- Care Tasks ---
+// Stored per user in CARE_TASK_COLLECTION_NAME:
+//   { plantId, type, title, notes, recurrence: { every, unit } | null, dueDate: "YYYY-MM-DD", lastDoneOn,
+//     completed, source: 'user' | 'bot', scanId, createdAt, updatedAt }
+// A recurring task is rescheduled from the day it is done; a one-off task is marked completed.
+
+const getCareTaskType = (typeId) => CARE_TASK_TYPES.find(type => type.id === typeId) || CARE_TASK_TYPES[0];
+
+const getCareTaskDoc = (db, userId, taskId) => doc(db, getUserCollectionPath(userId, CARE_TASK_COLLECTION_NAME), taskId);
+
+// Fills in the defaults of a new task: { type, dueDate } plus any of { plantId, title, notes, recurrence, source, scanId }.
+const newCareTaskData = (task) => ({
+    plantId: null,
+    title: getCareTaskType(task.type).label,
+    notes: '',
+    recurrence: null,
+    source: 'user',
+    scanId: null,
+    ...task,
+    lastDoneOn: null,
+    completed: false,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+});
+
+const addCareTask = (db, userId, task) => addDoc(collection(db, getUserCollectionPath(userId, CARE_TASK_COLLECTION_NAME)), newCareTaskData(task));
+
+/**
+ * Adds the tasks of a schedule proposed in a chat and marks the proposal accepted, in one batch
+ * so a retry can't add the tasks twice. Start days count from the day it is accepted.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} threadId - The thread holding the proposal.
+ * @param {object} proposal - The 'care_proposal' message, with its ID.
+ * @returns {Promise<void>}
+ */
+const acceptCareSchedule = async (db, userId, threadId, proposal) => {
+    const today = toDayString();
+    const tasksRef = collection(db, getUserCollectionPath(userId, CARE_TASK_COLLECTION_NAME));
+    const batch = writeBatch(db);
+    proposal.tasks.forEach(({ startInDays, ...task }) => {
+        batch.set(doc(tasksRef), newCareTaskData({
+            ...task,
+            dueDate: addToDay(today, startInDays, 'day'),
+            plantId: proposal.plantId || null,
+            scanId: proposal.scanId || null,
+            source: 'bot'
+        }));
+    });
+    batch.update(doc(db, getThreadMessagesPath(userId, threadId), proposal.id), { acceptedAt: serverTimestamp() });
+    await batch.commit();
+};
+
+const completeCareTask = (db, userId, task) => {
+    const today = toDayString();
+    const changes = task.recurrence
+        ? { dueDate: addToDay(today, task.recurrence.every, task.recurrence.unit) }
+        : { completed: true };
+    return updateDoc(getCareTaskDoc(db, userId, task.id), { ...changes, lastDoneOn: today, updatedAt: serverTimestamp() });
+};
+
+const snoozeCareTask = (db, userId, task, days) => {
+    // An overdue task is snoozed from today, not from the day it was due
+    const today = toDayString();
+    const from = task.dueDate < today ? today : task.dueDate;
+    return updateDoc(getCareTaskDoc(db, userId, task.id), { dueDate: addToDay(from, days, 'day'), updatedAt: serverTimestamp() });
+};
+
+const deleteCareTask = (db, userId, taskId) => deleteDoc(getCareTaskDoc(db, userId, taskId));
+
+/**
+ * Validates a care schedule from the model, dropping unusable tasks and clamping numbers.
+ * @param {object} result - Parsed response matching CARE_SCHEDULE_SCHEMA.
+ * @returns {object} { summary, tasks: [{ type, title, notes, recurrence, startInDays }] }.
+ * @throws {ApiError} 'malformed' if nothing usable is left.
+ */
+const validateCareSchedule = (result) => {
+    if (!result || typeof result.summary !== 'string' || !Array.isArray(result.tasks)) {
+        throw new ApiError('malformed', "Care schedule is missing its summary or tasks.");
+    }
+    const clampDays = (value) => (Number.isInteger(value) ? Math.min(Math.max(value, 0), 365) : 0);
+    const tasks = result.tasks
+        .filter(task => CARE_TASK_TYPES.some(type => type.id === task?.type) && typeof task.title === 'string' && task.title.trim())
+        .slice(0, 8)
+        .map(task => {
+            const every = clampDays(task.every);
+            return {
+                type: task.type,
+                title: task.title.trim(),
+                notes: typeof task.notes === 'string' ? task.notes.trim() : '',
+                recurrence: every > 0 && RECURRENCE_UNITS.includes(task.unit) ? { every, unit: task.unit } : null,
+                startInDays: clampDays(task.start_in_days)
+            };
+        });
+    if (tasks.length === 0) throw new ApiError('malformed', "Care schedule has no usable tasks.");
+    return { summary: result.summary.trim(), tasks };
+};
+
+/**
+ * Asks the model for a care schedule grounded in a diagnosis and the conversation so far.
+ * @param {object} options - { plant, scanContext, conversation, locale, signal }.
+ * @returns {Promise<object>} The validated schedule, see validateCareSchedule.
+ */
+const proposeCareSchedule = async ({ plant, scanContext, conversation = [], locale = getActiveLocale(), signal }) => {
+    const recent = selectRecentTurns(conversation.filter(msg => msg.text && !msg.kind));
+    const prompt = [
+        "Propose a practical home care schedule for this plant.",
+        plant ? `Plant: ${describePlant(plant)}.` : "The user hasn't said which plant this is.",
+        scanContext ? `Latest diagnosis:\n${scanContext.text}` : "There is no photo diagnosis; base the plan on the conversation.",
+        recent.length > 0 ? `Conversation so far:\n${recent.map(msg => `${msg.role === 'user' ? 'User' : 'Gardener'}: ${msg.text}`).join('\n')}` : '',
+        "Use simple household treatments. When a treatment is part of the plan, add a follow-up scan for when its effect should be visible." +
+            buildLanguageInstruction(locale)
+    ].filter(Boolean).join('\n\n');
+    const result = await aiProvider.generateJson(prompt, CARE_SCHEDULE_SCHEMA, { signal });
+    return validateCareSchedule(result);
+};
+
+/**
+ * Describes a proposed schedule in plain text, for the thread history and previews.
+ * @param {object} schedule - From proposeCareSchedule.
+ * @returns {string} The description.
+ */
+const describeCareSchedule = (schedule) => [
+    schedule.summary,
+    ...schedule.tasks.map(task => `${getCareTaskType(task.type).emoji} ${task.title}: ${formatRecurrence(task.recurrence).toLowerCase()}, ` +
+        `${task.startInDays === 0 ? 'starting today' : `starting in ${task.startInDays} day${task.startInDays === 1 ? '' : 's'}`}`)
+].join('\n');
+
+/**
+ * Shows one browser notification for care tasks that are due, announcing each task at most once a day.
+ * Goes through the service worker when there is one, so the notification also works for the installed app.
+ * @param {Array<object>} tasks - The user's care tasks.
+ * @param {Array<object>} plants - Plant profiles, for naming the plants.
+ * @returns {Promise<void>}
+ */
+const notifyDueCareTasks = async (tasks, plants) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    if (new Date().getHours() < CARE_REMINDER_CONFIG.notifyFromHour) return;
+
+    const today = toDayString();
+    let reminded = {};
+    try {
+        reminded = JSON.parse(window.localStorage.getItem(CARE_REMINDER_CONFIG.storageKey)) || {};
+    } catch (e) {
+        // Treat an unreadable record as nothing announced yet
+    }
+    const announced = reminded.day === today ? reminded.taskIds : [];
+    const due = tasks.filter(task => !task.completed && task.dueDate <= today && !announced.includes(task.id));
+    if (due.length === 0) return;
+
+    const lines = due.map(task => {
+        const plant = plants.find(p => p.id === task.plantId);
+        return `${getCareTaskType(task.type).emoji} ${task.title}${plant ? ` (${plant.name})` : ''}`;
+    });
+    const title = due.length === 1 ? "A garden task is due" : `${due.length} garden tasks are due`;
+    const options = {
+        body: lines.slice(0, 4).join('\n') + (lines.length > 4 ? `\n+${lines.length - 4} more` : ''),
+        tag: 'care-reminders', // Replaces the previous reminder instead of stacking
+        icon: 'icon.svg',
+        data: { url: './?view=today' }
+    };
+    window.localStorage.setItem(CARE_REMINDER_CONFIG.storageKey, JSON.stringify({ day: today, taskIds: [...announced, ...due.map(task => task.id)] }));
+
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) await registration.showNotification(title, options);
+    else new Notification(title, options);
+};
+
+// --- Bot Tools ---
+// Functions the gardening bot may call to look things up in the user's own garden instead of guessing.
+// Each tool has the `declaration` sent to the model and either `run(context, args)`, which returns the
+// result, or, for tools that change data (`write: true`), `prepare(context, args)`, which checks the
+// arguments and returns { summary, commit } or { error }: nothing is written until the user confirms
+// `summary` and `commit()` runs. `context` is { db, userId, plant }, with the thread's plant if it has one.
+// Results go back to the model as JSON objects, so they are kept small.
+
+const loadPlants = async (db, userId) => {
+    const snapshot = await getDocs(collection(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Finds the plant a tool call refers to, by ID or by name, ignoring case.
+ * Without a reference, the thread's own plant is used.
+ * @param {object} context - The tool context, { db, userId, plant }.
+ * @param {string} [reference] - Plant ID or name from the model.
+ * @returns {Promise<object>} { plant } or { error } to pass back to the model.
+ */
+const resolveToolPlant = async ({ db, userId, plant }, reference) => {
+    const wanted = typeof reference === 'string' ? reference.trim().toLowerCase() : '';
+    if (!wanted) {
+        return plant ? { plant } : { error: "No plant was given and this conversation isn't about a particular plant. Call list_plants and ask the user which one they mean." };
+    }
+    const plants = await loadPlants(db, userId);
+    const found = plants.find(p => p.id === reference)
+        || plants.find(p => p.name.toLowerCase() === wanted)
+        || plants.find(p => p.name.toLowerCase().includes(wanted));
+    return found ? { plant: found } : { error: `The user has no plant called "${reference}". Call list_plants to see their plants.` };
+};
+
+const describeToolTask = (task, plantsById) => ({
+    id: task.id,
+    title: task.title,
+    type: task.type,
+    plant: plantsById[task.plantId]?.name || null,
+    due: task.dueDate,
+    repeats: formatRecurrence(task.recurrence).toLowerCase()
+});
+
+const BOT_TOOLS = {
+    list_plants: {
+        label: 'Looked up your plants',
+        declaration: {
+            description: "Lists the user's saved plants with their species, location and latest known health.",
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    include_archived: { type: "BOOLEAN", description: "Also list plants the user has archived. Defaults to false." }
+                }
+            }
+        },
+        run: async ({ db, userId }, { include_archived = false }) => {
+            const plants = await loadPlants(db, userId);
+            return {
+                plants: plants
+                    .filter(plant => include_archived || !plant.archived)
+                    .map(plant => ({
+                        id: plant.id,
+                        name: plant.name,
+                        species: plant.species || null,
+                        location: plant.location || null,
+                        archived: Boolean(plant.archived),
+                        health_alert: plant.healthAlert && !plant.healthAlert.dismissed ? toToolHealthAlert(plant.healthAlert) : null
+                    }))
+            };
+        }
+    },
+    get_recent_scans: {
+        label: 'Read the scan history',
+        declaration: {
+            description: "Returns a plant's most recent photo scans, newest first: date, diagnosis, health and any remedy the user applied.",
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    plant: { type: "STRING", description: "The plant's name or ID, as returned by list_plants." },
+                    limit: { type: "INTEGER", description: `How many scans to return, 1 to ${BOT_TOOL_CONFIG.maxScansPerCall}. Defaults to 5.` }
+                },
+                required: ["plant"]
+            }
+        },
+        run: async (context, { plant: reference, limit }) => {
+            const { plant, error } = await resolveToolPlant(context, reference);
+            if (error) return { error };
+            const count = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), BOT_TOOL_CONFIG.maxScansPerCall) : 5;
+            const snapshot = await getDocs(query(
+                collection(context.db, getUserCollectionPath(context.userId, SCAN_COLLECTION_NAME)),
+                where('plantId', '==', plant.id)
+            ));
+            const scans = sortScansChronologically(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))).reverse().slice(0, count);
+            return {
+                plant: plant.name,
+                scans: scans.map(scan => ({
+                    date: toDate(scan.timestamp) ? toDayString(toDate(scan.timestamp)) : null,
+                    diagnosis: scan.predicted_disease,
+                    health_percentage: scan.health_percentage,
+                    confidence: scan.confidence ?? null,
+                    severity: scan.severity || null,
+                    remedies: scan.home_remedies || [],
+                    remedy_applied: scan.treatment ? { remedy: scan.treatment.remedy, applied_on: scan.treatment.appliedOn } : null
+                }))
+            };
+        }
+    },
+    get_care_schedule: {
+        label: 'Checked the care schedule',
+        declaration: {
+            description: "Lists the user's open care tasks (watering, feeding, pest checks, follow-up scans) with their due dates, soonest first.",
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    plant: { type: "STRING", description: "Only tasks for this plant (name or ID). Omit for all plants." }
+                }
+            }
+        },
+        run: async (context, { plant: reference }) => {
+            let plant = null;
+            if (reference) {
+                const resolved = await resolveToolPlant(context, reference);
+                if (resolved.error) return { error: resolved.error };
+                plant = resolved.plant;
+            }
+            const [plants, snapshot] = await Promise.all([
+                loadPlants(context.db, context.userId),
+                getDocs(collection(context.db, getUserCollectionPath(context.userId, CARE_TASK_COLLECTION_NAME)))
+            ]);
+            const plantsById = Object.fromEntries(plants.map(p => [p.id, p]));
+            const tasks = snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .filter(task => !task.completed && (!plant || task.plantId === plant.id))
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+            return { today: toDayString(), tasks: tasks.map(task => describeToolTask(task, plantsById)) };
+        }
+    },
+    add_care_task: {
+        label: 'Add a care task',
+        write: true,
+        declaration: {
+            description: "Adds a care task to the user's schedule. Only call this after the user has agreed to the task; they are asked to confirm it before it is saved.",
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    plant: { type: "STRING", description: "The plant's name or ID. Omit to use the plant this conversation is about." },
+                    type: { type: "STRING", enum: CARE_TASK_TYPES.map(type => type.id), description: "The kind of care." },
+                    title: { type: "STRING", description: "Short instruction, e.g. 'Spray with neem oil solution'." },
+                    every: { type: "INTEGER", description: "Repeat interval in `unit`s. 0 or omitted for a one-off task." },
+                    unit: { type: "STRING", enum: RECURRENCE_UNITS, description: "Unit of the repeat interval." },
+                    start_in_days: { type: "INTEGER", description: "Days from today until the task is first due. 0 for today." },
+                    notes: { type: "STRING", description: "Optional detail, e.g. how much water." }
+                },
+                required: ["type", "title", "start_in_days"]
+            }
+        },
+        prepare: async (context, args) => {
+            if (!CARE_TASK_TYPES.some(type => type.id === args.type)) return { error: `Unknown task type "${args.type}".` };
+            const title = typeof args.title === 'string' && args.title.trim() ? args.title.trim() : getCareTaskType(args.type).label;
+            const { plant, error } = await resolveToolPlant(context, args.plant);
+            if (error) return { error };
+
+            const clampDays = (value) => (Number.isInteger(value) ? Math.min(Math.max(value, 0), 365) : 0);
+            const every = clampDays(args.every);
+            const recurrence = every > 0 && RECURRENCE_UNITS.includes(args.unit) ? { every, unit: args.unit } : null;
+            const dueDate = addToDay(toDayString(), clampDays(args.start_in_days), 'day');
+            const task = {
+                type: args.type,
+                title,
+                notes: typeof args.notes === 'string' ? args.notes.trim() : '',
+                recurrence,
+                dueDate,
+                plantId: plant.id,
+                source: 'bot'
+            };
+            return {
+                summary: `${getCareTaskType(task.type).emoji} ${title} for ${plant.name}: ${formatRecurrence(recurrence).toLowerCase()} (first due: ${formatDueDay(dueDate)})`,
+                commit: async () => {
+                    const taskRef = await addCareTask(context.db, context.userId, task);
+                    return { added: true, task_id: taskRef.id, due: dueDate };
+                }
+            };
+        }
+    }
+};
+
+const BOT_TOOL_DECLARATIONS = Object.entries(BOT_TOOLS).map(([name, tool]) => ({ name, ...tool.declaration }));
+
+/**
+ * Runs one function call from the model. Write tools only run once `confirmToolCall` resolves true;
+ * without it (e.g. when replying from the offline queue) they are declined.
+ * @param {object} call - { name, args } from the provider.
+ * @param {object} context - { db, userId, plant }.
+ * @param {Function} [confirmToolCall] - ({ name, label, summary }) => Promise<boolean>.
+ * @returns {Promise<object>} { status: 'done' | 'declined' | 'failed', summary, result }, where
+ *   `result` is what the model is told.
+ */
+const runBotTool = async (call, context, confirmToolCall) => {
+    const tool = BOT_TOOLS[call.name];
+    if (!tool) return { status: 'failed', summary: null, result: { error: `There is no tool called "${call.name}".` } };
+    const args = call.args || {};
+    try {
+        if (!tool.write) {
+            const result = await tool.run(context, args);
+            return { status: result.error ? 'failed' : 'done', summary: null, result };
+        }
+
+        const prepared = await tool.prepare(context, args);
+        if (prepared.error) return { status: 'failed', summary: null, result: { error: prepared.error } };
+        const confirmed = confirmToolCall ? await confirmToolCall({ name: call.name, label: tool.label, summary: prepared.summary }) : false;
+        if (!confirmed) {
+            const reason = confirmToolCall
+                ? "The user declined this change. Don't try it again unless they ask."
+                : "Changes can't be confirmed right now. Suggest the task and tell the user they can add it from the Today tab.";
+            return { status: 'declined', summary: prepared.summary, result: { error: reason } };
+        }
+        return { status: 'done', summary: prepared.summary, result: await prepared.commit() };
+    } catch (error) {
+        console.error(`Error running bot tool ${call.name}:`, error);
+        return { status: 'failed', summary: null, result: { error: "This lookup failed. Answer without it and mention that the garden data couldn't be read." } };
+    }
+};
+
+// Tool calls are saved with the reply they led to. Firestore rejects undefined values, which the
+// model's arguments and the results may contain, so they go through JSON first.
+const toStorableToolCalls = (toolCalls) => JSON.parse(JSON.stringify(toolCalls));
+
+// --- Scan Analysis ---
+
+/**
+ * Runs the structured health analysis on a set of preprocessed photos of one plant.
+ * @param {Array<object>} photos - { view, blob, mimeType } in upload order.
+ * @param {object} options - { signal } to cancel the request, the { locale } to answer in and the
+ *   { growingContext } from resolveGrowingContext() to judge the photos by.
+ * @returns {Promise<object>} { result, images }: the validated analysis, with the growing context it was based
+ *   on as `growing_context`, and the base64 images that were sent.
+ * @throws {ApiError} On API failures, including an answer that doesn't match the schema ('malformed').
+ */
+const analyzePlantPhotos = async (photos, { signal, locale = getActiveLocale(), growingContext = null } = {}) => {
+    const images = await Promise.all(photos.map(async (photo) => ({
+        mimeType: photo.mimeType,
+        data: await fileToBase64(photo.blob),
+        view: photo.view
+    })));
+    const prompt = buildScanPrompt(images.map(image => image.view), locale, growingContext);
+    const rawResult = await aiProvider.analyzeImage(images, ANALYSIS_RESPONSE_SCHEMA, { prompt, signal });
+    try {
+        const result = validateAnalysisResult(rawResult, { photoCount: images.length });
+        return { result: { ...result, growing_context: growingContext }, images };
+    } catch (error) {
+        throw new ApiError('malformed', error.message, { cause: error });
+    }
+};
+
+/**
+ * Builds the photo entries stored with a scan, with inline thumbnails.
+ * @param {Array<object>} photos - { view, blob, mimeType } in upload order.
+ * @returns {Promise<Array<object>>} [{ view, mimeType, thumbnail }].
+ */
+const buildScanPhotoRecords = (photos) => Promise.all(photos.map(async (photo) => ({
+    view: photo.view,
+    mimeType: photo.mimeType,
+    thumbnail: await createThumbnail(photo.blob)
+})));
+
+// --- Offline Queue ---
+// Scans and chat messages made without a connection wait in IndexedDB, which (unlike localStorage)
+// can hold the photo Blobs, and are processed in order once the browser is back online. Items:
+//   { id, type: 'scan' | 'chat', userId, status: 'pending' | 'processing' | 'failed', createdAt, attempts, lastError, leaseUntil, payload }
+//   `leaseUntil` is set when a tab claims the item; until then no other tab takes it.
+//   scan payload: { photos: [{ view, blob, mimeType }], plantId }
+//   chat payload: { threadId, draftId, text, plantId, replyOnly }
+//     `draftId` groups messages typed into a conversation that doesn't exist yet; the first one creates it.
+//     `replyOnly` means the user's message is already saved and only the bot's reply is owed.
+
+let offlineQueueDbPromise = null;
+
+/**
+ * Runs one request against the queue store and resolves once its transaction commits.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function} operation - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<any>} The request's result.
+ */
+const runOfflineQueueRequest = async (mode, operation) => {
+    const { dbName, storeName } = OFFLINE_QUEUE_CONFIG;
+    if (!offlineQueueDbPromise) {
+        offlineQueueDbPromise = openIndexedDb(dbName, storeName, 'id').catch((error) => {
+            offlineQueueDbPromise = null;
+            throw error;
+        });
+    }
+    return runIndexedDbTransaction(await offlineQueueDbPromise, storeName, mode, operation);
+};
+
+const offlineQueueListeners = new Set();
+
+/**
+ * Registers a callback for any change to the queue made in this tab.
+ * @param {function} listener - Called with no arguments.
+ * @returns {function} Unsubscribe.
+ */
+const subscribeToOfflineQueue = (listener) => {
+    offlineQueueListeners.add(listener);
+    return () => offlineQueueListeners.delete(listener);
+};
+
+const notifyOfflineQueue = () => offlineQueueListeners.forEach(listener => listener());
+
+/**
+ * Lists a user's queued items, oldest first.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<Array<object>>} Queue items.
+ */
+const listOfflineItems = async (userId) => {
+    const items = await runOfflineQueueRequest('readonly', store => store.getAll());
+    return items.filter(item => item.userId === userId).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const getOfflineItem = (id) => runOfflineQueueRequest('readonly', store => store.get(id));
+
+const putOfflineItem = async (item) => {
+    await runOfflineQueueRequest('readwrite', store => store.put(item));
+    notifyOfflineQueue();
+    return item;
+};
+
+/**
+ * Removes an item from the queue, e.g. when the user cancels it.
+ * @param {string} id - The queue item ID.
+ * @returns {Promise<void>}
+ */
+const removeOfflineItem = async (id) => {
+    await runOfflineQueueRequest('readwrite', store => store.delete(id));
+    notifyOfflineQueue();
+};
+
+/**
+ * Asks the service worker to wake the app through Background Sync once a connection returns.
+ * Browsers without Background Sync rely on the page's `online` event instead.
+ */
+const requestOfflineQueueSync = () => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync?.register(OFFLINE_QUEUE_CONFIG.syncTag))
+        .catch(error => console.error("Error registering background sync:", error));
+};
+
+/**
+ * Adds a scan or chat message to the queue.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} type - 'scan' or 'chat'.
+ * @param {object} payload - See the item shapes above.
+ * @returns {Promise<object>} The new queue item.
+ */
+const enqueueOfflineItem = async (userId, type, payload) => {
+    const item = await putOfflineItem({
+        id: crypto.randomUUID(),
+        type,
+        userId,
+        status: 'pending',
+        createdAt: Date.now(),
+        attempts: 0,
+        lastError: null,
+        payload
+    });
+    requestOfflineQueueSync();
+    return item;
+};
+
+/**
+ * Moves queued items to another user, after a guest switches into an existing account.
+ * @param {string} fromUserId - The previous user ID.
+ * @param {string} toUserId - The new user ID.
+ * @returns {Promise<void>}
+ */
+const reassignOfflineItems = async (fromUserId, toUserId) => {
+    const items = await listOfflineItems(fromUserId);
+    for (const item of items) await putOfflineItem({ ...item, userId: toUserId });
+};
+
+/**
+ * Drops all of a user's queued items.
+ * @param {string} userId - The user whose items to delete.
+ * @returns {Promise<void>}
+ */
+const clearOfflineItems = async (userId) => {
+    const items = await listOfflineItems(userId);
+    for (const item of items) await removeOfflineItem(item.id);
+};
+
+// Later messages typed into the same not-yet-created conversation follow the first one into its thread.
+const assignDraftThread = async (userId, draftId, threadId) => {
+    const items = await listOfflineItems(userId);
+    for (const item of items) {
+        if (item.type === 'chat' && item.payload.draftId === draftId && !item.payload.threadId) {
+            await putOfflineItem({ ...item, payload: { ...item.payload, threadId } });
+        }
+    }
+};
+
+// Pending items can be claimed, and so can ones whose tab was closed or stalled before its lease ran out.
+const isOfflineItemClaimable = (item) => item.status === 'pending'
+    || (item.status === 'processing' && (item.leaseUntil ?? 0) <= Date.now());
+
+/**
+ * Marks an item as processing by this tab, reading and writing it in one transaction so two tabs
+ * can't both claim it.
+ * @param {string} id - The queue item ID.
+ * @returns {Promise<object|null>} The claimed item, or null if it is gone or another tab holds it.
+ */
+const claimOfflineItem = async (id) => {
+    let claimed = null;
+    await runOfflineQueueRequest('readwrite', (store) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const item = request.result;
+            if (!item || !isOfflineItemClaimable(item)) return;
+            claimed = { ...item, status: 'processing', attempts: item.attempts + 1, leaseUntil: Date.now() + OFFLINE_QUEUE_CONFIG.leaseMs };
+            store.put(claimed);
+        };
+        return request;
+    });
+    if (claimed) notifyOfflineQueue();
+    return claimed;
+};
+
+// Each handler receives (db, userId, item) and may save progress so a retry doesn't repeat finished steps.
+const OFFLINE_QUEUE_HANDLERS = {
+    scan: async (db, userId, { payload }) => {
+        const { result } = await analyzePlantPhotos(payload.photos, { growingContext: await loadGrowingContext(db, userId) });
+        const photos = await buildScanPhotoRecords(payload.photos);
+        await saveScanResult(db, userId, { ...result, photos, plantId: payload.plantId });
+    },
+
+    chat: async (db, userId, item) => {
+        let { threadId } = item.payload;
+        if (!item.payload.replyOnly) {
+            if (!threadId) {
+                threadId = await createThread(db, userId, { plantId: item.payload.plantId || null, draftId: item.payload.draftId || null });
+                await assignDraftThread(userId, item.payload.draftId, threadId);
+            }
+            await addThreadMessage(db, userId, threadId, { role: 'user', text: item.payload.text });
+            await putOfflineItem({ ...item, payload: { ...item.payload, threadId, replyOnly: true } });
+        }
+
+        const threadSnap = await getDoc(doc(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME), threadId));
+        if (!threadSnap.exists()) throw new Error("This conversation was deleted.");
+        const thread = { id: threadId, ...threadSnap.data() };
+        const plantSnap = thread.plantId ? await getDoc(doc(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME), thread.plantId)) : null;
+        const { messages, hasOlder } = await loadRecentThreadMessages(db, userId, threadId);
+
+        const growingContext = await loadGrowingContext(db, userId);
+
+        // No one is there to confirm changes, so the bot can only look things up here
+        const { text, toolCalls } = await generateThreadReply({
+            db,
+            userId,
+            thread,
+            plant: plantSnap?.exists() ? { id: plantSnap.id, ...plantSnap.data() } : null,
+            conversation: messages,
+            hasOlderMessages: hasOlder,
+            growingContext
+        });
+        await addThreadMessage(db, userId, threadId, {
+            role: 'model',
+            text,
+            growingContext,
+            ...(toolCalls.length > 0 ? { toolCalls: toStorableToolCalls(toolCalls) } : {})
+        });
+        if (thread.titleSource === 'default') {
+            await autoTitleThread(db, userId, threadId, item.payload.text);
+        }
+    }
+};
+
+const drainOfflineQueue = async (db, userId) => {
+    const attempted = new Set();
+    // Re-list after every item so ones queued, retried or cancelled meanwhile are taken into account.
+    while (navigator.onLine) {
+        const item = (await listOfflineItems(userId)).find(candidate => candidate.status !== 'failed' && !attempted.has(candidate.id));
+        if (!item) break;
+        // An item another tab still holds keeps the ones behind it waiting, so they stay in order
+        if (!isOfflineItemClaimable(item)) break;
+
+        const processing = await claimOfflineItem(item.id);
+        if (!processing) continue; // Cancelled, or claimed by another tab, since it was listed
+        attempted.add(item.id);
+        try {
+            await OFFLINE_QUEUE_HANDLERS[item.type](db, userId, processing);
+            await removeOfflineItem(item.id);
+        } catch (error) {
+            console.error("Error processing queued item:", error);
+            const latest = await getOfflineItem(item.id);
+            if (!latest) continue; // Cancelled while it ran
+            const offline = isNetworkError(error);
+            await putOfflineItem({ ...latest, status: offline ? 'pending' : 'failed', lastError: describeApiError(error, error.message) });
+            if (offline) break;
+        }
+    }
+};
+
+let offlineQueueRun = null;
+
+/**
+ * Processes the user's pending items in order. Stops at the first network failure, leaving the
+ * rest pending; any other failure marks that item failed so the user can retry or cancel it.
+ * Only one tab works through the queue at a time, under a Web Lock where the browser has them; each
+ * item is also claimed before it is handled, so it is never handled twice. Calling again while this
+ * tab's run is active returns the same run.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<void>}
+ */
+const processOfflineQueue = (db, userId) => {
+    if (offlineQueueRun) return offlineQueueRun;
+    const run = () => drainOfflineQueue(db, userId);
+    offlineQueueRun = (navigator.locks ? navigator.locks.request(OFFLINE_QUEUE_CONFIG.lockName, run) : run()).finally(() => {
+        offlineQueueRun = null;
+    });
+    return offlineQueueRun;
+};
+
+/**
+ * Puts a failed item back in line and tries the queue again.
+ * @param {object} db - Firestore instance.
+ * @param {object} item - The failed queue item.
+ * @returns {Promise<void>}
+ */
+const retryOfflineItem = async (db, item) => {
+    await putOfflineItem({ ...item, status: 'pending', lastError: null });
+    if (navigator.onLine) await processOfflineQueue(db, item.userId);
+};
+
+/**
+ * Makes the app installable: links the web app manifest and registers the service worker,
+ * which caches the app shell and relays Background Sync events to open tabs.
+ */
+const registerPwa = () => {
+    if (!document.querySelector('link[rel="manifest"]')) {
+        const link = document.createElement('link');
+        link.rel = 'manifest';
+        link.href = 'manifest.webmanifest';
+        document.head.appendChild(link);
+    }
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('sw.js')
+        .catch(error => console.error("Error registering service worker:", error));
+};
+
+// --- Account Data ---
+
+/**
+ * Reads every document the user owns, for merging into another account.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The user whose data to read.
+ * @returns {Promise<object>} { [collectionName]: [{ id, data, subcollections: { [name]: [{ id, data }] } }] }.
+ */
+const exportUserData = async (db, userId) => {
+    const exported = {};
+    for (const { name, subcollections = [] } of USER_DATA_COLLECTIONS) {
+        const snapshot = await getDocs(collection(db, getUserCollectionPath(userId, name)));
+        exported[name] = await Promise.all(snapshot.docs.map(async (docSnap) => {
+            const children = {};
+            for (const sub of subcollections) {
+                const subSnapshot = await getDocs(collection(docSnap.ref, sub));
+                children[sub] = subSnapshot.docs.map(subDoc => ({ id: subDoc.id, data: subDoc.data() }));
+            }
+            return { id: docSnap.id, data: docSnap.data(), subcollections: children };
+        }));
+    }
+    return exported;
+};
+
+/**
+ * Writes data produced by exportUserData under another user, keeping document IDs. The target's own
+ * documents are never overwritten: its settings win over the imported ones, and any other document whose
+ * fixed ID is already taken (e.g. the migrated legacy-chat thread) is written under a new ID.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The user to write into.
+ * @param {object} data - Output of exportUserData.
+ * @returns {Promise<void>}
+ */
+const importUserData = async (db, userId, data) => {
+    const operations = [];
+    for (const [name, docs] of Object.entries(data)) {
+        const targetCollection = collection(db, getUserCollectionPath(userId, name));
+        const existingIds = new Set((await getDocs(targetCollection)).docs.map(existing => existing.id));
+        docs.forEach(({ id, data: fields, subcollections = {} }) => {
+            if (existingIds.has(id) && name === SETTINGS_COLLECTION_NAME) return;
+            const docRef = existingIds.has(id) ? doc(targetCollection) : doc(targetCollection, id);
+            operations.push(batch => batch.set(docRef, fields));
+            Object.entries(subcollections).forEach(([sub, subDocs]) => {
+                subDocs.forEach(subDoc => operations.push(batch => batch.set(doc(collection(docRef, sub), subDoc.id), subDoc.data)));
+            });
+        });
+    }
+    await commitInBatches(db, operations);
+};
+
+/**
+ * Deletes every document the user owns.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The user whose data to delete.
+ * @returns {Promise<void>}
+ */
+const deleteUserData = async (db, userId) => {
+    const operations = [];
+    for (const { name, subcollections = [] } of USER_DATA_COLLECTIONS) {
+        const snapshot = await getDocs(collection(db, getUserCollectionPath(userId, name)));
+        for (const docSnap of snapshot.docs) {
+            for (const sub of subcollections) {
+                const subSnapshot = await getDocs(collection(docSnap.ref, sub));
+                subSnapshot.docs.forEach(subDoc => operations.push(batch => batch.delete(subDoc.ref)));
+            }
+            // Shared scans live outside the user's data and would otherwise outlive it
+            const { shareId } = docSnap.data();
+            if (name === SCAN_COLLECTION_NAME && shareId) operations.push(batch => batch.delete(getSharedScanDoc(db, shareId)));
+            operations.push(batch => batch.delete(docSnap.ref));
+        }
+    }
+    await commitInBatches(db, operations);
+};
+
+// --- Export and Sharing ---
+// Scan history and chat threads can be downloaded as JSON, which imports again for backup and restore,
+// or as CSV for spreadsheets; a single scan as a printable report. Timestamps are exported as ISO strings
+// and turned back into the store's own timestamps on import.
+// A scan can also be shared read-only: a copy is published under SHARED_SCANS_PATH, where anyone with the
+// link can read it, and the scan keeps its `shareId` until the owner revokes the link.
+
+const EXPORT_FORMAT = "home-garden-health-export";
+const EXPORT_VERSION = 1;
+// Fields holding timestamps in scans, threads and messages
+const EXPORT_TIMESTAMP_FIELDS = ['timestamp', 'createdAt', 'updatedAt', 'acceptedAt', 'summaryThrough'];
+
+const convertTimestampFields = (data, convert) => Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    EXPORT_TIMESTAMP_FIELDS.includes(key) && value !== null && value !== undefined ? convert(value) : value
+]));
+
+const toExportedTimestamp = (value) => toDate(value)?.toISOString() ?? null;
+
+const byExportedTimestamp = (a, b) => (a.timestamp || '').localeCompare(b.timestamp || '');
+
+/**
+ * Reads the user's scans and chat threads, with each thread's messages, into the JSON export format.
+ * Share links are left out; they belong to the scans they were made from.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<object>} { format, version, exportedAt, scans, threads: [{ ...thread, messages }] }.
+ */
+const exportHistory = async (db, userId) => {
+    const [scanSnapshot, threadSnapshot] = await Promise.all([
+        getDocs(collection(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME))),
+        getDocs(collection(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME)))
+    ]);
+    const scans = scanSnapshot.docs.map(scanDoc => {
+        const fields = scanDoc.data();
+        delete fields.shareId;
+        return { id: scanDoc.id, ...convertTimestampFields(fields, toExportedTimestamp) };
+    });
+    const threads = await Promise.all(threadSnapshot.docs.map(async (threadDoc) => {
+        const messageSnapshot = await getDocs(collection(db, getThreadMessagesPath(userId, threadDoc.id)));
+        return {
+            id: threadDoc.id,
+            ...convertTimestampFields(threadDoc.data(), toExportedTimestamp),
+            messages: messageSnapshot.docs
+                .map(messageDoc => ({ id: messageDoc.id, ...convertTimestampFields(messageDoc.data(), toExportedTimestamp) }))
+                .sort(byExportedTimestamp)
+        };
+    }));
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        scans: scans.sort(byExportedTimestamp),
+        threads: threads.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+    };
+};
+
+const isExportedId = (id) => typeof id === 'string' && id.length > 0 && !id.includes('/');
+
+/**
+ * Restores a JSON export into the user's history. Documents keep their IDs, so importing the same
+ * file twice, or a backup of data that still exists, overwrites rather than duplicates it.
+ * Scans linked to a plant the user doesn't have show up unlinked.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} data - Parsed export file, see exportHistory.
+ * @returns {Promise<object>} { scans, threads, messages }: how many of each were imported.
+ * @throws {Error} With a message for the user if the file isn't an export this version can read.
+ */
+const importHistory = async (db, userId, data) => {
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.scans) || !Array.isArray(data.threads)) {
+        throw new Error("This file isn't a Home Garden Health export.");
+    }
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+        throw new Error("This export was made by a newer version of the app. Update the app and try again.");
+    }
+
+    const fromExported = (value) => {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : timestampFromDate(db, date);
+    };
+    const scansPath = getUserCollectionPath(userId, SCAN_COLLECTION_NAME);
+    const threadsPath = getUserCollectionPath(userId, THREAD_COLLECTION_NAME);
+    // A scan that is overwritten keeps its live share link, so the link can still be revoked
+    const existingScans = await getDocs(collection(db, scansPath));
+    const shareIds = Object.fromEntries(existingScans.docs.filter(d => d.data().shareId).map(d => [d.id, d.data().shareId]));
+    const operations = [];
+    const counts = { scans: 0, threads: 0, messages: 0 };
+
+    data.scans.filter(scan => isExportedId(scan?.id)).forEach(({ id, ...fields }) => {
+        const restored = { ...convertTimestampFields(fields, fromExported), shareId: shareIds[id] || null };
+        operations.push(batch => batch.set(doc(db, scansPath, id), restored));
+        counts.scans += 1;
+    });
+    data.threads.filter(thread => isExportedId(thread?.id)).forEach(({ id, messages = [], ...fields }) => {
+        operations.push(batch => batch.set(doc(db, threadsPath, id), convertTimestampFields(fields, fromExported)));
+        counts.threads += 1;
+        messages.filter(message => isExportedId(message?.id)).forEach(({ id: messageId, ...messageFields }) => {
+            operations.push(batch => batch.set(doc(db, getThreadMessagesPath(userId, id), messageId), convertTimestampFields(messageFields, fromExported)));
+            counts.messages += 1;
+        });
+    });
+    await commitInBatches(db, operations);
+    return counts;
+};
+
+// Spreadsheets run cells starting with these characters as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats rows as CSV, quoting where needed and defusing cells a spreadsheet would run as formulas.
+ * @param {Array<Array>} rows - Header row first.
+ * @returns {string} CSV text with CRLF line endings.
+ */
+const toCsv = (rows) => rows.map(row => row.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n');
+
+const buildScansCsv = (history, plants) => {
+    const plantNames = Object.fromEntries(plants.map(plant => [plant.id, plant.name]));
+    return toCsv([
+        ['date', 'plant', 'diagnosis', 'health_percentage', 'confidence', 'severity', 'affected_part', 'remedies', 'remedy_applied', 'applied_on'],
+        ...history.scans.map(scan => [
+            scan.timestamp,
+            plantNames[scan.plantId] || '',
+            scan.predicted_disease,
+            scan.health_percentage,
+            scan.confidence,
+            scan.severity,
+            scan.affected_part,
+            (scan.home_remedies || []).join(' | '),
+            scan.treatment?.remedy,
+            scan.treatment?.appliedOn
+        ])
+    ]);
+};
+
+const buildChatsCsv = (history) => toCsv([
+    ['thread', 'thread_id', 'time', 'role', 'kind', 'text'],
+    ...history.threads.flatMap(thread => thread.messages.map(message => [
+        thread.title, thread.id, message.timestamp, message.role, message.kind || 'message', message.text
+    ]))
+]);
+
+/**
+ * Saves text as a file through the browser's download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - File contents.
+ * @param {string} mimeType - e.g. "text/csv".
+ */
+const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+/**
+ * Builds a standalone, printable HTML report of one scan: photos, health score, diagnosis,
+ * remedies and date, for handing to nursery staff or keeping on file.
+ * @param {object} scan - Scan document.
+ * @param {object} [plant] - The scan's plant profile, if it has one.
+ * @returns {string} A complete HTML document.
+ */
+const buildScanReportHtml = (scan, plant) => {
+    const scannedAt = toDate(scan.timestamp);
+    const photos = getScanPhotos(scan);
+    const details = [
+        typeof scan.confidence === 'number' && `Confidence: ${Math.round(scan.confidence * 100)}%`,
+        scan.severity && `Severity: ${scan.severity}`,
+        scan.affected_part && scan.affected_part !== 'none' && `Affected part: ${scan.affected_part}`
+    ].filter(Boolean);
+    const title = `Plant scan report: ${scan.predicted_disease}`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getActiveLocale())}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 720px; margin: 24px auto; padding: 0 16px; }
+  h1 { color: #166534; margin-bottom: 4px; }
+  .meta { color: #6b7280; font-size: 14px; margin-top: 0; }
+  .health { display: inline-block; padding: 4px 12px; border: 1px solid #86efac; border-radius: 999px; font-weight: bold; }
+  .photos { display: flex; flex-wrap: wrap; gap: 8px; margin: 16px 0; }
+  .photos figure { margin: 0; text-align: center; font-size: 12px; color: #6b7280; }
+  .photos img { width: 200px; height: 200px; object-fit: cover; border-radius: 8px; border: 1px solid #e5e7eb; }
+  footer { margin-top: 32px; font-size: 12px; color: #6b7280; border-top: 1px solid #e5e7eb; padding-top: 8px; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body onload="window.print()">
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(scan.predicted_disease)}</h1>
+<p class="meta">${escapeHtml([plant && describePlant(plant), scannedAt && formatDateTime(scannedAt)].filter(Boolean).join(' · '))}</p>
+<p><span class="health">${escapeHtml(scan.health_percentage)}% health</span></p>
+${details.length > 0 ? `<p>${details.map(escapeHtml).join(' · ')}</p>` : ''}
+${photos.length > 0 ? `<div class="photos">${photos.map(photo => `<figure><img src="${escapeHtml(photo.src)}" alt=""><figcaption>${escapeHtml(PHOTO_VIEWS.find(view => view.id === photo.view)?.label || '')}</figcaption></figure>`).join('')}</div>` : ''}
+<h2>${isHealthyDiagnosis(scan.predicted_disease) ? 'Care tips' : 'Suggested remedies'}</h2>
+<ul>${(scan.home_remedies || []).map(remedy => `<li>${escapeHtml(remedy)}</li>`).join('')}</ul>
+${scan.treatment ? `<p><strong>Remedy applied:</strong> ${escapeHtml(scan.treatment.remedy)} (${escapeHtml(formatDate(parseDayString(scan.treatment.appliedOn)))})</p>` : ''}
+<footer>AI-assisted diagnosis from Home Garden Health. Confirm with a plant specialist before using strong treatments.</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Opens a scan's report in a new window, which prints itself once loaded.
+ * @param {object} scan - Scan document.
+ * @param {object} [plant] - The scan's plant profile, if it has one.
+ * @throws {Error} If the browser blocked the window.
+ */
+const printScanReport = (scan, plant) => {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) throw new Error("The report window was blocked. Allow pop-ups for this site and try again.");
+    reportWindow.document.write(buildScanReportHtml(scan, plant));
+    reportWindow.document.close();
+};
+
+const getSharedScanDoc = (db, shareId) => doc(db, SHARED_SCANS_PATH, shareId);
+
+const getShareLink = (shareId) => `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(shareId)}`;
+
+/**
+ * Publishes a read-only copy of a scan and remembers its share ID on the scan, in one batch.
+ * Only what the report shows is published, plus the scan's ID: rules find the owner through their own
+ * copy of the scan, so the shared copy never names the account.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} scan - Scan document, with its ID.
+ * @param {object} [plant] - The scan's plant profile, for its species.
+ * @returns {Promise<string>} The share ID.
+ */
+const shareScan = async (db, userId, scan, plant) => {
+    const shareRef = doc(collection(db, SHARED_SCANS_PATH));
+    const batch = writeBatch(db);
+    batch.set(shareRef, {
+        scanId: scan.id,
+        species: plant?.species || null,
+        predicted_disease: scan.predicted_disease,
+        health_percentage: scan.health_percentage,
+        confidence: scan.confidence ?? null,
+        severity: scan.severity || null,
+        affected_part: scan.affected_part || null,
+        home_remedies: scan.home_remedies || [],
+        photos: (scan.photos || []).map(({ view, mimeType, thumbnail }) => ({ view, mimeType, thumbnail })),
+        thumbnail: scan.thumbnail || null,
+        scannedAt: scan.timestamp ?? null,
+        createdAt: serverTimestamp()
+    });
+    batch.update(doc(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME), scan.id), { shareId: shareRef.id });
+    await batch.commit();
+    return shareRef.id;
+};
+
+/**
+ * Revokes a scan's share link: the published copy is deleted and the link stops working.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} scan - Scan document with a `shareId`.
+ * @returns {Promise<void>}
+ */
+const revokeScanShare = async (db, userId, scan) => {
+    const batch = writeBatch(db);
+    batch.delete(getSharedScanDoc(db, scan.shareId));
+    batch.update(doc(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME), scan.id), { shareId: null });
+    await batch.commit();
+};
+
+/**
+ * Loads a shared scan for the read-only view.
+ * @param {object} db - Firestore instance.
+ * @param {string} shareId - From the share link.
+ * @returns {Promise<object|null>} The shared copy, or null if the link was revoked or never existed.
+ */
+const loadSharedScan = async (db, shareId) => {
+    const snapshot = await getDoc(getSharedScanDoc(db, shareId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+// --- Account Upgrades ---
+
+const ACCOUNT_IN_USE_ERRORS = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+
+/**
+ * Called when the credential a guest tried to link already belongs to an account:
+ * copies the guest's data, signs into that account and writes the data there.
+ * The guest's own copy is left behind because it can't be deleted once signed out.
+ * @param {object} auth - Firebase Auth instance.
+ * @param {object} db - Firestore instance.
+ * @param {object} credential - Credential of the existing account.
+ * @returns {Promise<void>}
+ */
+const switchToExistingAccount = async (auth, db, credential) => {
+    const guestId = auth.currentUser.uid;
+    const guestData = await exportUserData(db, guestId);
+    const { user } = await signInWithCredential(auth, credential);
+    await importUserData(db, user.uid, guestData);
+    // Document IDs are kept, so queued replies still find their threads under the new account.
+    await reassignOfflineItems(guestId, user.uid);
+};
+
+/**
+ * Upgrades the anonymous user to a Google account, keeping their data.
+ * @param {object} auth - Firebase Auth instance.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<void>}
+ */
+const upgradeWithGoogle = async (auth, db) => {
+    const provider = new GoogleAuthProvider();
+    try {
+        // Linking keeps the same UID, so all Firestore data stays where it is.
+        await linkWithPopup(auth.currentUser, provider);
+    } catch (error) {
+        if (!ACCOUNT_IN_USE_ERRORS.includes(error.code)) throw error;
+        await switchToExistingAccount(auth, db, GoogleAuthProvider.credentialFromError(error));
+    }
+};
+
+/**
+ * Emails a passwordless sign-in link that returns to this page.
+ * @param {object} auth - Firebase Auth instance.
+ * @param {string} email - The address to send the link to.
+ * @returns {Promise<void>}
+ */
+const sendEmailSignInLink = async (auth, email) => {
+    await sendSignInLinkToEmail(auth, email, { url: window.location.href, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+/**
+ * Finishes an email-link sign-in, upgrading the anonymous user when there is one.
+ * @param {object} auth - Firebase Auth instance.
+ * @param {object} db - Firestore instance.
+ * @param {string} email - The address the link was sent to.
+ * @returns {Promise<void>}
+ */
+const completeEmailLinkSignIn = async (auth, db, email) => {
+    const link = window.location.href;
+    const credential = EmailAuthProvider.credentialWithLink(email, link);
+    const current = auth.currentUser;
+    if (current?.isAnonymous) {
+        try {
+            await linkWithCredential(current, credential);
+        } catch (error) {
+            if (!ACCOUNT_IN_USE_ERRORS.includes(error.code)) throw error;
+            await switchToExistingAccount(auth, db, credential);
+        }
+    } else {
+        await signInWithEmailLink(auth, email, link);
+    }
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    // Drop the one-time link parameters from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+};
+
+// Firebase only deletes an account signed into within about the last five minutes.
+const RECENT_SIGN_IN_MS = 5 * 60 * 1000;
+
+/**
+ * Deletes all of the user's documents and then the account itself.
+ * Firebase requires a recent sign-in, so it is ensured before any data is touched: Google users are
+ * re-authenticated, and anyone else, guests included, whose sign-in is older gets 'auth/requires-recent-login'.
+ * @param {object} auth - Firebase Auth instance.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'auth/requires-recent-login' when the user has to sign in again first.
+ */
+const deleteAccount = async (auth, db) => {
+    const user = auth.currentUser;
+    const hasProvider = (providerId) => user.providerData.some(info => info.providerId === providerId);
+    if (hasProvider(GoogleAuthProvider.PROVIDER_ID)) {
+        await reauthenticateWithPopup(user, new GoogleAuthProvider());
+    } else {
+        const { authTime } = await user.getIdTokenResult();
+        if (Date.now() - new Date(authTime).getTime() > RECENT_SIGN_IN_MS) {
+            throw Object.assign(new Error("A recent sign-in is required to delete the account."), { code: 'auth/requires-recent-login' });
+        }
+    }
+    await deleteUserData(db, user.uid);
+    await clearOfflineItems(user.uid);
+    await deleteUser(user);
+};
+
+// --- Hooks ---
+
+/**
+ * Creates an object URL for a Blob and revokes it when the Blob changes or the component unmounts.
+ * @param {Blob|null} blob - The Blob to display.
+ * @returns {string|null} The object URL.
+ */
+const useObjectUrl = (blob) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!blob) {
+            setUrl(null);
+            return;
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [blob]);
+
+    return url;
+};
+
+/**
+ * Subscribes to the user's plant profiles, sorted by name.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Array<object>} All plant profiles, archived ones included.
+ */
+const usePlants = (db, userId) => {
+    const [plants, setPlants] = useState([]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const q = query(collection(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME)), orderBy('name', 'asc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setPlants(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error listening to plants:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return plants;
+};
+
+/**
+ * Tracks whether the browser reports a network connection.
+ * @returns {boolean} True while online.
+ */
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+/**
+ * Lists the user's offline queue and processes it on load, when the connection
+ * returns and when the service worker relays a Background Sync event.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Array<object>} Queue items, oldest first.
+ */
+const useOfflineQueue = (db, userId) => {
+    const [items, setItems] = useState([]);
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        const refresh = () => {
+            listOfflineItems(userId)
+                .then(list => { if (!cancelled) setItems(list); })
+                .catch(error => console.error("Error reading the offline queue:", error));
+        };
+        refresh();
+        const unsubscribe = subscribeToOfflineQueue(refresh);
+
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [userId]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const processQueue = () => {
+            if (!navigator.onLine) return;
+            processOfflineQueue(db, userId).catch(error => console.error("Error processing the offline queue:", error));
+        };
+        const handleWorkerMessage = (event) => {
+            if (event.data?.type === 'process-offline-queue') processQueue();
+        };
+
+        processQueue();
+        window.addEventListener('online', processQueue);
+        navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+        return () => {
+            window.removeEventListener('online', processQueue);
+            navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+        };
+    }, [db, userId]);
+
+    return items;
+};
+
+/**
+ * Subscribes to the user's open care tasks, soonest due first.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Array<object>} Care tasks that are not completed.
+ */
+const useCareTasks = (db, userId) => {
+    const [tasks, setTasks] = useState([]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        // Completed tasks are filtered here rather than in the query, which would need a composite index
+        const q = query(collection(db, getUserCollectionPath(userId, CARE_TASK_COLLECTION_NAME)), orderBy('dueDate', 'asc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setTasks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(task => !task.completed));
+        }, (error) => {
+            console.error("Error listening to care tasks:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return tasks;
+};
+
+/**
+ * Notifies about due care tasks while the app is open, when tasks change and on a timer.
+ * @param {Array<object>} tasks - Open care tasks.
+ * @param {Array<object>} plants - Plant profiles, for naming the plants.
+ */
+const useCareReminders = (tasks, plants) => {
+    useEffect(() => {
+        const check = () => {
+            notifyDueCareTasks(tasks, plants).catch(error => console.error("Error showing care reminder:", error));
+        };
+        check();
+        const interval = setInterval(check, CARE_REMINDER_CONFIG.checkIntervalMs);
+        return () => clearInterval(interval);
+    }, [tasks, plants]);
+};
+
+/**
+ * Tracks the user's language: their saved choice once it loads, until then the one detected at
+ * startup. The module's active locale is switched together with the state, so the re-render, the
+ * prompts built from it and the queue workers all use the new language.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Array} [locale, changeLocale] where changeLocale(locale) saves the new choice.
+ */
+const useLocale = (db, userId) => {
+    const [locale, setLocale] = useState(getActiveLocale);
+
+    const applyLocale = (nextLocale) => {
+        setActiveLocale(nextLocale);
+        setLocale(getActiveLocale());
+    };
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        // Listens to the collection rather than the document, which local mode can't observe
+        const unsubscribe = onSnapshot(collection(db, getUserCollectionPath(userId, SETTINGS_COLLECTION_NAME)), (snapshot) => {
+            const saved = snapshot.docs.find(d => d.id === PREFERENCES_DOC_ID)?.data().locale;
+            if (isSupportedLocale(saved)) applyLocale(saved);
+        }, (error) => {
+            console.error("Error listening to settings:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const changeLocale = (nextLocale) => {
+        applyLocale(nextLocale);
+        if (db && userId) {
+            saveLocalePreference(db, userId, nextLocale).catch(error => console.error("Error saving language:", error));
+        }
+    };
+
+    return [locale, changeLocale];
+};
+
+/**
+ * Subscribes to the user's growing context profile.
+ * @param {object} db - Firestore instance.
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {object|null|undefined} The GROWING_CONTEXT_DOC_ID document; null if none is saved, undefined while loading.
+ */
+const useGrowingContext = (db, userId) => {
+    const [profile, setProfile] = useState(undefined);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        // Listens to the collection rather than the document, which local mode can't observe
+        const unsubscribe = onSnapshot(collection(db, getUserCollectionPath(userId, SETTINGS_COLLECTION_NAME)), (snapshot) => {
+            setProfile(snapshot.docs.find(d => d.id === GROWING_CONTEXT_DOC_ID)?.data() || null);
+        }, (error) => {
+            console.error("Error listening to growing context:", error);
+            setProfile(null);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return profile;
+};
+
+// --- Components ---
+
+const PlantPicker = ({ plants, activePlantId, onChange, disabled }) => {
+  const activePlants = plants.filter(plant => !plant.archived || plant.id === activePlantId);
+
+  return (
+    <label className="flex items-center text-sm text-gray-600">
+      <span className="mr-2 font-semibold">{t('plantPicker.label')}</span>
+      <select
+        value={activePlantId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+        className="flex-1 px-2 py-1 border border-gray-300 rounded-lg bg-white focus:ring-green-500 focus:border-green-500"
+      >
+        <option value="">{t('plantPicker.none')}</option>
+        {activePlants.map(plant => (
+          <option key={plant.id} value={plant.id}>
+            {plant.name}{plant.species ? ` (${plant.species})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+const AnnotatedImage = ({ src, regions = [], alt }) => (
+  <div className="relative w-full rounded-lg overflow-hidden shadow-md">
+    <img src={src} alt={alt} className="w-full h-auto block" />
+    {regions.map((region, index) => (
+      <div
+        key={index}
+        title={region.label}
+        className="absolute border-2 border-red-500 bg-red-500/10 rounded"
+        style={{
+          left: `${region.x * 100}%`,
+          top: `${region.y * 100}%`,
+          width: `${region.width * 100}%`,
+          height: `${region.height * 100}%`
+        }}
+      >
+        <span className="absolute -top-5 left-0 px-1 text-[10px] font-semibold text-white bg-red-500 rounded whitespace-nowrap">
+          {index + 1}. {region.label}
+        </span>
+      </div>
+    ))}
+  </div>
+);
+
+// Confidence, severity, affected part and alternatives. Older scans saved before these fields existed render nothing.
+const DiagnosisInsights = ({ result }) => {
+  if (typeof result.confidence !== 'number') return null;
+
+  const isLowConfidence = result.confidence < LOW_CONFIDENCE_THRESHOLD;
+  const alternatives = result.alternative_diagnoses || [];
+
+  return (
+    <div className="space-y-3">
+      {isLowConfidence && (
+        <div className="p-3 bg-amber-100 border border-amber-400 text-amber-800 rounded-lg text-sm">
+          <p className="font-semibold">{t('diagnosis.lowConfidence', { percent: Math.round(result.confidence * 100) })}</p>
+          <p>{t('diagnosis.lowConfidenceHelp')}</p>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2 text-xs font-semibold">
+        <span className="px-3 py-1 rounded-full border border-gray-300 bg-gray-50 text-gray-700">
+          {t('diagnosis.confidence', { percent: Math.round(result.confidence * 100) })}
+        </span>
+        {result.severity && (
+          <span className={`px-3 py-1 rounded-full border capitalize ${SEVERITY_STYLES[result.severity] || SEVERITY_STYLES.none}`}>
+            {t('diagnosis.severity', { value: t(`severity.${result.severity}`) })}
+          </span>
+        )}
+        {result.affected_part && result.affected_part !== 'none' && (
+          <span className="px-3 py-1 rounded-full border border-gray-300 bg-gray-50 text-gray-700 capitalize">
+            {t('diagnosis.affected', { value: t(`plantPart.${result.affected_part}`) })}
+          </span>
+        )}
+      </div>
+      {alternatives.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">{t('diagnosis.alternatives')}</h4>
+          <ul className="space-y-1">
+            {alternatives.map((alt, index) => (
+              <li key={index} className="text-sm text-gray-700">
+                <div className="flex justify-between">
+                  <span className="capitalize">{alt.disease}</span>
+                  <span className="text-gray-500">{Math.round(alt.probability * 100)}%</span>
+                </div>
+                <div className="h-1.5 bg-gray-200 rounded-full">
+                  <div className="h-1.5 bg-green-500 rounded-full" style={{ width: `${alt.probability * 100}%` }} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const REMEDY_WARNING_STYLES = {
+  danger: 'bg-red-50 border-red-300 text-red-700',
+  conflict: 'bg-orange-50 border-orange-300 text-orange-700',
+  caution: 'bg-yellow-50 border-yellow-300 text-yellow-800'
+};
+
+// The growing conditions a scan or bot reply was based on; `compact` is the one-line form used under replies.
+const GrowingContextNote = ({ context, compact = false }) => {
+  if (compact) {
+    if (!context) return null;
+    return <p className="mt-1 text-xs text-gray-400" title={t('context.used')}>🌦️ {describeGrowingContext(context).join(' · ')}</p>;
+  }
+  return (
+    <div className="p-3 bg-sky-50 border border-sky-200 text-sky-900 rounded-lg text-sm">
+      {context ? (
+        <>
+          <p className="font-semibold">🌦️ {t('context.used')}</p>
+          <p>{describeGrowingContext(context).join(' · ')}</p>
+        </>
+      ) : (
+        <p>🌦️ {t('context.none')}</p>
+      )}
+    </div>
+  );
+};
+
+// The model's remedies, each with any safety warning or conflict with the curated entry.
+const RemedyList = ({ remedies, entry }) => (
+  <ul className="list-disc list-inside space-y-2 text-gray-700 text-sm pl-4">
+    {remedies.map((remedy, index) => {
+      const warnings = checkRemedySafety(remedy, entry);
+      return (
+        <li key={index}>
+          {remedy}
+          {warnings.map((warning, warningIndex) => (
+            <p key={warningIndex} className={`mt-1 ml-4 px-2 py-1 text-xs border rounded-lg ${REMEDY_WARNING_STYLES[warning.severity]}`}>
+              {warning.severity === 'danger' ? t('remedy.unsafe') : warning.severity === 'conflict' ? t('remedy.conflict') : t('remedy.caution')}
+              {warning.message}
+            </p>
+          ))}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const KnowledgeEntryCard = ({ entry }) => (
+  <div className="space-y-3 text-sm text-gray-700">
+    <div>
+      <h4 className="text-lg font-bold text-gray-800">{entry.kind === 'pest' ? '🐛' : '🍂'} {entry.name}</h4>
+      <p className="text-xs text-gray-500">{t('guide.version', { version: KNOWLEDGE_BASE.version, date: KNOWLEDGE_BASE.reviewedOn })}</p>
+    </div>
+    <div>
+      <p className="font-semibold">{t('guide.symptoms')}</p>
+      <ul className="list-disc list-inside pl-2">{entry.symptoms.map(symptom => <li key={symptom}>{symptom}</li>)}</ul>
+    </div>
+    <p><span className="font-semibold">{t('guide.hosts')}</span> {entry.hosts.join(', ')}</p>
+    <div>
+      <p className="font-semibold">{t('guide.treatments')}</p>
+      <ul className="space-y-1 pl-2">
+        {entry.treatments.map(treatment => (
+          <li key={treatment.name}>
+            ✅ <span className="font-semibold">{treatment.name}</span> — {treatment.dosage}
+            {treatment.notes && <span className="text-gray-500"> {treatment.notes}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+    <div className="p-2 bg-sky-50 border border-sky-200 rounded-lg text-xs text-sky-800 space-y-1">
+      <p>🐾 <span className="font-semibold">{t('guide.pets')}</span> {entry.safety.pets}</p>
+      <p>🧒 <span className="font-semibold">{t('guide.children')}</span> {entry.safety.children}</p>
+    </div>
+  </div>
+);
+
+// Shown next to a diagnosis: the curated entry when the knowledge base knows the problem.
+const CuratedGuidance = ({ disease }) => {
+  const entry = findKnowledgeEntry(disease);
+  if (!entry) return null;
+  return (
+    <details className="p-3 bg-green-50 border border-green-200 rounded-xl">
+      <summary className="cursor-pointer text-sm font-semibold text-green-800">{t('guide.curated', { name: entry.name })}</summary>
+      <div className="pt-3">
+        <KnowledgeEntryCard entry={entry} />
+      </div>
+    </details>
+  );
+};
+
+const KNOWLEDGE_KIND_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'disease', label: 'Diseases' },
+  { id: 'pest', label: 'Pests' }
+];
+
+const KnowledgeBrowser = () => {
+  const [search, setSearch] = useState('');
+  const [kind, setKind] = useState('all');
+  const [selectedEntryId, setSelectedEntryId] = useState(null);
+
+  const selectedEntry = KNOWLEDGE_BASE.entries.find(entry => entry.id === selectedEntryId);
+  if (selectedEntry) {
+    return (
+      <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+        <button onClick={() => setSelectedEntryId(null)} className="text-sm font-semibold text-green-700 hover:underline">
+          ← Back to the guide
+        </button>
+        <div className="p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl">
+          <KnowledgeEntryCard entry={selectedEntry} />
+        </div>
+      </div>
+    );
+  }
+
+  const results = searchKnowledgeBase(search, kind);
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 max-w-lg mx-auto">
+      <div className="border-b pb-2">
+        <h2 className="text-2xl font-extrabold text-gray-800">Plant Problem Guide</h2>
+        <p className="text-xs text-gray-500">Curated and reviewed, v{KNOWLEDGE_BASE.version}. Works offline.</p>
+      </div>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search by name, symptom or plant, e.g. 'webbing' or 'tomato'"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-green-500 focus:border-green-500"
+      />
+      <div className="flex space-x-2">
+        {KNOWLEDGE_KIND_FILTERS.map(filter => (
+          <button
+            key={filter.id}
+            onClick={() => setKind(filter.id)}
+            className={`px-3 py-1 text-xs font-semibold rounded-full transition ${
+              kind === filter.id ? 'bg-green-600 text-white' : 'bg-white border border-gray-300 text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+      {results.length === 0 ? (
+        <div className="text-center text-gray-500 italic p-6 bg-white rounded-xl shadow-inner">No entries match your search.</div>
+      ) : (
+        <ul className="space-y-2">
+          {results.map(entry => (
+            <li key={entry.id}>
+              <button onClick={() => setSelectedEntryId(entry.id)} className="w-full p-3 bg-white rounded-xl shadow-md hover:shadow-lg transition text-left">
+                <p className="font-bold text-gray-800">{entry.kind === 'pest' ? '🐛' : '🍂'} {entry.name}</p>
+                <p className="text-xs text-gray-600 truncate">{entry.symptoms[0]}</p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Lets the user drag a rectangle over an image; reports it in normalized (0-1) coordinates.
+const RegionSelector = ({ src, onSelect }) => {
+  const containerRef = useRef(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragRect, setDragRect] = useState(null);
+
+  const toPoint = (e) => {
+    const bounds = containerRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1),
+      y: Math.min(Math.max((e.clientY - bounds.top) / bounds.height, 0), 1)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toPoint(e);
+    setDragStart(point);
+    setDragRect({ ...point, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStart) return;
+    const point = toPoint(e);
+    setDragRect({
+      x: Math.min(dragStart.x, point.x),
+      y: Math.min(dragStart.y, point.y),
+      width: Math.abs(point.x - dragStart.x),
+      height: Math.abs(point.y - dragStart.y)
+    });
+  };
+
+  const handlePointerUp = () => {
+    // Ignore accidental taps; a useful region covers at least 5% of each side.
+    if (dragRect && dragRect.width > 0.05 && dragRect.height > 0.05) {
+      onSelect(dragRect);
+    }
+    setDragStart(null);
+    setDragRect(null);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative w-full rounded-lg overflow-hidden shadow-md cursor-crosshair select-none touch-none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      <img src={src} alt={t('photo.cropAlt')} className="w-full h-auto block pointer-events-none" draggable={false} />
+      {dragRect && (
+        <div
+          className="absolute border-2 border-green-400 bg-green-400/20"
+          style={{
+            left: `${dragRect.x * 100}%`,
+            top: `${dragRect.y * 100}%`,
+            width: `${dragRect.width * 100}%`,
+            height: `${dragRect.height * 100}%`
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// One attached photo: preview (or crop selector), view tag and controls.
+const ScanPhotoCard = ({ photo, index, problems, disabled, onViewChange, onCropSelect, onRemove }) => {
+  const [isCropping, setIsCropping] = useState(false);
+  const fullImageUrl = useObjectUrl(photo.fullImage?.blob);
+  const previewUrl = useObjectUrl(photo.processed?.blob);
+  const { processed } = photo;
+
+  const handleCropSelect = (region) => {
+    setIsCropping(false);
+    onCropSelect(photo.id, region);
+  };
+
+  return (
+    <div className="w-full p-3 bg-green-50 rounded-lg space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold text-gray-700">{t('photo.label', { number: index + 1 })}</span>
+        <select
+          value={photo.view}
+          onChange={(e) => onViewChange(photo.id, e.target.value)}
+          disabled={disabled}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-sm"
+        >
+          {PHOTO_VIEWS.map(view => <option key={view.id} value={view.id}>{getPhotoViewLabel(view.id)}</option>)}
+        </select>
+      </div>
+      {photo.error ? (
+        <p className="text-sm text-red-600">{photo.error}</p>
+      ) : photo.processing && !processed ? (
+        <div className="w-full h-40 rounded-lg bg-white flex items-center justify-center text-sm text-gray-500 animate-pulse">
+          {t('photo.preparing')}
+        </div>
+      ) : isCropping && fullImageUrl ? (
+        <>
+          <RegionSelector src={fullImageUrl} onSelect={handleCropSelect} />
+          <p className="text-xs text-gray-500 text-center">{t('photo.dragToCrop')}</p>
+        </>
+      ) : previewUrl && (
+        <img
+          src={previewUrl}
+          alt={t('photo.alt', { number: index + 1 })}
+          className="w-full max-h-64 object-contain rounded-lg shadow-md bg-white"
+        />
+      )}
+      {problems && !photo.processing && !isCropping && (
+        problems.length === 0 ? (
+          <p className="text-xs font-semibold text-green-700">{t('photo.passed')}</p>
+        ) : (
+          <ul className="text-xs text-red-600 space-y-0.5">
+            {problems.map(problem => <li key={problem}>✗ {problem}</li>)}
+            <li className="text-gray-500">{t('photo.fixHint')}</li>
+          </ul>
+        )
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+        {processed ? (
+          <span>
+            {processed.width}×{processed.height} {processed.mimeType.replace('image/', '').toUpperCase()} · {formatBytes(processed.bytes)}
+            <span className="text-gray-400"> {t('photo.originalSize', { size: formatBytes(processed.originalBytes) })}</span>
+          </span>
+        ) : <span />}
+        <span className="space-x-2">
+          {processed && (
+            <button onClick={() => setIsCropping(prev => !prev)} disabled={disabled} className="font-semibold text-green-700 hover:underline">
+              {isCropping ? t('photo.cancelCrop') : t('photo.crop')}
+            </button>
+          )}
+          {photo.cropRegion && !isCropping && (
+            <button onClick={() => handleCropSelect(null)} disabled={disabled} className="font-semibold text-green-700 hover:underline">{t('photo.resetCrop')}</button>
+          )}
+          <button onClick={() => onRemove(photo.id)} disabled={disabled} className="font-semibold text-red-600 hover:underline">{t('common.remove')}</button>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Photos of a scan with their highlighted regions and per-photo findings.
+const ScanPhotoGallery = ({ photos, regions = [], findings = [] }) => (
+  <div className="space-y-4">
+    {photos.map((photo, index) => {
+      const photoFindings = findings.filter(finding => finding.photo_index === index + 1);
+      return (
+        <figure key={index} className="space-y-2">
+          <AnnotatedImage src={photo.src} regions={getRegionsForPhoto(regions, index)} alt={t('photo.label', { number: index + 1 })} />
+          <figcaption className="text-sm text-gray-700">
+            <span className="font-semibold">{t('photo.label', { number: index + 1 })}{photo.view && ` · ${getPhotoViewLabel(photo.view)}`}</span>
+            {photoFindings.length > 0 && (
+              <ul className="list-disc list-inside text-gray-600 pl-2">
+                {photoFindings.map((finding, findingIndex) => <li key={findingIndex}>{finding.finding}</li>)}
+              </ul>
+            )}
+          </figcaption>
+        </figure>
+      );
+    })}
+  </div>
+);
+
+const describeCameraError = (error) => {
+  if (error.name === 'NotAllowedError') return t('camera.blocked');
+  if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') return t('camera.notFound');
+  if (error.name === 'NotReadableError') return t('camera.inUse');
+  return t('camera.failed');
+};
+
+// Live viewfinder with a framing guide. The frame is checked a few times a second and can only
+// be captured once it passes, so the reasons for a bad shot are shown before it is taken.
+const CameraCapture = ({ initialView, onCapture, onClose }) => {
+  const videoRef = useRef(null);
+  const [view, setView] = useState(initialView);
+  const [isLive, setIsLive] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [problems, setProblems] = useState(null); // null until the first frame has been checked
+  const [capturing, setCapturing] = useState(false);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError(t('camera.needsHttps'));
+      return;
+    }
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+      audio: false
+    }).then((mediaStream) => {
+      stream = mediaStream;
+      if (cancelled) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      videoRef.current.srcObject = stream;
+      setIsLive(true);
+    }).catch((error) => {
+      console.error("Camera Error:", error);
+      if (!cancelled) setCameraError(describeCameraError(error));
+    });
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isLive) return;
+    const interval = setInterval(() => {
+      const video = videoRef.current;
+      if (!video || video.readyState < 2 || !video.videoWidth) return;
+      const quality = measurePhotoQuality(readPhotoPixels(video, video.videoWidth, video.videoHeight), CAMERA_GUIDE_REGION);
+      setProblems(evaluatePhotoQuality(quality, view));
+    }, PHOTO_QUALITY_CONFIG.liveCheckIntervalMs);
+    return () => clearInterval(interval);
+  }, [isLive, view]);
+
+  const passes = problems !== null && problems.length === 0;
+
+  const handleCapture = async () => {
+    const video = videoRef.current;
+    if (!passes || capturing || !video) return;
+    setCapturing(true);
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+      onCapture(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }), view);
+    } catch (error) {
+      console.error("Capture Error:", error);
+      setCameraError(t('camera.captureFailed'));
+    }
+    setCapturing(false);
+  };
+
+  return (
+    <div className="w-full space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <select value={view} onChange={(e) => setView(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-sm">
+          {PHOTO_VIEWS.map(option => <option key={option.id} value={option.id}>{getPhotoViewLabel(option.id)}</option>)}
+        </select>
+        <button onClick={onClose} className="font-semibold text-gray-600 hover:underline">{t('camera.close')}</button>
+      </div>
+      {cameraError ? (
+        <p className="p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700">{cameraError}</p>
+      ) : (
+        <>
+          <div className="relative w-full bg-black rounded-lg overflow-hidden">
+            <video ref={videoRef} autoPlay playsInline muted className="w-full h-auto block" />
+            <div
+              className={`absolute border-4 rounded-xl pointer-events-none transition-colors ${passes ? 'border-green-400' : 'border-white/70'}`}
+              style={{
+                left: `${CAMERA_GUIDE_REGION.x * 100}%`,
+                top: `${CAMERA_GUIDE_REGION.y * 100}%`,
+                width: `${CAMERA_GUIDE_REGION.width * 100}%`,
+                height: `${CAMERA_GUIDE_REGION.height * 100}%`
+              }}
+            />
+            {!isLive && <p className="absolute inset-0 flex items-center justify-center text-sm text-white">{t('camera.starting')}</p>}
+          </div>
+          <div className="text-sm min-h-[2.5rem]">
+            {problems === null ? (
+              <p className="text-gray-500">{t('camera.frameHint')}</p>
+            ) : passes ? (
+              <p className="font-semibold text-green-700">{t('camera.ready')}</p>
+            ) : (
+              <ul className="text-red-600 space-y-0.5">{problems.map(problem => <li key={problem}>✗ {problem}</li>)}</ul>
+            )}
+          </div>
+          <button
+            onClick={handleCapture}
+            disabled={!passes || capturing}
+            className={`w-full py-2 font-semibold rounded-full transition ${
+              passes && !capturing ? 'bg-green-600 text-white hover:bg-green-700 shadow-md' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            }`}
+          >
+            {capturing ? t('camera.capturing') : t('camera.capture')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const PlantScanner = ({ db, userId, plants, activePlantId, onActivePlantChange, growingProfile, onDiscussScan }) => {
+  const [photos, setPhotos] = useState([]); // { id, file, view, cropRegion, fullImage, processed, processing, error }
+  const [scanResult, setScanResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null); // null | 'saving' | 'saved' | 'failed'
+  const [savedScan, setSavedScan] = useState(null); // The persisted scan document, for the bot hand-off
+  const [queuedNotice, setQueuedNotice] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  // Cancel an analysis in flight when leaving the scanner
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const updatePhoto = (photoId, changes) => {
+    setPhotos(prev => prev.map(photo => (photo.id === photoId ? { ...photo, ...changes } : photo)));
+  };
+
+  const clearResult = () => {
+    setScanResult(null);
+    setError(null);
+    setSaveStatus(null);
+    setSavedScan(null);
+    setQueuedNotice(false);
+  };
+
+  // Preprocess and quality-check one photo; results are dropped if the crop changed while this ran.
+  // Uncropped camera shots are checked for leaf coverage inside the framing guide they were taken with.
+  const processPhoto = async (photoId, file, cropRegion, fromCamera = false) => {
+    updatePhoto(photoId, { processing: true, error: null });
+    try {
+      const uncropped = await preprocessImage(file);
+      const output = cropRegion ? await preprocessImage(file, { crop: cropRegion }) : uncropped;
+      const quality = await measureBlobQuality(output.blob, fromCamera && !cropRegion ? CAMERA_GUIDE_REGION : FULL_FRAME);
+      setPhotos(prev => prev.map(photo => (
+        photo.id === photoId && photo.cropRegion === cropRegion
+          ? { ...photo, fullImage: uncropped, processed: output, quality, processing: false }
+          : photo
+      )));
+    } catch (err) {
+      console.error("Preprocessing Error:", err);
+      updatePhoto(photoId, { processed: null, processing: false, error: err.message });
+    }
+  };
+
+  const suggestedView = (offset = 0) => PHOTO_VIEWS[(photos.length + offset) % PHOTO_VIEWS.length].id;
+
+  const addPhotos = (files, { views = [], fromCamera = false } = {}) => {
+    // Suggest a different view for each new photo; the user can retag it.
+    const newPhotos = files.map((file, offset) => ({
+      id: crypto.randomUUID(),
+      file,
+      view: views[offset] || suggestedView(offset),
+      fromCamera,
+      cropRegion: null,
+      fullImage: null,
+      processed: null,
+      quality: null,
+      processing: true,
+      error: null
+    }));
+    setPhotos(prev => [...prev, ...newPhotos]);
+    clearResult();
+    newPhotos.forEach(photo => processPhoto(photo.id, photo.file, null, fromCamera));
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFiles = Array.from(e.target.files || []).slice(0, MAX_PHOTOS_PER_SCAN - photos.length);
+    e.target.value = ''; // Allow re-selecting the same file
+    if (selectedFiles.length === 0) return;
+    addPhotos(selectedFiles);
+  };
+
+  const handleCameraCapture = (file, view) => {
+    addPhotos([file], { views: [view], fromCamera: true });
+    if (photos.length + 1 >= MAX_PHOTOS_PER_SCAN) setCameraOpen(false);
+  };
+
+  const handleViewChange = (photoId, view) => {
+    updatePhoto(photoId, { view });
+    clearResult();
+  };
+
+  const handleCropSelect = (photoId, region) => {
+    const photo = photos.find(p => p.id === photoId);
+    if (!photo) return;
+    updatePhoto(photoId, { cropRegion: region });
+    clearResult();
+    processPhoto(photoId, photo.file, region, photo.fromCamera);
+  };
+
+  const handleRemove = (photoId) => {
+    setPhotos(prev => prev.filter(photo => photo.id !== photoId));
+    clearResult();
+  };
+
+  const readyPhotos = photos.filter(photo => photo.processed && !photo.processing);
+  const isProcessing = photos.some(photo => photo.processing);
+  const getPhotoProblems = (photo) => (photo.quality ? evaluatePhotoQuality(photo.quality, photo.view) : null);
+  // Every photo must pass the quality check; a bad one makes the whole diagnosis unreliable
+  const rejectedPhotoNumbers = photos
+    .map((photo, index) => (getPhotoProblems(photo)?.length > 0 ? index + 1 : null))
+    .filter(Boolean);
+  const canScan = readyPhotos.length > 0 && !isProcessing && !loading && rejectedPhotoNumbers.length === 0;
+
+  // Keep the photos in the offline queue; the result shows up in the scan history once it has run
+  const queueScan = async (scanPhotos) => {
+    if (!userId) {
+      setError(t('scanner.offlineSignedOut'));
+      return;
+    }
+    try {
+      await enqueueOfflineItem(userId, 'scan', { photos: scanPhotos, plantId: activePlantId || null });
+      setPhotos([]);
+      setQueuedNotice(true);
+    } catch (queueError) {
+      console.error("Error queueing scan:", queueError);
+      setError(t('scanner.offlineQueueFailed'));
+    }
+  };
+
+  const handleScan = async () => {
+    if (!canScan) return;
+
+    setLoading(true);
+    clearResult();
+
+    const scanPhotos = readyPhotos.map(photo => ({ view: photo.view, blob: photo.processed.blob, mimeType: photo.processed.mimeType }));
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      if (!navigator.onLine) {
+        await queueScan(scanPhotos);
+        return;
+      }
+
+      // 1. Run the structured analysis through the configured AI provider, judged by the user's growing conditions
+      const growingContext = await resolveGrowingContext(growingProfile, { signal: controller.signal });
+      const { result: parsedResult, images } = await analyzePlantPhotos(scanPhotos, { signal: controller.signal, locale: getActiveLocale(), growingContext });
+      
+      setScanResult({
+        ...parsedResult,
+        photos: images.map(image => ({ view: image.view, src: `data:${image.mimeType};base64,${image.data}` }))
+      });
+
+      // 2. Keep the diagnosis in the user's scan history
+      if (db && userId) {
+        setSaveStatus('saving');
+        try {
+          const scanRecord = { ...parsedResult, photos: await buildScanPhotoRecords(scanPhotos), plantId: activePlantId };
+          const scanRef = await saveScanResult(db, userId, scanRecord);
+          setSavedScan({ id: scanRef.id, ...scanRecord });
+          setSaveStatus('saved');
+        } catch (saveError) {
+          console.error("Error saving scan:", saveError);
+          setSaveStatus('failed');
+        }
+      }
+
+    } catch (err) {
+      if (err.name === 'AbortError') return; // Cancelled by the user; the photos stay for another try
+      console.error("Scanning Error:", err);
+      if (isNetworkError(err)) {
+        // The connection dropped during the scan; try again later instead of failing
+        await queueScan(scanPhotos);
+      } else if (err instanceof ApiError && err.type === 'malformed') {
+        setError(t('scanner.malformed'));
+      } else {
+        setError(describeApiError(err, t('scanner.failed')));
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const isDiseased = scanResult && !isHealthyDiagnosis(scanResult.predicted_disease);
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+      <h2 className="text-2xl font-extrabold text-gray-800 border-b pb-2">{t('scanner.title')}</h2>
+      <p className="text-sm text-gray-600">{t('scanner.intro', { max: MAX_PHOTOS_PER_SCAN })}</p>
+
+      <PlantPicker plants={plants} activePlantId={activePlantId} onChange={onActivePlantChange} disabled={loading} />
+
+      <div className="flex flex-col items-center p-6 border-2 border-dashed border-green-300 rounded-xl bg-white shadow-inner">
+        {photos.length > 0 ? (
+          <div className="w-full mb-4 space-y-3">
+            {photos.map((photo, index) => (
+              <ScanPhotoCard
+                key={photo.id}
+                photo={photo}
+                index={index}
+                problems={getPhotoProblems(photo)}
+                disabled={loading}
+                onViewChange={handleViewChange}
+                onCropSelect={handleCropSelect}
+                onRemove={handleRemove}
+              />
+            ))}
+          </div>
+        ) : !cameraOpen && (
+          <svg className="w-12 h-12 text-green-500 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-9-2h.01M4 20h16a2 2 0 002-2V6a2 2 0 00-2-2H4a2 2 0 00-2 2v12a2 2 0 002 2z"></path></svg>
+        )}
+        {/* IMPORTANT CHANGE: Added capture="environment" to allow camera input on mobile devices */}
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/*"
+          capture="environment" 
+          multiple
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        {cameraOpen ? (
+          <CameraCapture initialView={suggestedView()} onCapture={handleCameraCapture} onClose={() => setCameraOpen(false)} />
+        ) : (
+          <div className="flex flex-wrap justify-center gap-2">
+            <button
+              onClick={() => setCameraOpen(true)}
+              className="px-4 py-2 text-sm font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 transition shadow-lg hover:shadow-xl transform hover:scale-[1.02] disabled:opacity-50"
+              disabled={loading || photos.length >= MAX_PHOTOS_PER_SCAN}
+            >
+              {t('scanner.useCamera')}
+            </button>
+            <button
+              onClick={() => inputRef.current.click()}
+              className="px-4 py-2 text-sm font-semibold rounded-full bg-green-500 text-white hover:bg-green-600 transition shadow-lg hover:shadow-xl transform hover:scale-[1.02] disabled:opacity-50"
+              disabled={loading || photos.length >= MAX_PHOTOS_PER_SCAN}
+            >
+              {photos.length > 0 ? t('scanner.addPhoto') : t('scanner.selectPhoto')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {rejectedPhotoNumbers.length > 0 && (
+        <p className="-mb-3 text-sm text-red-600">
+          {t('scanner.rejectedPhotos', { numbers: rejectedPhotoNumbers.join(', ') })}
+        </p>
+      )}
+
+      <button
+        onClick={handleScan}
+        disabled={!canScan}
+        className={`w-full py-3 text-lg font-bold rounded-xl transition transform ${
+          canScan
+            ? 'bg-green-600 text-white hover:bg-green-700 shadow-xl hover:shadow-2xl'
+            : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+        }`}
+      >
+        {loading ? (
+            <span className="flex items-center justify-center">
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" viewBox="0 0 24 24">
+                   <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                {readyPhotos.length > 1 ? t('scanner.analyzingPhotos', { count: readyPhotos.length }) : t('scanner.analyzingImage')}
+            </span>
+        ) : t('scanner.scan')}
+      </button>
+      {loading && (
+        <button
+          onClick={() => abortControllerRef.current?.abort()}
+          className="w-full -mt-3 py-2 text-sm font-semibold rounded-xl text-red-600 hover:bg-red-50 transition"
+        >
+          {t('scanner.cancel')}
+        </button>
+      )}
+      
+      {queuedNotice && (
+        <div className="p-4 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg">
+            <p className="font-semibold">{t('scanner.queuedTitle')}</p>
+            <p className="text-sm">{t('scanner.queuedBody')}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            <p className="font-semibold">{t('scanner.errorTitle')}</p>
+            <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {scanResult && (
+        <div className="mt-6 p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl space-y-4">
+          <div className="flex justify-between items-center pb-2 border-b border-gray-200">
+            <h3 className="text-xl font-bold text-gray-800">{t('scanner.resultsTitle')}</h3>
+            <span className={`px-4 py-1 rounded-full text-lg font-bold border ${getHealthColor(scanResult.health_percentage)}`}>
+              {t('scanner.health', { percent: scanResult.health_percentage })}
+            </span>
+          </div>
+
+          <ScanPhotoGallery photos={scanResult.photos} regions={scanResult.affected_regions} findings={scanResult.photo_findings} />
+
+          <p className="text-md text-gray-700">
+            **{t('scanner.predictedStatus')}** <span className="font-extrabold text-lg text-green-700 capitalize">{formatDiagnosis(scanResult.predicted_disease)}</span>
+          </p>
+
+          <DiagnosisInsights result={scanResult} />
+
+          <GrowingContextNote context={scanResult.growing_context} />
+
+          <CuratedGuidance disease={scanResult.predicted_disease} />
+
+          <div className="pt-4 border-t border-gray-200">
+              <h4 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+                <svg className={`w-5 h-5 mr-2 ${isDiseased ? 'text-red-600' : 'text-green-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d={isDiseased ? "M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" : "M5 13l4 4L19 7"}></path></svg>
+                {isDiseased ? t('scanner.remedies') : t('scanner.careTips')}
+              </h4>
+              <RemedyList remedies={scanResult.home_remedies} entry={findKnowledgeEntry(scanResult.predicted_disease)} />
+            </div>
+
+          {savedScan && onDiscussScan && (
+            <button
+              onClick={() => onDiscussScan(savedScan)}
+              className="w-full py-2 font-semibold rounded-xl bg-green-100 text-green-800 border border-green-300 hover:bg-green-200 transition"
+            >
+              {t('scanner.discuss')}
+            </button>
+          )}
+
+          {saveStatus && (
+            <p className={`text-xs pt-2 border-t border-gray-200 ${saveStatus === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+              {saveStatus === 'saving' && t('scanner.saving')}
+              {saveStatus === 'saved' && t('scanner.saved')}
+              {saveStatus === 'failed' && t('scanner.saveFailed')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Searchable list of conversation threads with rename and delete.
+const ThreadList = ({ threads, activeThreadId, onSelect, onNew, onRename, onDelete }) => {
+  const [search, setSearch] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const needle = search.trim().toLowerCase();
+  const visibleThreads = needle
+    ? threads.filter(thread => `${thread.title} ${thread.lastMessagePreview || ''}`.toLowerCase().includes(needle))
+    : threads;
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (renameValue.trim()) onRename(renamingId, renameValue.trim());
+    setRenamingId(null);
+  };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
+      <div className="flex space-x-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('threads.search')}
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-xl focus:ring-green-500 focus:border-green-500"
+        />
+        <button onClick={onNew} className="px-3 py-2 text-sm font-semibold rounded-xl bg-green-600 text-white hover:bg-green-700 transition">{t('threads.new')}</button>
+      </div>
+      {visibleThreads.length === 0 ? (
+        <p className="text-center text-gray-500 italic p-6">{threads.length === 0 ? t('threads.empty') : t('threads.noMatch')}</p>
+      ) : (
+        <ul className="space-y-2">
+          {visibleThreads.map(thread => (
+            <li key={thread.id} className={`p-3 rounded-xl shadow-sm border ${thread.id === activeThreadId ? 'bg-green-50 border-green-400' : 'bg-white border-gray-200'}`}>
+              {renamingId === thread.id ? (
+                <form onSubmit={submitRename} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    autoFocus
+                    className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-lg"
+                  />
+                  <button type="submit" className="text-sm font-semibold text-green-700 hover:underline">{t('common.save')}</button>
+                  <button type="button" onClick={() => setRenamingId(null)} className="text-sm text-gray-500 hover:underline">{t('common.cancel')}</button>
+                </form>
+              ) : (
+                <button onClick={() => onSelect(thread.id)} className="w-full text-left">
+                  <p className="font-semibold text-gray-800 truncate">{thread.title}</p>
+                  {thread.lastMessagePreview && <p className="text-xs text-gray-500 truncate">{thread.lastMessagePreview}</p>}
+                  <p className="text-[10px] text-gray-400">{toDate(thread.updatedAt) ? formatDateTime(toDate(thread.updatedAt)) : t('common.saving')}</p>
+                </button>
+              )}
+              {renamingId !== thread.id && (
+                <div className="flex justify-end space-x-3 text-xs mt-1">
+                  {confirmDeleteId === thread.id ? (
+                    <>
+                      <span className="text-gray-600">{t('threads.confirmDelete')}</span>
+                      <button onClick={() => { onDelete(thread.id); setConfirmDeleteId(null); }} className="font-semibold text-red-600 hover:underline">{t('common.delete')}</button>
+                      <button onClick={() => setConfirmDeleteId(null)} className="text-gray-500 hover:underline">{t('common.cancel')}</button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => { setRenamingId(thread.id); setRenameValue(thread.title); }} className="font-semibold text-green-700 hover:underline">{t('threads.rename')}</button>
+                      <button onClick={() => setConfirmDeleteId(thread.id)} className="font-semibold text-red-600 hover:underline">{t('common.delete')}</button>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// A care schedule proposed by the bot, added to the agenda with one tap.
+const CareProposalCard = ({ proposal, accepting, onAccept }) => (
+  <div className="p-3 bg-white border border-green-300 rounded-xl shadow-md space-y-2">
+    <p className="text-xs font-semibold text-green-800 uppercase tracking-wide">{t('schedule.title')}</p>
+    <p className="text-sm text-gray-700">{proposal.summary}</p>
+    <ul className="text-sm text-gray-700 space-y-1">
+      {proposal.tasks.map((task, index) => (
+        <li key={index}>
+          <span className="font-semibold">{getCareTaskType(task.type).emoji} {task.title}</span>
+          <span className="text-xs text-gray-500">
+            {' · '}{formatLocalizedRecurrence(task.recurrence)}{' · '}
+            {task.startInDays === 0 ? t('schedule.fromToday') : task.startInDays === 1 ? t('schedule.inOneDay') : t('schedule.inDays', { count: task.startInDays })}
+          </span>
+          {task.notes && <p className="text-xs text-gray-500">{task.notes}</p>}
+        </li>
+      ))}
+    </ul>
+    {proposal.acceptedAt ? (
+      <p className="text-xs font-semibold text-green-700">{t('schedule.added')}</p>
+    ) : (
+      <button
+        onClick={onAccept}
+        disabled={accepting}
+        className={`px-4 py-1.5 text-sm font-semibold rounded-full transition ${
+          accepting ? 'bg-gray-300 text-gray-500 cursor-not-allowed' : 'bg-green-600 text-white hover:bg-green-700 shadow-md'
+        }`}
+      >
+        {accepting ? t('schedule.adding') : t('schedule.add')}
+      </button>
+    )}
+  </div>
+);
+
+const TOOL_CALL_STATUS_STYLES = {
+  done: { icon: '🔧', className: 'text-gray-500' },
+  declined: { icon: '✕', className: 'text-gray-400 line-through' },
+  failed: { icon: '⚠️', className: 'text-red-600' }
+};
+
+// What the bot looked up or changed while answering; the details show the raw call for transparency.
+const ToolCallList = ({ toolCalls }) => (
+  <div className="mb-1 space-y-1">
+    {toolCalls.map((call, index) => {
+      const style = TOOL_CALL_STATUS_STYLES[call.status] || TOOL_CALL_STATUS_STYLES.done;
+      return (
+        <details key={index} className="text-xs">
+          <summary className={`cursor-pointer ${style.className}`}>
+            {style.icon} {call.summary || call.label}{call.status === 'declined' && t('tools.cancelled')}
+          </summary>
+          <pre className="mt-1 p-2 bg-gray-50 rounded-lg text-[11px] text-gray-600 whitespace-pre-wrap break-words">
+            {`${call.name}(${JSON.stringify(call.args)})\n→ ${JSON.stringify(call.result, null, 2)}`}
+          </pre>
+        </details>
+      );
+    })}
+  </div>
+);
+
+// A change the bot wants to make, held until the user confirms or cancels it.
+const ToolConfirmationCard = ({ confirmation }) => (
+  <div className="p-3 bg-white border border-amber-300 rounded-xl shadow-md space-y-2">
+    <p className="text-xs font-semibold text-amber-800 uppercase tracking-wide">✋ {confirmation.label}?</p>
+    <p className="text-sm text-gray-700">{confirmation.summary}</p>
+    <div className="flex space-x-2">
+      <button
+        onClick={() => confirmation.resolve(true)}
+        className="px-4 py-1.5 text-sm font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 shadow-md transition"
+      >
+        {t('common.confirm')}
+      </button>
+      <button
+        onClick={() => confirmation.resolve(false)}
+        className="px-4 py-1.5 text-sm font-semibold rounded-full border border-gray-300 text-gray-600 hover:bg-gray-50 transition"
+      >
+        {t('common.cancel')}
+      </button>
+    </div>
+  </div>
+);
+
+const GardeningBot = ({ db, userId, plants, activePlantId, onActivePlantChange, growingProfile, activeThreadId, onActiveThreadChange, scanToDiscuss, onScanDiscussionStarted, isOnline, queuedItems }) => {
+  const [threads, setThreads] = useState([]);
+  const [showThreads, setShowThreads] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const [pageCount, setPageCount] = useState(1);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
+  const [sendError, setSendError] = useState(null);
+  const [replyError, setReplyError] = useState(null);
+  const [acceptingProposalId, setAcceptingProposalId] = useState(null);
+  const [liveToolCalls, setLiveToolCalls] = useState([]);
+  const [pendingConfirmation, setPendingConfirmation] = useState(null); // { label, summary, resolve } for a change the bot wants to make
+  const scrollRef = useRef(null);
+  const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const seededScanIdRef = useRef(null);
+  const restoreScrollHeightRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  const draftIdRef = useRef(null); // Groups messages queued offline for a conversation that doesn't exist yet
+
+  const THREAD_COLLECTION = getUserCollectionPath(userId, THREAD_COLLECTION_NAME);
+  const activePlant = plants.find(plant => plant.id === activePlantId);
+  const activeThread = threads.find(thread => thread.id === activeThreadId);
+  const pageLimit = CHAT_CONTEXT_CONFIG.pageSize * pageCount;
+
+  // Move chats saved before threads existed into their own thread, once
+  useEffect(() => {
+    if (!db || !userId) return;
+    migrateLegacyChats(db, userId).catch(error => console.error("Error migrating chat history:", error));
+  }, [db, userId]);
+
+  // Listen for the thread list, most recently active first
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const q = query(collection(db, THREAD_COLLECTION), orderBy('updatedAt', 'desc'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setThreads(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error listening to chat threads:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  // Reset paging when switching threads
+  useEffect(() => {
+    setPageCount(1);
+    setMessages([]);
+    setHasOlder(false);
+    lastMessageIdRef.current = null;
+    setReplyError(null);
+    if (!activeThreadId) draftIdRef.current = crypto.randomUUID();
+  }, [activeThreadId]);
+
+  // Follow a conversation started offline into the thread the queue created for it
+  useEffect(() => {
+    if (activeThreadId) return;
+    const draftThread = threads.find(thread => thread.draftId && thread.draftId === draftIdRef.current);
+    if (draftThread) onActiveThreadChange(draftThread.id);
+  }, [threads, activeThreadId]);
+
+  // Listen for the newest `pageLimit` messages of the active thread; scrolling up raises the limit
+  useEffect(() => {
+    if (!db || !userId || !activeThreadId) return;
+
+    const q = query(
+      collection(db, getThreadMessagesPath(userId, activeThreadId)),
+      orderBy('timestamp', 'desc'),
+      limit(pageLimit)
+    );
+    
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const chatHistory = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })).filter(msg => msg.text || msg.toolCalls?.length).reverse();
+
+      setMessages(chatHistory);
+      setHasOlder(snapshot.docs.length === pageLimit);
+    }, (error) => {
+      console.error("Error listening to chat history:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, activeThreadId, pageLimit]);
+
+  // The picker follows the plant of the thread being viewed
+  useEffect(() => {
+    if (activeThread?.plantId && activeThread.plantId !== activePlantId) {
+      onActivePlantChange(activeThread.plantId);
+    }
+  }, [activeThread?.id]);
+
+  // Keep the reading position when older messages are prepended; otherwise follow new messages
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+    if (restoreScrollHeightRef.current !== null) {
+      container.scrollTop = container.scrollHeight - restoreScrollHeightRef.current;
+      restoreScrollHeightRef.current = null;
+      return;
+    }
+    const lastId = messages[messages.length - 1]?.id;
+    if (lastId !== lastMessageIdRef.current || streamingText) {
+      messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }
+    lastMessageIdRef.current = lastId;
+  }, [messages, streamingText]);
+
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40 && hasOlder && restoreScrollHeightRef.current === null) {
+      restoreScrollHeightRef.current = e.currentTarget.scrollHeight;
+      setPageCount(count => count + 1);
+    }
+  };
+
+  // Stop a reply in flight when leaving the bot
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // Asks the user to confirm a change the bot wants to make; settles false if the reply is stopped
+  const confirmToolCall = ({ label, summary }) => new Promise((resolve) => {
+    const settle = (confirmed) => {
+      setPendingConfirmation(null);
+      resolve(confirmed);
+    };
+    abortControllerRef.current?.signal.addEventListener('abort', () => settle(false), { once: true });
+    setPendingConfirmation({ label, summary, resolve: settle });
+  });
+
+  // Open a new thread seeded with a scan handed over from the scanner or history
+  useEffect(() => {
+    if (!scanToDiscuss) {
+      seededScanIdRef.current = null;
+      return;
+    }
+    // The ref guards against seeding twice when the effect re-runs before the hand-off is cleared.
+    if (!db || !userId || seededScanIdRef.current === scanToDiscuss.id) return;
+    seededScanIdRef.current = scanToDiscuss.id;
+
+    const seed = async () => {
+      try {
+        const scanContext = {
+          scanId: scanToDiscuss.id,
+          text: describeScanForBot(scanToDiscuss),
+          images: getScanPhotos(scanToDiscuss).map(photo => photo.src),
+          predicted_disease: scanToDiscuss.predicted_disease,
+          health_percentage: scanToDiscuss.health_percentage
+        };
+        const threadId = await createThread(db, userId, {
+          title: `Scan: ${scanToDiscuss.predicted_disease}`,
+          titleSource: 'auto',
+          plantId: scanToDiscuss.plantId || null,
+          scanId: scanToDiscuss.id,
+          scanContext
+        });
+        await addThreadMessage(db, userId, threadId, { role: 'user', kind: 'scan_context', ...scanContext });
+        onActiveThreadChange(threadId);
+        setShowThreads(false);
+      } catch (error) {
+        console.error("Error starting scan discussion:", error);
+      }
+      onScanDiscussionStarted();
+    };
+
+    seed();
+  }, [db, userId, scanToDiscuss]);
+
+  /**
+   * Streams a reply to the conversation so far and saves only the final text.
+   * @param {string} threadId - The thread being answered.
+   * @param {Array<object>} conversation - Loaded messages, ending with the user's latest turn.
+   * @param {object} options - { queueIfOffline } where false shows a lost connection as an error
+   *   instead of queueing the reply.
+   * @returns {Promise<boolean>} Whether a reply was saved; false when it failed, broke off or was queued.
+   */
+  const callGeminiApi = async (threadId, conversation, { queueIfOffline = true } = {}) => {
+    const thread = threads.find(t => t.id === threadId) || { id: threadId };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setStreamingText('');
+    setLiveToolCalls([]);
+    setReplyError(null);
+
+    let growingContext = null;
+    const saveBotMessage = (text, extra = {}) => addThreadMessage(db, userId, threadId, { role: 'model', text, growingContext, ...extra });
+
+    try {
+      growingContext = await resolveGrowingContext(growingProfile, { signal: controller.signal });
+      const { text: botResponse, interrupted, toolCalls } = await generateThreadReply({
+        db,
+        userId,
+        thread,
+        plant: activePlant,
+        conversation,
+        hasOlderMessages: hasOlder,
+        locale: getActiveLocale(),
+        growingContext,
+        signal: controller.signal,
+        onToken: (delta) => setStreamingText(prev => prev + delta),
+        onToolCall: (call) => setLiveToolCalls(prev => [...prev, call]),
+        confirmToolCall
+      });
+      
+      if (botResponse || toolCalls.length > 0) {
+        // Save the bot's final response to Firestore; a stopped reply keeps its partial text
+        await saveBotMessage(botResponse, {
+          ...(interrupted ? { interrupted: true } : {}),
+          ...(toolCalls.length > 0 ? { toolCalls: toStorableToolCalls(toolCalls) } : {})
+        });
+        return true;
+      }
+    } catch (error) {
+      console.error("Gemini API Error:", error);
+      if (error.partialText) {
+        // The stream broke midway; keep what arrived and flag it
+        await saveBotMessage(error.partialText, { interrupted: true });
+        setReplyError(describeApiError(error, t('bot.cutOff')));
+      } else if (queueIfOffline && isNetworkError(error)) {
+        // The question is saved; queue the reply until the connection returns
+        await enqueueOfflineItem(userId, 'chat', { threadId, draftId: null, text: conversation[conversation.length - 1].text, plantId: activePlantId || null, replyOnly: true });
+      } else {
+        // Shown next to the composer rather than saved, so it never becomes part of the conversation
+        setReplyError(describeApiError(error, t('bot.replyFailed')));
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingText('');
+      setLiveToolCalls([]);
+    }
+    return false;
+  };
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const lastMessage = messages[messages.length - 1];
+  const canRegenerate = !loading && lastMessage?.role === 'model' && messages.length > 1;
+
+  // Replace the last bot reply with a fresh one for the same question. The old reply is only
+  // deleted once the new one is saved, so a failed attempt leaves it in place; a reply queued
+  // offline couldn't replace it, so none is queued.
+  const handleRegenerate = async () => {
+    if (!canRegenerate) return;
+    const previousReply = lastMessage;
+    setLoading(true);
+    try {
+      const replaced = await callGeminiApi(activeThreadId, messages.slice(0, -1), { queueIfOffline: false });
+      if (replaced) await deleteDoc(doc(db, getThreadMessagesPath(userId, activeThreadId), previousReply.id));
+    } catch (error) {
+      console.error("Error regenerating reply:", error);
+      setReplyError(t('bot.replyFailed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask again after a failed reply; the unanswered question is the last message
+  const handleRetryReply = async () => {
+    if (loading || lastMessage?.role !== 'user') return;
+    setLoading(true);
+    try {
+      await callGeminiApi(activeThreadId, messages);
+    } catch (error) {
+      // Saving the failed reply or queueing it failed too
+      console.error("Error retrying reply:", error);
+      setReplyError(t('bot.replyFailed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask for a care schedule from the thread's diagnosis and conversation; it is saved as a card to accept
+  const handleProposeSchedule = async () => {
+    if (loading || !activeThreadId) return;
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setLoading(true);
+    setReplyError(null);
+    try {
+      const schedule = await proposeCareSchedule({
+        plant: activePlant,
+        scanContext: activeThread?.scanContext,
+        conversation: messages,
+        locale: getActiveLocale(),
+        signal: controller.signal
+      });
+      await addThreadMessage(db, userId, activeThreadId, {
+        role: 'model',
+        kind: 'care_proposal',
+        text: describeCareSchedule(schedule),
+        ...schedule,
+        plantId: activePlantId || null,
+        scanId: activeThread?.scanId || null,
+        acceptedAt: null
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Error proposing a care schedule:", error);
+        setReplyError(describeApiError(error, t('bot.scheduleFailed')));
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const handleAcceptSchedule = async (proposal) => {
+    setAcceptingProposalId(proposal.id);
+    setReplyError(null);
+    try {
+      await acceptCareSchedule(db, userId, activeThreadId, proposal);
+    } catch (error) {
+      console.error("Error accepting care schedule:", error);
+      setReplyError(t('bot.scheduleAddFailed'));
+    }
+    setAcceptingProposalId(null);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || loading || !userId) return;
+
+    const userMessage = input.trim();
+    setInput('');
+    setSendError(null);
+
+    // Offline: queue the message; it is sent and answered once the connection returns
+    if (!isOnline) {
+      try {
+        await enqueueOfflineItem(userId, 'chat', {
+          threadId: activeThreadId || null,
+          draftId: activeThreadId ? null : draftIdRef.current,
+          text: userMessage,
+          plantId: activePlantId || null,
+          replyOnly: false
+        });
+      } catch (error) {
+        console.error("Error queueing message:", error);
+        setInput(userMessage);
+        setSendError(t('bot.offlineQueueFailed'));
+      }
+      return;
+    }
+
+    if (!db) return;
+    setLoading(true);
+
+    try {
+      // 1. Start a thread on the first message of a new conversation
+      const isNewThread = !activeThreadId;
+      const threadId = activeThreadId || await createThread(db, userId, { plantId: activePlantId || null });
+      if (isNewThread) onActiveThreadChange(threadId);
+
+      // 2. Save user message to Firestore
+      const userDoc = { role: 'user', text: userMessage };
+      try {
+        await addThreadMessage(db, userId, threadId, userDoc);
+      } catch (error) {
+        // Nothing was sent; give the message back so it isn't lost
+        setInput(userMessage);
+        throw error;
+      }
+      
+      // 3. Call Gemini for response (response saving is handled within callGeminiApi)
+      await callGeminiApi(threadId, isNewThread ? [userDoc] : [...messages, userDoc]);
+
+      const thread = threads.find(t => t.id === threadId);
+      if (isNewThread || thread?.titleSource === 'default') {
+        await autoTitleThread(db, userId, threadId, userMessage, getActiveLocale());
+      }
+    } catch (error) {
+      console.error("Error sending message:", error);
+      setSendError(t('bot.sendFailed'));
+    }
+
+    setLoading(false);
+  };
+
+  const handlePlantChange = (plantId) => {
+    onActivePlantChange(plantId);
+    if (activeThreadId) {
+      updateDoc(doc(db, THREAD_COLLECTION, activeThreadId), { plantId: plantId || null })
+        .catch(error => console.error("Error updating thread plant:", error));
+    }
+  };
+
+  const handleRenameThread = (threadId, title) => {
+    updateDoc(doc(db, THREAD_COLLECTION, threadId), { title, titleSource: 'user' })
+      .catch(error => console.error("Error renaming thread:", error));
+  };
+
+  const handleDeleteThread = async (threadId) => {
+    try {
+      await deleteThread(db, userId, threadId);
+      if (threadId === activeThreadId) onActiveThreadChange(null);
+    } catch (error) {
+      console.error("Error deleting thread:", error);
+    }
+  };
+
+  const scanContext = activeThread?.scanContext;
+  const queuedChats = (queuedItems || []).filter(item => item.type === 'chat' && (activeThreadId
+    ? item.payload.threadId === activeThreadId
+    : item.payload.draftId === draftIdRef.current));
+
+  return (
+    <div className="flex flex-col h-[70vh] max-w-lg mx-auto bg-white rounded-xl shadow-2xl">
+      <div className="p-4 border-b pb-2 rounded-t-xl flex items-center justify-between">
+        <div className="min-w-0">
+          <h2 className="text-2xl font-extrabold text-gray-800">{t('tabs.bot')}</h2>
+          {!showThreads && <p className="text-xs text-gray-500 truncate">{activeThread?.title || DEFAULT_THREAD_TITLE}</p>}
+        </div>
+        <button
+          onClick={() => setShowThreads(prev => !prev)}
+          className="ml-2 px-3 py-1 text-sm font-semibold rounded-full border border-green-300 text-green-700 hover:bg-green-50 transition flex-shrink-0"
+        >
+          {showThreads ? t('bot.backToChat') : t('bot.conversations', { count: threads.length })}
+        </button>
+      </div>
+      {showThreads ? (
+        <ThreadList
+          threads={threads}
+          activeThreadId={activeThreadId}
+          onSelect={(threadId) => { onActiveThreadChange(threadId); setShowThreads(false); }}
+          onNew={() => { onActiveThreadChange(null); setShowThreads(false); }}
+          onRename={handleRenameThread}
+          onDelete={handleDeleteThread}
+        />
+      ) : (
+        <>
+          <div className="px-4 py-2 border-b bg-white">
+            <PlantPicker plants={plants} activePlantId={activePlantId} onChange={handlePlantChange} disabled={loading} />
+          </div>
+          <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50 rounded-b-lg shadow-inner">
+            {hasOlder && (
+              <p className="text-center text-xs text-gray-400">{t('bot.olderMessages')}</p>
+            )}
+            {messages.length === 0 && (
+              <div className="text-center text-gray-500 italic p-10">
+                {t('bot.empty')}
+              </div>
+            )}
+            {messages.map((msg) => msg.kind === 'care_proposal' ? (
+              <CareProposalCard
+                key={msg.id}
+                proposal={msg}
+                accepting={acceptingProposalId === msg.id}
+                onAccept={() => handleAcceptSchedule(msg)}
+              />
+            ) : msg.kind === 'scan_context' ? (
+              <div key={msg.id} className="p-3 bg-green-50 border border-green-300 rounded-xl shadow-md space-y-2">
+                <p className="text-xs font-semibold text-green-800 uppercase tracking-wide">{t('bot.discussingScan')}</p>
+                {msg.images?.length > 0 && (
+                  <div className="flex space-x-2 overflow-x-auto">
+                    {msg.images.map((src, index) => <img key={index} src={src} alt="" className="w-16 h-16 object-cover rounded-lg flex-shrink-0" />)}
+                  </div>
+                )}
+                <p className="text-sm text-gray-700 whitespace-pre-wrap">{msg.text}</p>
+              </div>
+            ) : (
+              <div
+                key={msg.id}
+                className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
+              >
+                <div
+                  className={`max-w-[80%] px-4 py-2 rounded-xl shadow-md ${
+                    msg.role === 'user'
+                      ? 'bg-green-500 text-white rounded-br-none'
+                      : 'bg-white text-gray-800 rounded-tl-none border border-gray-200'
+                  }`}
+                >
+                  {msg.toolCalls?.length > 0 && <ToolCallList toolCalls={msg.toolCalls} />}
+                  {msg.text && <p className="whitespace-pre-wrap">{msg.text}</p>}
+                  {msg.role === 'model' && <GrowingContextNote context={msg.growingContext} compact />}
+                  {msg.interrupted && (
+                    <p className="mt-1 text-xs italic text-gray-400">{t('bot.interrupted')}</p>
+                  )}
+                  {canRegenerate && msg.id === lastMessage.id && (
+                    <button onClick={handleRegenerate} className="mt-1 text-xs font-semibold text-green-700 hover:underline">
+                      {t('bot.regenerate')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            {loading && (
+              <div className="flex justify-start">
+                <div className="max-w-[80%] px-4 py-2 rounded-xl bg-white text-gray-800 rounded-tl-none border border-gray-200 shadow-md">
+                  {liveToolCalls.length > 0 && <ToolCallList toolCalls={liveToolCalls} />}
+                  {streamingText ? (
+                    <p className="whitespace-pre-wrap">{streamingText}<span className="animate-pulse">▍</span></p>
+                  ) : (
+                    <span className="animate-pulse">{pendingConfirmation ? t('bot.waitingForAnswer') : t('bot.typing')}</span>
+                  )}
+                </div>
+              </div>
+            )}
+            {pendingConfirmation && <ToolConfirmationCard confirmation={pendingConfirmation} />}
+            {queuedChats.map(item => (
+              <div key={item.id} className={`flex ${item.payload.replyOnly ? 'justify-start' : 'justify-end'}`}>
+                <div className={`max-w-[80%] px-4 py-2 rounded-xl shadow-md border border-dashed ${
+                  item.payload.replyOnly
+                    ? 'bg-white text-gray-500 rounded-tl-none border-gray-300'
+                    : 'bg-green-100 text-green-900 rounded-br-none border-green-400'
+                }`}>
+                  {!item.payload.replyOnly && <p className="whitespace-pre-wrap">{item.payload.text}</p>}
+                  <p className={`text-xs italic ${item.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                    {item.status === 'pending' && (item.payload.replyOnly ? t('bot.replyQueued') : t('bot.messageQueued'))}
+                    {item.status === 'processing' && t('bot.sending')}
+                    {item.status === 'failed' && t('bot.queueFailed', { error: item.lastError })}
+                  </p>
+                  {item.status !== 'processing' && (
+                    <button
+                      onClick={() => removeOfflineItem(item.id).catch(error => console.error("Error cancelling queued message:", error))}
+                      className="mt-1 text-xs font-semibold text-red-600 hover:underline"
+                    >
+                      {t('common.cancel')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            <div ref={messagesEndRef} />
+          </div>
+          {scanContext && (
+            <div className="px-4 py-2 bg-green-50 border-t text-xs text-green-800">
+              {t('bot.groundedIn')} <span className="font-semibold capitalize">{formatDiagnosis(scanContext.predicted_disease)}</span> {t('bot.scanHealth', { percent: scanContext.health_percentage })}
+            </div>
+          )}
+          {activeThreadId && isOnline && !loading && (
+            <div className="px-4 py-2 border-t bg-white">
+              <button onClick={handleProposeSchedule} className="text-xs font-semibold text-green-700 hover:underline">
+                {t('bot.suggestSchedule')}
+              </button>
+            </div>
+          )}
+          {sendError && (
+            <p className="px-4 py-2 bg-red-50 border-t text-xs text-red-700">{sendError}</p>
+          )}
+          {replyError && !loading && (
+            <div className="px-4 py-2 bg-red-50 border-t text-xs text-red-700 flex items-center justify-between">
+              <span>{replyError}</span>
+              {lastMessage?.role === 'user' && (
+                <button onClick={handleRetryReply} className="ml-2 font-semibold text-red-800 hover:underline flex-shrink-0">{t('bot.tryAgain')}</button>
+              )}
+            </div>
+          )}
+          <form onSubmit={handleSend} className="p-4 bg-white border-t rounded-b-xl flex">
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={isOnline ? t('bot.placeholder') : t('bot.placeholderOffline')}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-l-xl focus:ring-green-500 focus:border-green-500 transition"
+              disabled={loading}
+            />
+            {loading ? (
+              <button
+                type="button"
+                onClick={handleStop}
+                className="px-4 py-2 rounded-r-xl font-semibold transition transform shadow-lg bg-red-500 text-white hover:bg-red-600"
+              >
+                {t('bot.stop')}
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!input.trim()}
+                className={`px-4 py-2 rounded-r-xl font-semibold transition transform shadow-lg ${
+                  !input.trim()
+                    ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    : 'bg-green-600 text-white hover:bg-green-700 hover:scale-[1.01]'
+                }`}
+              >
+                {t('bot.send')}
+              </button>
+            )}
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Download the scan history and chats, or restore them from a JSON export.
+const HistoryBackupPanel = ({ db, userId, plants }) => {
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null); // { type: 'info' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  const handleExport = async (kind) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const history = await exportHistory(db, userId);
+      const stamp = toDayString();
+      if (kind === 'json') {
+        downloadFile(`garden-history-${stamp}.json`, JSON.stringify(history, null, 2), 'application/json');
+      } else if (kind === 'scans-csv') {
+        downloadFile(`garden-scans-${stamp}.csv`, buildScansCsv(history, plants), 'text/csv');
+      } else {
+        downloadFile(`garden-chats-${stamp}.csv`, buildChatsCsv(history), 'text/csv');
+      }
+    } catch (error) {
+      console.error("Error exporting history:", error);
+      setStatus({ type: 'error', text: "The export failed. Please try again." });
+    }
+    setBusy(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    setBusy(true);
+    setStatus(null);
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (parseError) {
+        throw new Error("This file isn't valid JSON.");
+      }
+      const counts = await importHistory(db, userId, data);
+      setStatus({ type: 'info', text: `Restored ${counts.scans} scans and ${counts.threads} conversations (${counts.messages} messages).` });
+    } catch (error) {
+      console.error("Error importing history:", error);
+      setStatus({ type: 'error', text: error.message || "The import failed. Please try again." });
+    }
+    setBusy(false);
+  };
+
+  return (
+    <details className="p-4 bg-white rounded-xl shadow-md text-sm">
+      <summary className="font-semibold text-gray-700 cursor-pointer">⬇️ Export &amp; backup</summary>
+      <div className="mt-3 space-y-3">
+        <p className="text-gray-600">Download every scan and conversation. The JSON file can be imported again to restore them.</p>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => handleExport('json')} disabled={busy} className="px-3 py-1 rounded-full bg-green-600 text-white font-semibold hover:bg-green-700 transition disabled:opacity-50">JSON backup</button>
+          <button onClick={() => handleExport('scans-csv')} disabled={busy} className="px-3 py-1 rounded-full border border-green-300 text-green-700 font-semibold hover:bg-green-50 transition disabled:opacity-50">Scans CSV</button>
+          <button onClick={() => handleExport('chats-csv')} disabled={busy} className="px-3 py-1 rounded-full border border-green-300 text-green-700 font-semibold hover:bg-green-50 transition disabled:opacity-50">Chats CSV</button>
+          <button onClick={() => fileInputRef.current.click()} disabled={busy} className="px-3 py-1 rounded-full border border-gray-300 text-gray-700 font-semibold hover:bg-gray-50 transition disabled:opacity-50">Import JSON...</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+        {busy && <p className="text-gray-500 animate-pulse">Working...</p>}
+        {status && <p className={status.type === 'error' ? 'text-red-600' : 'text-green-700'}>{status.text}</p>}
+      </div>
+    </details>
+  );
+};
+
+// Opt-in, read-only link to one scan; the owner can revoke it at any time.
+const ScanShareControls = ({ db, userId, scan, plant }) => {
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (APP_CONFIG.dataMode === 'local') {
+    return <p className="text-xs text-gray-500">Share links need Firebase; in local mode your scans never leave this browser.</p>;
+  }
+
+  const run = async (action, failureText) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Error updating share link:", err);
+      setError(failureText);
+    }
+    setBusy(false);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareLink(scan.shareId));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Error copying share link:", err);
+      setError("Couldn't copy the link. Select it and copy it by hand.");
+    }
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      {scan.shareId ? (
+        <>
+          <p className="text-gray-600">Anyone with this link can view the photos, diagnosis, health score and remedies of this scan.</p>
+          <input readOnly value={getShareLink(scan.shareId)} onFocus={(e) => e.target.select()} className="w-full px-2 py-1 text-xs border border-gray-300 rounded-lg bg-gray-50" />
+          <div className="flex space-x-2">
+            <button onClick={handleCopy} className="px-3 py-1 rounded-full bg-green-600 text-white font-semibold hover:bg-green-700 transition">
+              {copied ? '✓ Copied' : 'Copy link'}
+            </button>
+            <button
+              onClick={() => run(() => revokeScanShare(db, userId, scan), "Couldn't revoke the link. Please try again.")}
+              disabled={busy}
+              className="px-3 py-1 rounded-full border border-red-300 text-red-600 font-semibold hover:bg-red-50 transition disabled:opacity-50"
+            >
+              Revoke link
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          onClick={() => run(() => shareScan(db, userId, scan, plant), "Couldn't create a share link. Please try again.")}
+          disabled={busy}
+          className="px-3 py-1 rounded-full border border-green-300 text-green-700 font-semibold hover:bg-green-50 transition disabled:opacity-50"
+        >
+          🔗 Create share link
+        </button>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Read-only view of a scan opened from a share link.
+const SharedScanView = ({ db, shareId, onClose }) => {
+  const [scan, setScan] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'failed' | 'local'
+
+  useEffect(() => {
+    if (!db) return;
+    if (APP_CONFIG.dataMode === 'local') {
+      setStatus('local');
+      return;
+    }
+    let cancelled = false;
+    loadSharedScan(db, shareId)
+      .then((shared) => {
+        if (cancelled) return;
+        setScan(shared);
+        setStatus(shared ? 'ready' : 'missing');
+      })
+      .catch((error) => {
+        console.error("Error loading shared scan:", error);
+        if (!cancelled) setStatus('failed');
+      });
+    return () => { cancelled = true; };
+  }, [db, shareId]);
+
+  const scannedAt = toDate(scan?.scannedAt);
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-extrabold text-gray-800">Shared scan report</h2>
+        <button onClick={onClose} className="text-sm font-semibold text-green-700 hover:underline">Open my garden →</button>
+      </div>
+      {status === 'loading' && <p className="text-center text-gray-500 italic">Loading the shared scan...</p>}
+      {status === 'missing' && (
+        <div className="p-4 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg text-sm">This link has been revoked by its owner, or it doesn't exist.</div>
+      )}
+      {status === 'local' && (
+        <div className="p-4 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg text-sm">Share links only open when the app runs with Firebase. This copy is in local mode, so it can't reach shared scans.</div>
+      )}
+      {status === 'failed' && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">The shared scan couldn't be loaded. Check your connection and reload the page.</div>
+      )}
+      {scan && (
+        <div className="p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl space-y-4">
+          <ScanPhotoGallery photos={getScanPhotos(scan)} />
+          <div className="flex justify-between items-center pb-2 border-b border-gray-200">
+            <div>
+              <h3 className="text-xl font-bold text-gray-800 capitalize">{scan.predicted_disease}</h3>
+              <p className="text-xs text-gray-500">{[scan.species, scannedAt && formatDateTime(scannedAt)].filter(Boolean).join(' · ')}</p>
+            </div>
+            <span className={`px-4 py-1 rounded-full text-lg font-bold border ${getHealthColor(scan.health_percentage)}`}>
+              {scan.health_percentage}% Health
+            </span>
+          </div>
+          <DiagnosisInsights result={scan} />
+          <div>
+            <h4 className="text-lg font-semibold text-gray-800 mb-3">{isHealthyDiagnosis(scan.predicted_disease) ? 'General Care Tips' : 'DIY Home Remedies'}</h4>
+            <RemedyList remedies={scan.home_remedies || []} entry={findKnowledgeEntry(scan.predicted_disease)} />
+          </div>
+          <p className="text-xs text-gray-500 pt-2 border-t border-gray-200">Read-only copy shared from Home Garden Health. AI-assisted diagnosis; confirm with a plant specialist before using strong treatments.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ScanHistory = ({ db, userId, plants, onDiscussScan }) => {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedScanId, setSelectedScanId] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [diseaseFilter, setDiseaseFilter] = useState('all');
+  const [bandFilter, setBandFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDateFilter, setToDateFilter] = useState('');
+
+  const SCAN_COLLECTION = getUserCollectionPath(userId, SCAN_COLLECTION_NAME);
+
+  // Listen for scan history, newest first
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const q = query(collection(db, SCAN_COLLECTION), orderBy('timestamp', 'desc'));
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setScans(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })));
+      setLoading(false);
+    }, (error) => {
+      console.error("Error listening to scan history:", error);
+      setError("Could not load your scan history.");
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  const handleDelete = async (scanId) => {
+    try {
+      const scan = scans.find(item => item.id === scanId);
+      const plantId = scan?.plantId;
+      // Take the public copy down first so a deleted scan never stays shared
+      if (scan?.shareId) await revokeScanShare(db, userId, scan);
+      await deleteDoc(doc(db, SCAN_COLLECTION, scanId));
+      setConfirmDeleteId(null);
+      if (plantId) {
+        refreshPlantHealthAlert(db, userId, plantId).catch(error => console.error("Error checking plant health trend:", error));
+      }
+      if (selectedScanId === scanId) setSelectedScanId(null);
+    } catch (err) {
+      console.error("Error deleting scan:", err);
+      setError("Could not delete this scan. Please try again.");
+    }
+  };
+
+  const diseases = [...new Set(scans.map(scan => scan.predicted_disease).filter(Boolean))].sort();
+
+  const filteredScans = scans.filter(scan => {
+    if (diseaseFilter !== 'all' && scan.predicted_disease !== diseaseFilter) return false;
+    if (bandFilter !== 'all' && getHealthBand(scan.health_percentage).id !== bandFilter) return false;
+    const scannedAt = toDate(scan.timestamp);
+    // Date inputs are local calendar days; include the whole "to" day.
+    if (fromDate && scannedAt && scannedAt < new Date(`${fromDate}T00:00:00`)) return false;
+    if (toDateFilter && scannedAt && scannedAt > new Date(`${toDateFilter}T23:59:59.999`)) return false;
+    return true;
+  });
+
+  const hasFilters = diseaseFilter !== 'all' || bandFilter !== 'all' || fromDate || toDateFilter;
+
+  const clearFilters = () => {
+    setDiseaseFilter('all');
+    setBandFilter('all');
+    setFromDate('');
+    setToDateFilter('');
+  };
+
+  const formatScanDate = (timestamp) => {
+    const date = toDate(timestamp);
+    return date ? formatDateTime(date) : 'Saving...';
+  };
+
+  const renderDeleteControls = (scanId) => (
+    confirmDeleteId === scanId ? (
+      <span className="flex items-center space-x-2 text-sm">
+        <span className="text-gray-600">Delete this scan?</span>
+        <button onClick={() => handleDelete(scanId)} className="px-3 py-1 rounded-full bg-red-600 text-white font-semibold hover:bg-red-700 transition">Delete</button>
+        <button onClick={() => setConfirmDeleteId(null)} className="px-3 py-1 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition">Cancel</button>
+      </span>
+    ) : (
+      <button onClick={() => setConfirmDeleteId(scanId)} className="px-3 py-1 text-sm rounded-full text-red-600 border border-red-300 hover:bg-red-50 transition">Delete</button>
+    )
+  );
+
+  const selectedScan = scans.find(scan => scan.id === selectedScanId);
+
+  const handlePrint = (scan) => {
+    try {
+      printScanReport(scan, plants.find(plant => plant.id === scan.plantId));
+    } catch (err) {
+      console.error("Error opening scan report:", err);
+      setError(err.message);
+    }
+  };
+
+  if (selectedScan) {
+    const isDiseased = !isHealthyDiagnosis(selectedScan.predicted_disease);
+    const selectedPlant = plants.find(plant => plant.id === selectedScan.plantId);
+    return (
+      <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+        <button onClick={() => { setSelectedScanId(null); setConfirmDeleteId(null); }} className="text-sm font-semibold text-green-700 hover:underline">
+          ← Back to history
+        </button>
+        <div className="p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl space-y-4">
+          <ScanPhotoGallery photos={getScanPhotos(selectedScan)} regions={selectedScan.affected_regions} findings={selectedScan.photo_findings} />
+          <div className="flex justify-between items-center pb-2 border-b border-gray-200">
+            <div>
+              <h3 className="text-xl font-bold text-gray-800 capitalize">{selectedScan.predicted_disease}</h3>
+              <p className="text-xs text-gray-500">{formatScanDate(selectedScan.timestamp)}</p>
+            </div>
+            <span className={`px-4 py-1 rounded-full text-lg font-bold border ${getHealthColor(selectedScan.health_percentage)}`}>
+              {selectedScan.health_percentage}% Health
+            </span>
+          </div>
+          <DiagnosisInsights result={selectedScan} />
+          {/* Scans from before growing contexts existed have no record of one */}
+          {selectedScan.growing_context !== undefined && <GrowingContextNote context={selectedScan.growing_context} />}
+          <CuratedGuidance disease={selectedScan.predicted_disease} />
+          <div>
+            <h4 className="text-lg font-semibold text-gray-800 mb-3">{isDiseased ? 'DIY Home Remedies' : 'General Care Tips'}</h4>
+            <RemedyList remedies={selectedScan.home_remedies || []} entry={findKnowledgeEntry(selectedScan.predicted_disease)} />
+          </div>
+          <div className="pt-4 border-t border-gray-200 flex justify-between items-center">
+            <button onClick={() => onDiscussScan(selectedScan)} className="px-3 py-1 text-sm rounded-full bg-green-600 text-white font-semibold hover:bg-green-700 transition">
+              💬 Discuss this scan
+            </button>
+            {renderDeleteControls(selectedScan.id)}
+          </div>
+          <div className="pt-4 border-t border-gray-200 space-y-3">
+            <button onClick={() => handlePrint(selectedScan)} className="px-3 py-1 text-sm rounded-full border border-gray-300 text-gray-700 font-semibold hover:bg-gray-50 transition">
+              🖨️ Printable report
+            </button>
+            <ScanShareControls db={db} userId={userId} scan={selectedScan} plant={selectedPlant} />
+          </div>
+          {error && (
+            <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+      <h2 className="text-2xl font-extrabold text-gray-800 border-b pb-2">Scan History</h2>
+
+      <HistoryBackupPanel db={db} userId={userId} plants={plants} />
+
+      <div className="p-4 bg-white rounded-xl shadow-md grid grid-cols-2 gap-3 text-sm">
+        <label className="flex flex-col text-gray-600">
+          Disease
+          <select value={diseaseFilter} onChange={(e) => setDiseaseFilter(e.target.value)} className="mt-1 px-2 py-1 border border-gray-300 rounded-lg">
+            <option value="all">All diseases</option>
+            {diseases.map(disease => <option key={disease} value={disease}>{disease}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col text-gray-600">
+          Health
+          <select value={bandFilter} onChange={(e) => setBandFilter(e.target.value)} className="mt-1 px-2 py-1 border border-gray-300 rounded-lg">
+            <option value="all">All health levels</option>
+            {HEALTH_BANDS.map(band => <option key={band.id} value={band.id}>{band.label}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col text-gray-600">
+          From
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className="mt-1 px-2 py-1 border border-gray-300 rounded-lg" />
+        </label>
+        <label className="flex flex-col text-gray-600">
+          To
+          <input type="date" value={toDateFilter} onChange={(e) => setToDateFilter(e.target.value)} className="mt-1 px-2 py-1 border border-gray-300 rounded-lg" />
+        </label>
+        {hasFilters && (
+          <button onClick={clearFilters} className="col-span-2 text-green-700 font-semibold hover:underline justify-self-end">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {loading ? (
+        <p className="text-center text-gray-500 italic">Loading your scans...</p>
+      ) : filteredScans.length === 0 ? (
+        <div className="text-center text-gray-500 italic p-10 bg-white rounded-xl shadow-inner">
+          {scans.length === 0 ? 'No scans yet. Your diagnoses will appear here after each scan.' : 'No scans match these filters.'}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {filteredScans.map(scan => (
+            <li key={scan.id}>
+              <button
+                onClick={() => setSelectedScanId(scan.id)}
+                className="w-full flex items-center p-3 bg-white rounded-xl shadow-md hover:shadow-lg transition text-left"
+              >
+                {scan.thumbnail ? (
+                  <img src={scan.thumbnail} alt="" className="w-16 h-16 object-cover rounded-lg mr-4 flex-shrink-0" />
+                ) : (
+                  <div className="w-16 h-16 rounded-lg mr-4 bg-green-100 flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="font-bold text-gray-800 capitalize truncate">{scan.predicted_disease}</p>
+                  <p className="text-xs text-gray-500">{formatScanDate(scan.timestamp)}</p>
+                </div>
+                <span className={`ml-2 px-3 py-1 rounded-full text-sm font-bold border ${getHealthColor(scan.health_percentage)}`}>
+                  {scan.health_percentage}%
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_PLANT_FORM = {
+  name: '', species: '', location: '', container: 'pot', acquiredAt: '', healthAlertThreshold: HEALTH_ALERT_CONFIG.defaultDropThreshold
+};
+
+const PlantForm = ({ initialValues = EMPTY_PLANT_FORM, submitLabel, onSubmit, onCancel }) => {
+  const [values, setValues] = useState({ ...EMPTY_PLANT_FORM, ...initialValues });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (field) => (e) => setValues(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!values.name.trim() || saving) return;
+    setSaving(true);
+    try {
+      await onSubmit({
+        name: values.name.trim(),
+        species: values.species.trim(),
+        location: values.location.trim(),
+        container: values.container,
+        acquiredAt: values.acquiredAt || null,
+        healthAlertThreshold: Math.min(Math.max(parseInt(values.healthAlertThreshold, 10) || HEALTH_ALERT_CONFIG.defaultDropThreshold,
+          HEALTH_ALERT_CONFIG.minDropThreshold), HEALTH_ALERT_CONFIG.maxDropThreshold)
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = "mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-green-500 focus:border-green-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-white rounded-xl shadow-md grid grid-cols-2 gap-3 text-sm">
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Name *
+        <input type="text" value={values.name} onChange={handleChange('name')} placeholder="e.g. Kitchen basil" className={inputClass} required />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Species
+        <input type="text" value={values.species} onChange={handleChange('species')} placeholder="e.g. Ocimum basilicum" className={inputClass} />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Location
+        <input type="text" value={values.location} onChange={handleChange('location')} placeholder="e.g. South window" className={inputClass} />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Pot or bed
+        <select value={values.container} onChange={handleChange('container')} className={inputClass}>
+          {PLANT_CONTAINERS.map(container => <option key={container.id} value={container.id}>{container.label}</option>)}
+        </select>
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Acquired on
+        <input type="date" value={values.acquiredAt || ''} onChange={handleChange('acquiredAt')} className={inputClass} />
+      </label>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Alert me when health drops by more than (points between scans)
+        <input
+          type="number"
+          min={HEALTH_ALERT_CONFIG.minDropThreshold}
+          max={HEALTH_ALERT_CONFIG.maxDropThreshold}
+          value={values.healthAlertThreshold}
+          onChange={handleChange('healthAlertThreshold')}
+          className={`${inputClass} w-24`}
+        />
+      </label>
+      <div className="col-span-2 flex justify-end space-x-2 pt-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition">Cancel</button>
+        )}
+        <button
+          type="submit"
+          disabled={!values.name.trim() || saving}
+          className={`px-4 py-2 rounded-full font-semibold transition ${
+            !values.name.trim() || saving ? 'bg-gray-300 text-gray-500 cursor-not-allowed' : 'bg-green-600 text-white hover:bg-green-700 shadow-md'
+          }`}
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const HEALTH_CHART_SIZE = { width: 320, height: 170, top: 14, right: 12, bottom: 22, left: 30 };
+
+// Health scores of a plant's scans over time. Points are colored by health band; a red ring marks a drop
+// beyond the plant's alert threshold and 💊 a scan after which a remedy was applied.
+const HealthTrendChart = ({ scans, threshold, selectedScanId, onSelect }) => {
+  const points = sortScansChronologically(scans).filter(scan => typeof scan.health_percentage === 'number');
+  if (points.length === 0) return null;
+
+  const { width, height, top, right, bottom, left } = HEALTH_CHART_SIZE;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const times = points.map(scan => toDate(scan.timestamp)?.getTime() ?? Date.now());
+  const firstTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - firstTime;
+  // Scans are placed by time; without a time span they are spread evenly
+  const x = (index) => left + plotWidth * (timeSpan > 0
+    ? (times[index] - firstTime) / timeSpan
+    : (points.length === 1 ? 0.5 : index / (points.length - 1)));
+  const y = (health) => top + plotHeight * (1 - health / 100);
+  const formatDay = (time) => formatDate(new Date(time), { month: 'short', day: 'numeric' });
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Health score over time">
+      {HEALTH_BANDS.map((band, index) => {
+        const upper = index === 0 ? 100 : HEALTH_BANDS[index - 1].min;
+        return <rect key={band.id} x={left} y={y(upper)} width={plotWidth} height={y(band.min) - y(upper)} fill={band.chartColor} opacity="0.07" />;
+      })}
+      {[0, 60, 80, 100].map(value => (
+        <g key={value}>
+          <line x1={left} x2={width - right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" strokeWidth="1" />
+          <text x={left - 4} y={y(value) + 3} textAnchor="end" fontSize="9" fill="#6b7280">{value}</text>
+        </g>
+      ))}
+      <text x={left} y={height - 6} fontSize="9" fill="#6b7280">{formatDay(times[0])}</text>
+      {points.length > 1 && (
+        <text x={width - right} y={height - 6} textAnchor="end" fontSize="9" fill="#6b7280">{formatDay(times[times.length - 1])}</text>
+      )}
+      <polyline
+        points={points.map((scan, index) => `${x(index)},${y(scan.health_percentage)}`).join(' ')}
+        fill="none"
+        stroke="#9ca3af"
+        strokeWidth="1.5"
+      />
+      {points.map((scan, index) => {
+        const declined = index > 0 && points[index - 1].health_percentage - scan.health_percentage > threshold;
+        const selected = scan.id === selectedScanId;
+        return (
+          <g key={scan.id} onClick={() => onSelect(scan.id)} className="cursor-pointer">
+            <title>{`${toDate(scan.timestamp) ? formatDate(toDate(scan.timestamp)) : 'Saving...'}: ${scan.predicted_disease}, ${scan.health_percentage}%${scan.treatment ? ` · remedy: ${scan.treatment.remedy}` : ''}`}</title>
+            <circle cx={x(index)} cy={y(scan.health_percentage)} r="12" fill="transparent" />
+            {declined && <circle cx={x(index)} cy={y(scan.health_percentage)} r="8" fill="none" stroke="#dc2626" strokeWidth="2" />}
+            <circle
+              cx={x(index)}
+              cy={y(scan.health_percentage)}
+              r={selected ? 6 : 4}
+              fill={getHealthBand(scan.health_percentage).chartColor}
+              stroke={selected ? '#1f2937' : 'white'}
+              strokeWidth="1.5"
+            />
+            {scan.treatment && <text x={x(index)} y={y(scan.health_percentage) - 10} textAnchor="middle" fontSize="10">💊</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Records which remedy was applied after a scan, so the trend shows whether it helped.
+const TreatmentEditor = ({ db, userId, scan }) => {
+  const remedies = scan.home_remedies || [];
+  const [editing, setEditing] = useState(false);
+  const [choice, setChoice] = useState(remedies[0] || '');
+  const [otherRemedy, setOtherRemedy] = useState('');
+  const [appliedOn, setAppliedOn] = useState(() => toDayString());
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const remedy = (remedies.includes(choice) ? choice : otherRemedy).trim();
+  const scanRef = doc(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME), scan.id);
+
+  const saveTreatment = async (treatment) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await updateDoc(scanRef, { treatment });
+      setEditing(false);
+    } catch (err) {
+      console.error("Error saving treatment:", err);
+      setError("Could not save the remedy. Please try again.");
+    }
+    setSaving(false);
+  };
+
+  if (!editing) {
+    return (
+      <div className="text-sm text-gray-700">
+        {scan.treatment ? (
+          <p>
+            💊 <span className="font-semibold">Remedy applied:</span> {scan.treatment.remedy}
+            <span className="text-xs text-gray-500"> (on {formatDate(parseDayString(scan.treatment.appliedOn))})</span>
+            <button onClick={() => saveTreatment(null)} disabled={saving} className="ml-2 text-xs font-semibold text-red-600 hover:underline">Clear</button>
+          </p>
+        ) : (
+          <button onClick={() => setEditing(true)} className="text-xs font-semibold text-green-700 hover:underline">💊 Record the remedy you applied</button>
+        )}
+        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+      </div>
+    );
+  }
+
+  const inputClass = "mt-1 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-green-500 focus:border-green-500";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <select value={remedies.includes(choice) ? choice : ''} onChange={(e) => setChoice(e.target.value)} className={`${inputClass} w-full`}>
+        {remedies.map(item => <option key={item} value={item}>{item}</option>)}
+        <option value="">Something else...</option>
+      </select>
+      {!remedies.includes(choice) && (
+        <input type="text" value={otherRemedy} onChange={(e) => setOtherRemedy(e.target.value)} placeholder="What did you apply?" className={`${inputClass} w-full`} />
+      )}
+      <label className="flex items-center space-x-2 text-gray-600">
+        <span>Applied on</span>
+        <input type="date" value={appliedOn} onChange={(e) => setAppliedOn(e.target.value)} className={inputClass} />
+      </label>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end space-x-2">
+        <button onClick={() => setEditing(false)} className="px-3 py-1 text-xs rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition">Cancel</button>
+        <button
+          onClick={() => saveTreatment({ remedy, appliedOn })}
+          disabled={!remedy || !appliedOn || saving}
+          className={`px-3 py-1 text-xs rounded-full font-semibold transition ${
+            !remedy || !appliedOn || saving ? 'bg-gray-300 text-gray-500 cursor-not-allowed' : 'bg-green-600 text-white hover:bg-green-700'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ScanCompareColumn = ({ label, scans, scan, onChange }) => {
+  const photo = getScanPhotos(scan)[0];
+  return (
+    <div className="space-y-2 min-w-0">
+      <select value={scan.id} onChange={(e) => onChange(e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded-lg text-xs" aria-label={`${label} scan`}>
+        {scans.map(item => (
+          <option key={item.id} value={item.id}>{toDate(item.timestamp) ? formatDate(toDate(item.timestamp)) : 'Saving...'} · {item.health_percentage}%</option>
+        ))}
+      </select>
+      <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide">{label}</p>
+      {photo ? (
+        <img src={photo.src} alt={`${label} photo`} className="w-full aspect-square object-cover rounded-lg" />
+      ) : (
+        <div className="w-full aspect-square rounded-lg bg-gray-100 flex items-center justify-center text-xs text-gray-400">No photo</div>
+      )}
+      <p className="text-sm font-semibold text-gray-800 capitalize truncate">{scan.predicted_disease}</p>
+      <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-bold border ${getHealthColor(scan.health_percentage)}`}>{scan.health_percentage}%</span>
+      {scan.treatment && <p className="text-xs text-gray-600">💊 {scan.treatment.remedy}</p>}
+    </div>
+  );
+};
+
+// Before and after photos side by side. Starts from the latest scan with a recorded remedy, or the first scan.
+const ScanComparison = ({ scans }) => {
+  const ordered = sortScansChronologically(scans);
+  const latest = ordered[ordered.length - 1];
+  const defaultBefore = [...ordered.slice(0, -1)].reverse().find(scan => scan.treatment) || ordered[0];
+  const [beforeId, setBeforeId] = useState(null);
+  const [afterId, setAfterId] = useState(null);
+
+  if (ordered.length < 2) return null;
+  // Until a scan is picked (or if it was deleted), follow the defaults as new scans arrive
+  const before = ordered.find(scan => scan.id === beforeId) || defaultBefore;
+  const after = ordered.find(scan => scan.id === afterId) || latest;
+  const change = after.health_percentage - before.health_percentage;
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-3">
+        <ScanCompareColumn label="Before" scans={ordered} scan={before} onChange={setBeforeId} />
+        <ScanCompareColumn label="After" scans={ordered} scan={after} onChange={setAfterId} />
+      </div>
+      <p className={`text-sm font-semibold text-center ${change > 0 ? 'text-green-700' : change < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+        {change === 0 ? 'No change in health' : `Health ${change > 0 ? 'up' : 'down'} ${Math.abs(change)} points`}
+      </p>
+    </div>
+  );
+};
+
+// Health trend of one plant: chart, details of the selected scan and a before/after comparison.
+const PlantHealthTrend = ({ db, userId, plant, scans }) => {
+  const [selectedScanId, setSelectedScanId] = useState(null);
+  const threshold = getHealthAlertThreshold(plant);
+  const ordered = sortScansChronologically(scans);
+  const selectedScan = ordered.find(scan => scan.id === selectedScanId) || ordered[ordered.length - 1];
+  const alert = plant.healthAlert && !plant.healthAlert.dismissed ? plant.healthAlert : null;
+
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-md space-y-4">
+      {alert && (
+        <div className="p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700">⚠️ {describeHealthAlert(alert)}</div>
+      )}
+      <HealthTrendChart scans={ordered} threshold={threshold} selectedScanId={selectedScan?.id} onSelect={setSelectedScanId} />
+      <p className="text-xs text-gray-500">Tap a point for details. A red ring marks a drop of more than {threshold} points.</p>
+      {selectedScan && (
+        <div className="space-y-1 border-t pt-3">
+          <p className="text-xs text-gray-500">{toDate(selectedScan.timestamp) ? formatDateTime(toDate(selectedScan.timestamp)) : 'Saving...'}</p>
+          <p className="font-semibold text-gray-800 capitalize">
+            {selectedScan.predicted_disease}
+            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-bold border ${getHealthColor(selectedScan.health_percentage)}`}>{selectedScan.health_percentage}%</span>
+          </p>
+          <TreatmentEditor key={selectedScan.id} db={db} userId={userId} scan={selectedScan} />
+        </div>
+      )}
+      {ordered.length > 1 && (
+        <div className="border-t pt-3">
+          <ScanComparison scans={ordered} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PlantProfile = ({ db, userId, plant, onBack, onOpenScanner, onOpenBot, onOpenThread }) => {
+  const [scans, setScans] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const PLANT_DOC_PATH = getUserCollectionPath(userId, PLANT_COLLECTION_NAME);
+
+  // Scans and threads are filtered by plant only and sorted here, so no composite index is needed.
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const scanQuery = query(collection(db, getUserCollectionPath(userId, SCAN_COLLECTION_NAME)), where('plantId', '==', plant.id));
+    const threadQuery = query(collection(db, getUserCollectionPath(userId, THREAD_COLLECTION_NAME)), where('plantId', '==', plant.id));
+
+    const unsubscribeScans = onSnapshot(scanQuery, (snapshot) => {
+      setScans(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error listening to plant scans:", error));
+
+    const unsubscribeThreads = onSnapshot(threadQuery, (snapshot) => {
+      setThreads(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error listening to plant conversations:", error));
+
+    return () => {
+      unsubscribeScans();
+      unsubscribeThreads();
+    };
+  }, [db, userId, plant.id]);
+
+  const handleUpdate = async (values) => {
+    try {
+      await updateDoc(doc(db, PLANT_DOC_PATH, plant.id), { ...values, updatedAt: serverTimestamp() });
+      setEditing(false);
+      if (values.healthAlertThreshold !== getHealthAlertThreshold(plant)) {
+        await refreshPlantHealthAlert(db, userId, plant.id);
+      }
+    } catch (err) {
+      console.error("Error updating plant:", err);
+      setError("Could not save your changes. Please try again.");
+    }
+  };
+
+  const handleArchiveToggle = async () => {
+    try {
+      await updateDoc(doc(db, PLANT_DOC_PATH, plant.id), { archived: !plant.archived, updatedAt: serverTimestamp() });
+    } catch (err) {
+      console.error("Error archiving plant:", err);
+      setError("Could not update this plant. Please try again.");
+    }
+  };
+
+  // Newest first; unacknowledged server timestamps sort to the top.
+  const timeline = [
+    ...scans.map(scan => ({ type: 'scan', date: toDate(scan.timestamp), item: scan })),
+    ...threads.map(thread => ({ type: 'thread', date: toDate(thread.updatedAt), item: thread }))
+  ].sort((a, b) => (b.date?.getTime() ?? Infinity) - (a.date?.getTime() ?? Infinity));
+
+  const container = PLANT_CONTAINERS.find(c => c.id === plant.container);
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+      <button onClick={onBack} className="text-sm font-semibold text-green-700 hover:underline">
+        ← Back to My Garden
+      </button>
+
+      {editing ? (
+        <PlantForm initialValues={plant} submitLabel="Save Changes" onSubmit={handleUpdate} onCancel={() => setEditing(false)} />
+      ) : (
+        <div className="p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl space-y-3">
+          <div className="flex justify-between items-start">
+            <div>
+              <h3 className="text-2xl font-bold text-gray-800">{plant.name}</h3>
+              {plant.species && <p className="text-sm italic text-gray-600">{plant.species}</p>}
+            </div>
+            {plant.archived && <span className="px-3 py-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-600">Archived</span>}
+          </div>
+          <dl className="grid grid-cols-2 gap-2 text-sm text-gray-700">
+            <dt className="font-semibold">Location</dt><dd>{plant.location || '—'}</dd>
+            <dt className="font-semibold">Pot or bed</dt><dd>{container?.label || '—'}</dd>
+            <dt className="font-semibold">Acquired on</dt><dd>{plant.acquiredAt || '—'}</dd>
+          </dl>
+          <div className="flex flex-wrap gap-2 pt-3 border-t border-gray-200">
+            <button onClick={() => onOpenScanner(plant.id)} className="px-3 py-1 text-sm rounded-full bg-green-600 text-white font-semibold hover:bg-green-700 transition">📸 Scan</button>
+            <button onClick={() => onOpenBot(plant.id)} className="px-3 py-1 text-sm rounded-full bg-green-600 text-white font-semibold hover:bg-green-700 transition">💬 Ask the bot</button>
+            <button onClick={() => setEditing(true)} className="px-3 py-1 text-sm rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 transition">Edit</button>
+            <button onClick={handleArchiveToggle} className="px-3 py-1 text-sm rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 transition">
+              {plant.archived ? 'Restore' : 'Archive'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {scans.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="text-lg font-semibold text-gray-800">Health Trend</h4>
+          <PlantHealthTrend db={db} userId={userId} plant={plant} scans={scans} />
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h4 className="text-lg font-semibold text-gray-800">Scans & Conversations</h4>
+        {timeline.length === 0 ? (
+          <div className="text-center text-gray-500 italic p-6 bg-white rounded-xl shadow-inner">
+            Nothing yet. Scan this plant or ask the bot about it to start its history.
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {timeline.map(({ type, date, item }) => (
+              <li key={`${type}-${item.id}`} className="p-3 bg-white rounded-xl shadow-md">
+                <p className="text-xs text-gray-500 mb-1">{date ? formatDateTime(date) : 'Saving...'}</p>
+                {type === 'scan' ? (
+                  <div className="flex items-center">
+                    {item.thumbnail && <img src={item.thumbnail} alt="" className="w-14 h-14 object-cover rounded-lg mr-3 flex-shrink-0" />}
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-gray-800 capitalize">📸 {item.predicted_disease}</p>
+                      {item.treatment && <p className="text-xs text-gray-600 truncate">💊 {item.treatment.remedy}</p>}
+                    </div>
+                    <span className={`ml-2 px-3 py-1 rounded-full text-sm font-bold border ${getHealthColor(item.health_percentage)}`}>
+                      {item.health_percentage}%
+                    </span>
+                  </div>
+                ) : (
+                  <button onClick={() => onOpenThread(item.id)} className="w-full text-left">
+                    <p className="font-semibold text-gray-800">💬 {item.title}</p>
+                    {item.lastMessagePreview && <p className="text-sm text-gray-600 truncate">{item.lastMessagePreview}</p>}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Where and how the user grows; used by every scan and bot reply (see resolveGrowingContext).
+const GrowingContextForm = ({ db, userId, profile }) => {
+  const [values, setValues] = useState({ ...EMPTY_GROWING_CONTEXT, ...profile });
+  const [status, setStatus] = useState(null); // 'saving' | 'saved' | 'failed'
+
+  const handleChange = (field) => (e) => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }));
+    setStatus(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('saving');
+    try {
+      await saveGrowingContext(db, userId, {
+        region: values.region.trim(),
+        setting: values.setting,
+        light: values.light,
+        watering: values.watering,
+        weather: values.weather.trim()
+      });
+      setStatus('saved');
+    } catch (err) {
+      console.error("Error saving growing context:", err);
+      setStatus('failed');
+    }
+  };
+
+  const inputClass = "mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-green-500 focus:border-green-500";
+  const renderSelect = (field, options) => (
+    <select value={values[field]} onChange={handleChange(field)} className={inputClass}>
+      <option value="">Not set</option>
+      {options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+    </select>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 grid grid-cols-2 gap-3">
+      <p className="col-span-2 text-gray-600">Scans and the bot take these into account, and each result shows which ones it used. Leave anything you're unsure of unset.</p>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Region or hardiness zone
+        <input type="text" value={values.region} onChange={handleChange('region')} placeholder="e.g. USDA zone 9b, or Pune, India" className={inputClass} />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Indoors or outdoors
+        {renderSelect('setting', GROWING_SETTINGS)}
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Light
+        {renderSelect('light', LIGHT_LEVELS)}
+      </label>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Watering
+        {renderSelect('watering', WATERING_HABITS)}
+      </label>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Recent weather
+        <input type="text" value={values.weather} onChange={handleChange('weather')} placeholder="e.g. Humid, around 30°C, heavy rain most days" className={inputClass} />
+        <span className="mt-1 text-xs text-gray-500">
+          {weatherSource
+            ? `Leave empty to use the ${weatherSource.name === 'stub' ? 'sample weather from the built-in stub' : `weather from ${weatherSource.name}`} instead.`
+            : "Update this when the weather changes; it isn't looked up automatically."}
+        </span>
+      </label>
+      <div className="col-span-2 flex justify-end items-center space-x-3">
+        {status === 'saved' && <span className="text-green-700">✓ Saved</span>}
+        {status === 'failed' && <span className="text-red-600">Could not save. Please try again.</span>}
+        <button
+          type="submit"
+          disabled={status === 'saving'}
+          className="px-4 py-2 rounded-full font-semibold bg-green-600 text-white hover:bg-green-700 shadow-md transition disabled:opacity-50"
+        >
+          {status === 'saving' ? 'Saving...' : 'Save conditions'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const GrowingContextPanel = ({ db, userId, profile }) => (
+  <details className="p-4 bg-white rounded-xl shadow-md text-sm">
+    <summary className="font-semibold text-gray-700 cursor-pointer">🌦️ Growing conditions</summary>
+    {/* Waits for the saved profile so the form starts from it */}
+    {profile === undefined ? (
+      <p className="mt-3 text-gray-500 italic">Loading...</p>
+    ) : (
+      <GrowingContextForm db={db} userId={userId} profile={profile} />
+    )}
+  </details>
+);
+
+// The open plant is kept by App, so a health alert can open it from anywhere.
+const MyGarden = ({ db, userId, plants, growingProfile, selectedPlantId, onSelectPlant, onOpenScanner, onOpenBot, onOpenThread }) => {
+  const [creating, setCreating] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCreate = async (values) => {
+    try {
+      const plantRef = await addDoc(collection(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME)), {
+        ...values,
+        archived: false,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      setCreating(false);
+      onSelectPlant(plantRef.id);
+    } catch (err) {
+      console.error("Error creating plant:", err);
+      setError("Could not add this plant. Please try again.");
+    }
+  };
+
+  const selectedPlant = plants.find(plant => plant.id === selectedPlantId);
+  if (selectedPlant) {
+    return (
+      <PlantProfile
+        db={db}
+        userId={userId}
+        plant={selectedPlant}
+        onBack={() => onSelectPlant(null)}
+        onOpenScanner={onOpenScanner}
+        onOpenBot={onOpenBot}
+        onOpenThread={onOpenThread}
+      />
+    );
+  }
+
+  const visiblePlants = plants.filter(plant => showArchived || !plant.archived);
+  const archivedCount = plants.filter(plant => plant.archived).length;
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
+      <div className="flex justify-between items-center border-b pb-2">
+        <h2 className="text-2xl font-extrabold text-gray-800">My Garden</h2>
+        {!creating && (
+          <button onClick={() => setCreating(true)} className="px-4 py-2 text-sm font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 transition shadow-md">
+            + Add Plant
+          </button>
+        )}
+      </div>
+
+      <GrowingContextPanel db={db} userId={userId} profile={growingProfile} />
+
+      {creating && (
+        <PlantForm submitLabel="Add Plant" onSubmit={handleCreate} onCancel={() => setCreating(false)} />
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {visiblePlants.length === 0 ? (
+        <div className="text-center text-gray-500 italic p-10 bg-white rounded-xl shadow-inner">
+          No plants yet. Add the plants you care for so scans and chats can be linked to them.
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {visiblePlants.map(plant => (
+            <li key={plant.id}>
+              <button
+                onClick={() => onSelectPlant(plant.id)}
+                className={`w-full p-4 bg-white rounded-xl shadow-md hover:shadow-lg transition text-left ${plant.archived ? 'opacity-60' : ''}`}
+              >
+                <p className="font-bold text-gray-800">
+                  🪴 {plant.name}
+                  {plant.archived && <span className="ml-2 text-xs font-normal text-gray-500">(archived)</span>}
+                  {plant.healthAlert && !plant.healthAlert.dismissed && <span className="ml-2 text-xs font-semibold text-red-600">⚠️ Needs attention</span>}
+                </p>
+                <p className="text-sm text-gray-600">{describePlant(plant)}</p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {archivedCount > 0 && (
+        <button onClick={() => setShowArchived(prev => !prev)} className="text-sm text-green-700 font-semibold hover:underline">
+          {showArchived ? 'Hide archived plants' : `Show archived plants (${archivedCount})`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_CARE_TASK_FORM = { plantId: '', type: 'water', title: '', repeats: true, every: 3, unit: 'day', dueDate: '', notes: '' };
+
+const CareTaskForm = ({ plants, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => ({ ...EMPTY_CARE_TASK_FORM, dueDate: toDayString() }));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (field) => (e) => setValues(prev => ({ ...prev, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  // Picking a type fills in its usual rhythm
+  const handleTypeChange = (e) => {
+    const type = getCareTaskType(e.target.value);
+    setValues(prev => ({
+      ...prev,
+      type: type.id,
+      repeats: Boolean(type.recurrence),
+      every: type.recurrence?.every || prev.every,
+      unit: type.recurrence?.unit || prev.unit
+    }));
+  };
+
+  const every = parseInt(values.every, 10);
+  const isValid = values.dueDate && (!values.repeats || every > 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValid || saving) return;
+    setSaving(true);
+    try {
+      await onSubmit({
+        plantId: values.plantId || null,
+        type: values.type,
+        title: values.title.trim() || getCareTaskType(values.type).label,
+        notes: values.notes.trim(),
+        recurrence: values.repeats ? { every, unit: values.unit } : null,
+        dueDate: values.dueDate
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = "mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-green-500 focus:border-green-500";
+  const activePlants = plants.filter(plant => !plant.archived);
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-white rounded-xl shadow-md grid grid-cols-2 gap-3 text-sm">
+      <label className="flex flex-col text-gray-600">
+        Task
+        <select value={values.type} onChange={handleTypeChange} className={inputClass}>
+          {CARE_TASK_TYPES.map(type => <option key={type.id} value={type.id}>{type.emoji} {type.label}</option>)}
+        </select>
+      </label>
+      <label className="flex flex-col text-gray-600">
+        Plant
+        <select value={values.plantId} onChange={handleChange('plantId')} className={inputClass}>
+          <option value="">No specific plant</option>
+          {activePlants.map(plant => <option key={plant.id} value={plant.id}>{plant.name}</option>)}
+        </select>
+      </label>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Title
+        <input type="text" value={values.title} onChange={handleChange('title')} placeholder={getCareTaskType(values.type).label} className={inputClass} />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        First due
+        <input type="date" value={values.dueDate} onChange={handleChange('dueDate')} className={inputClass} required />
+      </label>
+      <div className="flex flex-col text-gray-600">
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={values.repeats} onChange={handleChange('repeats')} />
+          <span>Repeats every</span>
+        </label>
+        <div className="flex space-x-2">
+          <input type="number" min="1" max="365" value={values.every} onChange={handleChange('every')} disabled={!values.repeats} className={`${inputClass} w-20`} />
+          <select value={values.unit} onChange={handleChange('unit')} disabled={!values.repeats} className={`${inputClass} flex-1`}>
+            {RECURRENCE_UNITS.map(unit => <option key={unit} value={unit}>{unit}s</option>)}
+          </select>
+        </div>
+      </div>
+      <label className="col-span-2 flex flex-col text-gray-600">
+        Notes
+        <input type="text" value={values.notes} onChange={handleChange('notes')} placeholder="e.g. Use rain water" className={inputClass} />
+      </label>
+      <div className="col-span-2 flex justify-end space-x-2 pt-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition">Cancel</button>
+        <button
+          type="submit"
+          disabled={!isValid || saving}
+          className={`px-4 py-2 rounded-full font-semibold transition ${
+            !isValid || saving ? 'bg-gray-300 text-gray-500 cursor-not-allowed' : 'bg-green-600 text-white hover:bg-green-700 shadow-md'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Add Task'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// One agenda row: what is due, for which plant, and the done/snooze actions.
+const CareTaskRow = ({ task, plant, today, busy, onDone, onSnooze, onScan }) => {
+  const type = getCareTaskType(task.type);
+  const overdue = task.dueDate < today;
+
+  return (
+    <li className="p-3 bg-white rounded-xl shadow-md flex items-start justify-between space-x-3">
+      <div className="min-w-0">
+        <p className="font-bold text-gray-800">{type.emoji} {task.title}</p>
+        <p className="text-xs text-gray-500">
+          {plant ? `${plant.name} · ` : ''}{formatRecurrence(task.recurrence)} · <span className={overdue ? 'text-red-600 font-semibold' : ''}>{formatDueDay(task.dueDate, today)}</span>
+        </p>
+        {task.notes && <p className="text-xs text-gray-600 mt-1">{task.notes}</p>}
+      </div>
+      <div className="flex flex-col items-end space-y-1 flex-shrink-0">
+        <div className="flex space-x-1">
+          {task.type === 'rescan' && (
+            <button onClick={onScan} disabled={busy} className="px-3 py-1 text-xs font-semibold rounded-full border border-green-300 text-green-700 hover:bg-green-50 transition">📸 Scan now</button>
+          )}
+          <button onClick={onDone} disabled={busy} className="px-3 py-1 text-xs font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 transition shadow-md">✓ Done</button>
+        </div>
+        <select
+          value=""
+          onChange={(e) => onSnooze(parseInt(e.target.value, 10))}
+          disabled={busy}
+          className="text-xs text-gray-600 border border-gray-200 rounded-lg px-1 py-0.5"
+          aria-label="Snooze"
+        >
+          <option value="" disabled>Snooze...</option>
+          {SNOOZE_OPTIONS.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+        </select>
+      </div>
+    </li>
+  );
+};
+
+const CareAgenda = ({ db, userId, tasks, plants, onScanPlant }) => {
+  const [creating, setCreating] = useState(false);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+  const [showRoutines, setShowRoutines] = useState(false);
+  const [error, setError] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(() => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission));
+
+  const today = toDayString();
+  const upcomingUntil = addToDay(today, AGENDA_UPCOMING_DAYS, 'day');
+  const dueTasks = tasks.filter(task => task.dueDate <= today);
+  const upcomingTasks = tasks.filter(task => task.dueDate > today && task.dueDate <= upcomingUntil);
+  const findPlant = (plantId) => plants.find(plant => plant.id === plantId);
 
+  const runTaskAction = async (task, action, failureMessage) => {
+    setBusyTaskId(task.id);
+    setError(null);
+    try {
+      await action();
     } catch (err) {
-      console.error("Scanning Error:", err);
-      setError("Analysis failed. Please try a clearer picture or ask the bot for help.");
-    } finally {
-      setLoading(false);
+      console.error("Error updating care task:", err);
+      setError(failureMessage);
     }
+    setBusyTaskId(null);
   };
 
-  const getHealthColor = (health) => {
-    if (health >= 80) return 'text-green-600 bg-green-100 border-green-300';
-    if (health >= 60) return 'text-yellow-600 bg-yellow-100 border-yellow-300';
-    return 'text-red-600 bg-red-100 border-red-300';
+  const handleCreate = async (task) => {
+    try {
+      await addCareTask(db, userId, task);
+      setCreating(false);
+    } catch (err) {
+      console.error("Error creating care task:", err);
+      setError("Could not add this task. Please try again.");
+    }
+  };
+
+  const handleEnableReminders = async () => {
+    setNotificationPermission(await Notification.requestPermission());
   };
 
-  const isDiseased = scanResult && scanResult.predicted_disease.toLowerCase() !== "healthy";
+  const renderRow = (task) => (
+    <CareTaskRow
+      key={task.id}
+      task={task}
+      plant={findPlant(task.plantId)}
+      today={today}
+      busy={busyTaskId === task.id}
+      onDone={() => runTaskAction(task, () => completeCareTask(db, userId, task), "Could not mark this task as done. Please try again.")}
+      onSnooze={(days) => runTaskAction(task, () => snoozeCareTask(db, userId, task, days), "Could not snooze this task. Please try again.")}
+      onScan={() => onScanPlant(task.plantId)}
+    />
+  );
 
   return (
     <div className="p-4 sm:p-6 space-y-6 max-w-lg mx-auto">
-      <h2 className="text-2xl font-extrabold text-gray-800 border-b pb-2">Plant Health Scanner</h2>
-      <p className="text-sm text-gray-600">Upload a clear, focused photo of your plant's affected leaf/area for AI-powered disease and health analysis.</p>
-
-      <div className="flex flex-col items-center p-6 border-2 border-dashed border-green-300 rounded-xl bg-white shadow-inner">
-        {file ? (
-          <img
-            src={URL.createObjectURL(file)}
-            alt="Uploaded Plant"
-            className="w-full h-40 object-cover rounded-lg mb-4 shadow-md"
-          />
-        ) : (
-          <svg className="w-12 h-12 text-green-500 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-9-2h.01M4 20h16a2 2 0 002-2V6a2 2 0 00-2-2H4a2 2 0 00-2 2v12a2 2 0 002 2z"></path></svg>
+      <div className="flex justify-between items-center border-b pb-2">
+        <h2 className="text-2xl font-extrabold text-gray-800">Today</h2>
+        {!creating && (
+          <button onClick={() => setCreating(true)} className="px-4 py-2 text-sm font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 transition shadow-md">
+            + Add Task
+          </button>
         )}
-        {/* IMPORTANT CHANGE: Added capture="environment" to allow camera input on mobile devices */}
-        <input
-          ref={inputRef}
-          type="file"
-          accept="image/*"
-          capture="environment" 
-          onChange={handleFileChange}
-          className="hidden"
-        />
-        <button
-          onClick={() => inputRef.current.click()}
-          className="px-4 py-2 text-sm font-semibold rounded-full bg-green-500 text-white hover:bg-green-600 transition shadow-lg hover:shadow-xl transform hover:scale-[1.02]"
-          disabled={loading}
-        >
-          {file ? 'Change/Retake Photo' : 'Select or Capture Photo'}
-        </button>
       </div>
 
-      <button
-        onClick={handleScan}
-        disabled={!file || loading}
-        className={`w-full py-3 text-lg font-bold rounded-xl transition transform ${
-          file && !loading
-            ? 'bg-green-600 text-white hover:bg-green-700 shadow-xl hover:shadow-2xl'
-            : 'bg-gray-300 text-gray-500 cursor-not-allowed'
-        }`}
-      >
-        {loading ? (
-            <span className="flex items-center justify-center">
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" viewBox="0 0 24 24">
-                   <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Analyzing Image...
-            </span>
-        ) : 'Scan for Diseases'}
-      </button>
-      
-      {error && (
-        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
-            <p className="font-semibold">Error:</p>
-            <p className="text-sm">{error}</p>
+      {notificationPermission === 'default' && (
+        <div className="p-3 bg-green-50 border border-green-300 rounded-xl text-sm text-green-800 flex items-center justify-between">
+          <span>Get a reminder when care tasks are due.</span>
+          <button onClick={handleEnableReminders} className="ml-2 px-3 py-1 text-xs font-semibold rounded-full bg-green-600 text-white hover:bg-green-700 transition flex-shrink-0">🔔 Turn on reminders</button>
         </div>
       )}
+      {notificationPermission === 'denied' && (
+        <p className="text-xs text-gray-500">Reminders are blocked for this site. Allow notifications in your browser settings to get them.</p>
+      )}
 
-      {scanResult && (
-        <div className="mt-6 p-5 border-t-4 border-green-500 bg-white rounded-xl shadow-2xl space-y-4">
-          <div className="flex justify-between items-center pb-2 border-b border-gray-200">
-            <h3 className="text-xl font-bold text-gray-800">Scan Results</h3>
-            <span className={`px-4 py-1 rounded-full text-lg font-bold border ${getHealthColor(scanResult.health_percentage)}`}>
-              {scanResult.health_percentage}% Health
-            </span>
-          </div>
+      {creating && (
+        <CareTaskForm plants={plants} onSubmit={handleCreate} onCancel={() => setCreating(false)} />
+      )}
 
-          <p className="text-md text-gray-700">
-            **Predicted Status:** <span className="font-extrabold text-lg text-green-700 capitalize">{scanResult.predicted_disease}</span>
-          </p>
+      {error && (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
 
-          <div className="pt-4 border-t border-gray-200">
-              <h4 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
-                <svg className={`w-5 h-5 mr-2 ${isDiseased ? 'text-red-600' : 'text-green-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d={isDiseased ? "M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" : "M5 13l4 4L19 7"}></path></svg>
-                {isDiseased ? 'DIY Home Remedies' : 'General Care Tips'}
-              </h4>
-              <ul className="list-disc list-inside space-y-2 text-gray-700 text-sm pl-4">
-                {scanResult.home_remedies.map((remedy, index) => (
-                  <li key={index}>
-                    {remedy}
-                  </li>
-                ))}
-              </ul>
-            </div>
-        </div>
+      <section className="space-y-2">
+        <h3 className="text-sm font-bold text-gray-600 uppercase tracking-wide">Due now</h3>
+        {dueTasks.length === 0 ? (
+          <p className="text-center text-gray-500 italic p-6 bg-white rounded-xl shadow-inner">Nothing due. Your garden is all caught up! 🌱</p>
+        ) : (
+          <ul className="space-y-2">{dueTasks.map(renderRow)}</ul>
+        )}
+      </section>
+
+      {upcomingTasks.length > 0 && (
+        <section className="space-y-2">
+          <h3 className="text-sm font-bold text-gray-600 uppercase tracking-wide">Next {AGENDA_UPCOMING_DAYS} days</h3>
+          <ul className="space-y-2">{upcomingTasks.map(renderRow)}</ul>
+        </section>
+      )}
+
+      {tasks.length > 0 && (
+        <section className="space-y-2">
+          <button onClick={() => setShowRoutines(prev => !prev)} className="text-sm text-green-700 font-semibold hover:underline">
+            {showRoutines ? 'Hide all routines' : `Show all routines (${tasks.length})`}
+          </button>
+          {showRoutines && (
+            <ul className="divide-y bg-white rounded-xl shadow-md text-sm">
+              {tasks.map(task => (
+                <li key={task.id} className="p-3 flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-gray-800 truncate">{getCareTaskType(task.type).emoji} {task.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {findPlant(task.plantId)?.name || 'No specific plant'} · {formatRecurrence(task.recurrence)} · {formatDueDay(task.dueDate, today)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => runTaskAction(task, () => deleteCareTask(db, userId, task.id), "Could not delete this task. Please try again.")}
+                    disabled={busyTaskId === task.id}
+                    className="ml-2 text-xs font-semibold text-red-600 hover:underline flex-shrink-0"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
       )}
     </div>
   );
 };
 
-const GardeningBot = ({ db, userId }) => {
-  const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState('');
-  const [loading, setLoading] = useState(false);
-  const messagesEndRef = useRef(null);
+// Header account menu: who is signed in, upgrade options for guests, sign-out and deletion.
+const ProfileMenu = ({ auth, db, user }) => {
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState(null); // { type: 'info' | 'error', text }
+  const [busy, setBusy] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
 
-  const CHAT_COLLECTION = `artifacts/${appId}/users/${userId}/plant_bot_chats`;
+  const run = async (action, successText) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await action();
+      if (successText) setStatus({ type: 'info', text: successText });
+    } catch (error) {
+      console.error("Account Error:", error);
+      // A guest can't sign in to the same session again, only upgrade it
+      const text = error.code === 'auth/requires-recent-login'
+        ? t(user.isAnonymous ? 'account.recentLoginGuest' : 'account.recentLogin')
+        : error.code === 'auth/popup-closed-by-user'
+          ? t('account.cancelled')
+          : t('account.failed');
+      setStatus({ type: 'error', text });
+    } finally {
+      setBusy(false);
+    }
+  };
 
-  // Scroll to bottom on new message
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+  const handleEmailLink = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    run(() => sendEmailSignInLink(auth, email.trim()), t('account.linkSent', { email: email.trim() }));
+  };
 
-  // Fetch and listen for chat history
-  useEffect(() => {
-    if (!db || !userId) return;
+  // A fresh guest session replaces the signed-out account
+  const handleSignOut = () => run(async () => {
+    await signOut(auth);
+    await signInAnonymously(auth);
+    setOpen(false);
+  });
 
-    // Use onSnapshot for real-time updates
-    const q = query(collection(db, CHAT_COLLECTION), orderBy('timestamp', 'asc'), limit(50));
-    
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const chatHistory = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      })).filter(msg => msg.text);
+  const handleDelete = () => run(async () => {
+    await deleteAccount(auth, db);
+    await signInAnonymously(auth);
+    setConfirmingDelete(false);
+    setOpen(false);
+  });
 
-      setMessages(chatHistory);
-    }, (error) => {
-      console.error("Error listening to chat history:", error);
-    });
+  const label = user.isAnonymous ? t('account.guest') : (user.displayName || user.email || t('account.mine'));
 
-    return () => unsubscribe();
-  }, [db, userId]);
+  return (
+    <div className="relative inline-block text-left mt-2">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-4 py-1 text-sm font-semibold rounded-full bg-white border border-green-300 text-green-800 shadow hover:bg-green-50 transition"
+      >
+        👤 {label} ▾
+      </button>
+      {open && (
+        <div className="absolute left-1/2 -translate-x-1/2 mt-2 w-72 p-4 bg-white rounded-xl shadow-2xl border border-gray-200 z-10 space-y-3 text-sm text-gray-700">
+          {user.isAnonymous ? (
+            <>
+              <p>{t('account.guestIntro')}</p>
+              <button
+                onClick={() => run(() => upgradeWithGoogle(auth, db))}
+                disabled={busy}
+                className="w-full py-2 rounded-lg border border-gray-300 font-semibold hover:bg-gray-50 transition"
+              >
+                {t('account.google')}
+              </button>
+              <form onSubmit={handleEmailLink} className="space-y-2">
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <button type="submit" disabled={busy || !email.trim()} className="w-full py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition disabled:opacity-50">
+                  {t('account.emailLink')}
+                </button>
+              </form>
+            </>
+          ) : (
+            <>
+              <p>{t('account.signedIn', { name: user.email || user.displayName })}</p>
+              <button onClick={handleSignOut} disabled={busy} className="w-full py-2 rounded-lg border border-gray-300 font-semibold hover:bg-gray-50 transition">
+                {t('account.signOut')}
+              </button>
+            </>
+          )}
+          <div className="pt-3 border-t border-gray-200">
+            {confirmingDelete ? (
+              <div className="space-y-2">
+                <p className="text-red-700">{user.isAnonymous ? t('account.deleteWarning') : t('account.deleteWarningAccount')}</p>
+                <div className="flex space-x-2">
+                  <button onClick={handleDelete} disabled={busy} className="flex-1 py-2 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 transition">{t('account.deleteEverything')}</button>
+                  <button onClick={() => setConfirmingDelete(false)} disabled={busy} className="flex-1 py-2 rounded-lg bg-gray-200 font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+                </div>
+              </div>
+            ) : (
+              <button onClick={() => setConfirmingDelete(true)} className="text-red-600 font-semibold hover:underline">
+                {t('account.delete')}
+              </button>
+            )}
+          </div>
+          {busy && <p className="text-gray-500 animate-pulse">{t('common.working')}</p>}
+          {status && (
+            <p className={status.type === 'error' ? 'text-red-600' : 'text-green-700'}>{status.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-  const callGeminiApi = async (userMessage) => {
-    // Filter out messages without text property before sending to API
-    const validMessages = messages.filter(msg => msg.text);
+// Shown when an email sign-in link is opened in a browser that doesn't remember the address.
+const EmailLinkConfirm = ({ onConfirm }) => {
+  const [email, setEmail] = useState('');
 
-    const chatHistoryForAPI = validMessages.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.text }]
-    }));
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); if (email.trim()) onConfirm(email.trim()); }}
+      className="max-w-md mx-auto mb-4 p-4 bg-white rounded-xl shadow-lg flex space-x-2 text-sm"
+    >
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder={t('account.confirmEmail')}
+        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+      />
+      <button type="submit" className="px-4 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition">{t('account.signIn')}</button>
+    </form>
+  );
+};
 
-    const systemPrompt = "You are a friendly, knowledgeable, and practical home gardening expert and plant doctor. Your responses should be concise, encouraging, and focused on home remedies and simple, actionable care tips. Use common language and acknowledge the user's plant. When giving vacation tips, always prioritize simple, proven methods like wicking or bottle watering. Do not use external tools or markdown headers. Your only goal is to provide helpful, actionable advice.";
-    
-    const payload = {
-      contents: [...chatHistoryForAPI, { role: 'user', parts: [{ text: userMessage }] }],
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      }
-    };
-    
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;// Canvas will provide this at runtime
-    const apiUrl = `${API_URL_BASE}?key=${apiKey}`;
-
-    const apiCall = async () => {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) {
-        throw new Error(`API call failed with status: ${response.status}`);
-      }
-      return response.json();
-    };
+// Health alerts raised by new scans (see refreshPlantHealthAlert), until viewed or dismissed.
+const HealthAlertBanner = ({ db, userId, plants, onOpenPlant }) => {
+  const alertedPlants = plants.filter(plant => !plant.archived && plant.healthAlert && !plant.healthAlert.dismissed);
+  if (alertedPlants.length === 0) return null;
 
-    try {
-      const result = await retryWithBackoff(apiCall);
-      const botResponse = result.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (botResponse) {
-        // Save the bot's response to Firestore
-        await addDoc(collection(db, CHAT_COLLECTION), {
-          role: 'model',
-          text: botResponse,
-          timestamp: serverTimestamp()
-        });
-      }
-    } catch (error) {
-      console.error("Gemini API Error:", error);
-      // Save error message to Firestore
-      await addDoc(collection(db, CHAT_COLLECTION), {
-        role: 'model',
-        text: "Oops! I ran into a technical issue. The gardening bot is on a coffee break. Please try your question again.",
-        timestamp: serverTimestamp()
-      });
-    }
+  const handleDismiss = (plant) => {
+    updateDoc(doc(db, getUserCollectionPath(userId, PLANT_COLLECTION_NAME), plant.id), { healthAlert: { ...plant.healthAlert, dismissed: true } })
+      .catch(error => console.error("Error dismissing health alert:", error));
   };
 
-  const handleSend = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || loading || !db || !userId) return;
+  return (
+    <div className="max-w-2xl mx-auto mb-4 space-y-2">
+      {alertedPlants.map(plant => (
+        <div key={plant.id} className="p-3 bg-red-50 border border-red-300 rounded-xl text-sm text-red-800 flex items-start justify-between">
+          <p className="min-w-0"><span className="font-semibold">⚠️ {plant.name}:</span> {describeHealthAlert(plant.healthAlert)}</p>
+          <div className="flex space-x-2 ml-2 flex-shrink-0">
+            <button onClick={() => onOpenPlant(plant.id)} className="text-xs font-semibold hover:underline">{t('alerts.viewTrend')}</button>
+            <button onClick={() => handleDismiss(plant)} className="text-xs font-semibold text-gray-500 hover:underline">{t('alerts.dismiss')}</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
 
-    const userMessage = input.trim();
-    setInput('');
-    setLoading(true);
+const QueuedScanThumbnail = ({ blob }) => {
+  const src = useObjectUrl(blob);
+  return src ? <img src={src} alt="" className="w-10 h-10 object-cover rounded-lg flex-shrink-0" /> : null;
+};
 
-    // 1. Save user message to Firestore
-    await addDoc(collection(db, CHAT_COLLECTION), {
-      role: 'user',
-      text: userMessage,
-      timestamp: serverTimestamp()
-    });
-    
-    // 2. Call Gemini for response (response saving is handled within callGeminiApi)
-    await callGeminiApi(userMessage);
+// Scans and messages waiting for a connection, with retry for failures and cancel.
+const OfflineQueuePanel = ({ db, items, isOnline, plants }) => {
+  if (isOnline && items.length === 0) return null;
 
-    setLoading(false);
+  const handleCancel = (item) => {
+    removeOfflineItem(item.id).catch(error => console.error("Error cancelling queued item:", error));
+  };
+
+  const handleRetry = (item) => {
+    retryOfflineItem(db, item).catch(error => console.error("Error retrying queued item:", error));
   };
 
   return (
-    <div className="flex flex-col h-[70vh] max-w-lg mx-auto bg-white rounded-xl shadow-2xl">
-      <h2 className="text-2xl font-extrabold text-gray-800 p-4 border-b pb-2 rounded-t-xl">AI Gardener Bot</h2>
-      <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50 rounded-b-lg shadow-inner">
-        {messages.length === 0 && (
-          <div className="text-center text-gray-500 italic p-10">
-            Start a conversation! Ask me anything about plant care, watering schedules, or what to do before a vacation.
-          </div>
-        )}
-        {messages.map((msg) => (
-          <div
-            key={msg.id}
-            className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
-          >
-            <div
-              className={`max-w-[80%] px-4 py-2 rounded-xl shadow-md ${
-                msg.role === 'user'
-                  ? 'bg-green-500 text-white rounded-br-none'
-                  : 'bg-white text-gray-800 rounded-tl-none border border-gray-200'
-              }`}
-            >
-              <p className="whitespace-pre-wrap">{msg.text}</p>
-            </div>
-          </div>
-        ))}
-        {loading && (
-          <div className="flex justify-start">
-            <div className="max-w-[80%] px-4 py-2 rounded-xl bg-white text-gray-800 rounded-tl-none border border-gray-200 shadow-md">
-              <span className="animate-pulse">Bot is typing...</span>
-            </div>
-          </div>
-        )}
-        <div ref={messagesEndRef} />
+    <div className="max-w-2xl mx-auto mb-4 p-3 bg-amber-50 border border-amber-300 rounded-xl text-sm space-y-2">
+      <p className="font-semibold text-amber-800">
+        {isOnline
+          ? (items.length === 1 ? t('queue.sendingOne') : t('queue.sending', { count: items.length }))
+          : t('queue.offline')}
+      </p>
+      {items.length > 0 && (
+        <ul className="space-y-2">
+          {items.map(item => {
+            const plant = plants.find(p => p.id === item.payload.plantId);
+            return (
+              <li key={item.id} className="flex items-center space-x-3 p-2 bg-white rounded-lg border border-amber-200">
+                {item.type === 'scan'
+                  ? <QueuedScanThumbnail blob={item.payload.photos[0]?.blob} />
+                  : <span className="w-10 h-10 flex items-center justify-center text-xl flex-shrink-0">💬</span>}
+                <div className="flex-1 min-w-0">
+                  <p className="truncate text-gray-800">
+                    {item.type === 'scan'
+                      ? `${item.payload.photos.length === 1 ? t('queue.scanOne') : t('queue.scan', { count: item.payload.photos.length })}${plant ? t('queue.forPlant', { name: plant.name }) : ''}`
+                      : item.payload.replyOnly ? t('queue.reply', { text: item.payload.text }) : `"${item.payload.text}"`}
+                  </p>
+                  <p className={`text-xs ${item.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                    {t(`queue.${item.status}`)}{item.status === 'failed' && item.lastError ? `: ${item.lastError}` : ''}
+                    {' · '}{t('queue.queuedAt', { time: formatTime(new Date(item.createdAt), { hour: '2-digit', minute: '2-digit' }) })}
+                  </p>
+                </div>
+                {item.status === 'failed' && (
+                  <button onClick={() => handleRetry(item)} className="text-xs font-semibold text-green-700 hover:underline flex-shrink-0">{t('common.retry')}</button>
+                )}
+                {item.status !== 'processing' && (
+                  <button onClick={() => handleCancel(item)} className="text-xs font-semibold text-red-600 hover:underline flex-shrink-0">{t('common.cancel')}</button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Shown instead of the app when the configuration has errors; lists each problem with its fix.
+const ConfigDiagnostics = ({ config, check }) => {
+  const settings = check.problems.map(problem => problem.setting);
+  const hasDataProblem = ['REACT_APP_DATA_MODE', 'REACT_APP_FIREBASE_CONFIG', 'REACT_APP_FIRESTORE_EMULATOR_PORT'].some(setting => settings.includes(setting));
+  const hasAiProblem = ['REACT_APP_AI_PROVIDER', 'REACT_APP_GEMINI_API_KEY'].some(setting => settings.includes(setting));
+
+  return (
+    <div className="min-h-screen bg-green-50 font-sans p-4 flex items-center justify-center">
+      <div className="max-w-xl w-full bg-white rounded-xl shadow-2xl p-6 space-y-4">
+        <h1 className="text-2xl font-black text-green-800">🌿 Setup needed</h1>
+        <p className="text-sm text-gray-600">
+          Home Garden Health can't start until the settings below are fixed. Edit <code>.env</code> (or the Canvas settings) and reload, or choose one of the options underneath.
+        </p>
+        <ul className="space-y-3">
+          {check.problems.map((problem, index) => (
+            <li key={index} className={`p-3 rounded-lg border text-sm ${problem.severity === 'error' ? 'bg-red-50 border-red-300' : 'bg-amber-50 border-amber-300'}`}>
+              <p className="font-semibold text-gray-800">
+                <span className={`mr-2 text-xs uppercase ${problem.severity === 'error' ? 'text-red-700' : 'text-amber-700'}`}>{problem.severity}</span>
+                <code>{problem.setting}</code>
+              </p>
+              <p className="text-gray-700">{problem.message}</p>
+              <p className="text-gray-500 text-xs mt-1">{problem.fix}</p>
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap gap-2">
+          {hasDataProblem && (
+            <button onClick={() => saveConfigOverrides({ dataMode: 'local' })} className="px-4 py-2 text-sm font-semibold rounded-lg bg-green-600 text-white hover:bg-green-700 transition">
+              Use local mode (no Firebase)
+            </button>
+          )}
+          {hasAiProblem && (
+            <button onClick={() => saveConfigOverrides({ aiProvider: 'mock' })} className="px-4 py-2 text-sm font-semibold rounded-lg bg-green-600 text-white hover:bg-green-700 transition">
+              Use simulated AI results
+            </button>
+          )}
+          {Object.keys(config.overrides).length > 0 && (
+            <button onClick={() => saveConfigOverrides(null)} className="px-4 py-2 text-sm font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition">
+              Forget saved choices
+            </button>
+          )}
+          <button onClick={() => window.location.reload()} className="px-4 py-2 text-sm font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition">
+            Reload
+          </button>
+        </div>
       </div>
-      <form onSubmit={handleSend} className="p-4 bg-white border-t rounded-b-xl flex">
-        <input
-          type="text"
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          placeholder="Ask your plant question..."
-          className="flex-1 px-4 py-2 border border-gray-300 rounded-l-xl focus:ring-green-500 focus:border-green-500 transition"
-          disabled={loading}
-        />
-        <button
-          type="submit"
-          disabled={!input.trim() || loading}
-          className={`px-4 py-2 rounded-r-xl font-semibold transition transform shadow-lg ${
-            !input.trim() || loading
-              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-              : 'bg-green-600 text-white hover:bg-green-700 hover:scale-[1.01]'
-          }`}
-        >
-          Send
-        </button>
-      </form>
     </div>
   );
 };
 
+// Language of the app and of the model's answers, saved with the user's settings.
+const LanguagePicker = ({ locale, onChange }) => (
+  <label className="inline-flex items-center text-xs text-gray-600 mt-2">
+    <span className="mr-2">🌐 {t('app.language')}</span>
+    <select
+      value={locale}
+      onChange={(e) => onChange(e.target.value)}
+      className="p-1 border border-gray-300 rounded-lg bg-white text-gray-800 focus:ring-green-500 focus:border-green-500"
+    >
+      {SUPPORTED_LOCALES.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
 // --- Main App Component ---
 
 const App = () => {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
+  const [user, setUser] = useState(null);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [view, setView] = useState('scanner'); // 'scanner' or 'bot'
+  const [authError, setAuthError] = useState(null);
+  const [needsEmailForLink, setNeedsEmailForLink] = useState(false);
+  // 'scanner', 'bot', 'history', 'garden', 'today' or 'guide'; reminders open the app with ?view=today
+  const [view, setView] = useState(() => new URLSearchParams(window.location.search).get('view') === 'today' ? 'today' : 'scanner');
+  const [activePlantId, setActivePlantId] = useState(null);
+  const [scanToDiscuss, setScanToDiscuss] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [gardenPlantId, setGardenPlantId] = useState(null);
+  const [sharedScanId, setSharedScanId] = useState(() => new URLSearchParams(window.location.search).get('share'));
+  const plants = usePlants(db, userId);
+  const growingProfile = useGrowingContext(db, userId);
+  const isOnline = useOnlineStatus();
+  const queuedItems = useOfflineQueue(db, userId);
+  const careTasks = useCareTasks(db, userId);
+  const [locale, setLocale] = useLocale(db, userId);
+  useCareReminders(careTasks, plants);
+
+  // Installable app with an offline-capable shell
+  useEffect(() => {
+    registerPwa();
+  }, []);
 
   // Initialize Firebase and handle Authentication
   useEffect(() => {
-    if (firebaseConfig) {
-      const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+    if (!CONFIG_CHECK.canStart) return;
+    CONFIG_CHECK.problems.forEach(problem => console.warn(`Configuration (${problem.setting}): ${problem.message} ${problem.fix}`));
+
+    // Local mode: no Firebase project and no sign-in; data stays in this browser
+    if (APP_CONFIG.dataMode === 'local') {
+      let cancelled = false;
+      openLocalStore()
+        .then((store) => {
+          if (cancelled) return;
+          setDb(store);
+          setUser(LOCAL_USER);
+          setUserId(LOCAL_USER.uid);
+          setIsAuthReady(true);
+        })
+        .catch((error) => {
+          console.error("Error opening local storage:", error);
+          setAuthError(t('app.localStoreError'));
+        });
+      return () => { cancelled = true; };
+    }
+
+    if (APP_CONFIG.dataMode === 'firebase') {
+      const app = initializeApp(CONFIG_CHECK.firebaseConfig);
+      const firestore = firestoreSdk.getFirestore(app);
       const authInstance = getAuth(app);
 
+      if (FIREBASE_EMULATOR_CONFIG.enabled) {
+        connectAuthEmulator(authInstance, FIREBASE_EMULATOR_CONFIG.authUrl, { disableWarnings: true });
+        firestoreSdk.connectFirestoreEmulator(firestore, FIREBASE_EMULATOR_CONFIG.firestoreHost, FIREBASE_EMULATOR_CONFIG.firestorePort);
+      }
+
       setDb(firestore);
       setAuth(authInstance);
 
       // 1. Handle Authentication
       const authenticate = async () => {
-        try {
-          if (initialAuthToken) {
-            await signInWithCustomToken(authInstance, initialAuthToken);
+        // Restore a persisted session first so a permanent account isn't replaced by a new guest
+        await authInstance.authStateReady();
+
+        if (isSignInWithEmailLink(authInstance, window.location.href)) {
+          const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+          if (email) {
+            try {
+              await completeEmailLinkSignIn(authInstance, firestore, email);
+            } catch (error) {
+              // An expired or used link leaves whoever was signed in as they were
+              console.error("Email link sign-in failed:", error);
+              setAuthError(t('app.emailLinkError'));
+            }
           } else {
+            setNeedsEmailForLink(true);
+          }
+        }
+
+        const currentUser = authInstance.currentUser;
+        try {
+          // The custom token stands in for a guest, never for an account the user signed into
+          if (CONFIG_CHECK.initialAuthToken && (!currentUser || currentUser.isAnonymous)) {
+            await signInWithCustomToken(authInstance, CONFIG_CHECK.initialAuthToken);
+          } else if (!currentUser) {
             await signInAnonymously(authInstance);
           }
         } catch (error) {
           console.error("Firebase Auth Error:", error);
-          // Fallback to anonymous sign-in if custom token fails
+          // Fallback to anonymous sign-in if custom token fails, unless someone is already signed in
+          if (authInstance.currentUser) return;
           try {
             await signInAnonymously(authInstance);
           } catch (e) {
             console.error("Anonymous sign-in failed:", e);
+            setAuthError(t('app.signInError'));
           }
         }
       };
@@ -465,21 +8594,47 @@ const App = () => {
       authenticate();
 
       // 2. Set up Auth State Listener
-      const unsubscribe = onAuthStateChanged(authInstance, (user) => {
-        if (user) {
-          setUserId(user.uid);
-        } else {
-          // Fallback user ID if somehow not signed in
-          setUserId(crypto.randomUUID());
-        }
-        setIsAuthReady(true);
+      // Stays on the loading screen until a real (possibly anonymous) user exists
+      const unsubscribe = onAuthStateChanged(authInstance, (currentUser) => {
+        setUser(currentUser);
+        setUserId(currentUser ? currentUser.uid : null);
+        if (currentUser) setIsAuthReady(true);
       });
 
       return () => unsubscribe();
     }
   }, []);
 
+  // Per-user selections don't carry over to another account
+  useEffect(() => {
+    setActivePlantId(null);
+    setActiveThreadId(null);
+    setScanToDiscuss(null);
+    setGardenPlantId(null);
+  }, [userId]);
+
+  const handleConfirmEmailLink = async (email) => {
+    setNeedsEmailForLink(false);
+    try {
+      await completeEmailLinkSignIn(auth, db, email);
+    } catch (error) {
+      console.error("Email link sign-in failed:", error);
+      setAuthError(t('app.emailLinkError'));
+    }
+  };
+
+  if (!CONFIG_CHECK.canStart) {
+    return <ConfigDiagnostics config={APP_CONFIG} check={CONFIG_CHECK} />;
+  }
+
   if (!isAuthReady) {
+    if (authError) {
+      return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-100">
+          <div className="text-center p-8 bg-white rounded-xl shadow-lg text-red-700">{authError}</div>
+        </div>
+      );
+    }
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100">
         <div className="text-center p-8 bg-white rounded-xl shadow-lg">
@@ -487,51 +8642,197 @@ const App = () => {
              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
           </svg>
-          <p className="text-gray-700">Loading Garden Companion...</p>
+          <p className="text-gray-700">{t('app.loading')}</p>
         </div>
       </div>
     );
   }
 
+  // Hand a scan over to the bot, which opens a discussion seeded with it
+  const handleDiscussScan = (scan) => {
+    if (scan.plantId) setActivePlantId(scan.plantId);
+    setScanToDiscuss(scan);
+    setView('bot');
+  };
+
+  // Leave a shared scan report and drop ?share= so a reload opens the app itself
+  const closeSharedScan = () => {
+    if (!sharedScanId) return;
+    setSharedScanId(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const openView = (nextView) => {
+    closeSharedScan();
+    setView(nextView);
+  };
+
+  const today = toDayString();
+  const dueTaskCount = careTasks.filter(task => task.dueDate <= today).length;
+
   const renderContent = () => {
+    const plantProps = { plants, activePlantId, onActivePlantChange: setActivePlantId };
+    if (sharedScanId) {
+      return <SharedScanView db={db} shareId={sharedScanId} onClose={closeSharedScan} />;
+    }
     if (view === 'scanner') {
-      return <PlantScanner />;
+      return <PlantScanner db={db} userId={userId} {...plantProps} growingProfile={growingProfile} onDiscussScan={handleDiscussScan} />;
+    }
+    if (view === 'history') {
+      return <ScanHistory db={db} userId={userId} plants={plants} onDiscussScan={handleDiscussScan} />;
+    }
+    if (view === 'guide') {
+      return <KnowledgeBrowser />;
+    }
+    if (view === 'today') {
+      return (
+        <CareAgenda
+          db={db}
+          userId={userId}
+          tasks={careTasks}
+          plants={plants}
+          onScanPlant={(plantId) => { if (plantId) setActivePlantId(plantId); setView('scanner'); }}
+        />
+      );
     }
-    return <GardeningBot db={db} userId={userId} />;
+    if (view === 'garden') {
+      return (
+        <MyGarden
+          db={db}
+          userId={userId}
+          plants={plants}
+          growingProfile={growingProfile}
+          selectedPlantId={gardenPlantId}
+          onSelectPlant={setGardenPlantId}
+          onOpenScanner={(plantId) => { setActivePlantId(plantId); setView('scanner'); }}
+          onOpenBot={(plantId) => { setActivePlantId(plantId); setActiveThreadId(null); setView('bot'); }}
+          onOpenThread={(threadId) => { setActiveThreadId(threadId); setView('bot'); }}
+        />
+      );
+    }
+    return (
+      <GardeningBot
+        db={db}
+        userId={userId}
+        {...plantProps}
+        growingProfile={growingProfile}
+        activeThreadId={activeThreadId}
+        onActiveThreadChange={setActiveThreadId}
+        scanToDiscuss={scanToDiscuss}
+        onScanDiscussionStarted={() => setScanToDiscuss(null)}
+        isOnline={isOnline}
+        queuedItems={queuedItems}
+      />
+    );
   };
 
   return (
     <div className="min-h-screen bg-green-50 font-sans p-2 sm:p-4">
       <header className="text-center py-6">
         <h1 className="text-4xl font-black text-green-800">
-          <span className="text-6xl mr-2">🌿</span>Home Garden Health
+          <span className="text-6xl mr-2">🌿</span>{t('app.title')}
         </h1>
-        <p className="text-sm text-gray-500 mt-1">Logged in as User ID: <span className="font-mono text-xs p-1 bg-gray-200 rounded">{userId}</span></p>
+        {aiProvider.name === 'mock' && (
+          <p className="text-xs font-semibold text-amber-700 mt-1">
+            {t('app.mockProvider')}
+            {APP_CONFIG.overrides.aiProvider && (
+              <button onClick={() => saveConfigOverrides({ aiProvider: undefined })} className="ml-2 underline">{t('app.useConfiguredProvider')}</button>
+            )}
+          </p>
+        )}
+        {APP_CONFIG.dataMode === 'local' && (
+          <p className="text-xs font-semibold text-sky-700 mt-1">
+            {t('app.localMode')}
+            {APP_CONFIG.overrides.dataMode && (
+              <button onClick={() => saveConfigOverrides({ dataMode: undefined })} className="ml-2 underline">{t('app.switchToFirebase')}</button>
+            )}
+          </p>
+        )}
+        <div>
+          <LanguagePicker locale={locale} onChange={setLocale} />
+        </div>
+        {user && auth && <ProfileMenu auth={auth} db={db} user={user} />}
       </header>
 
-      <div className="max-w-xl mx-auto mb-4 bg-white rounded-full shadow-lg p-1 flex">
+      {needsEmailForLink && <EmailLinkConfirm onConfirm={handleConfirmEmailLink} />}
+      {authError && isAuthReady && (
+        <div className="max-w-md mx-auto mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">{authError}</div>
+      )}
+
+      <div className="max-w-2xl mx-auto mb-4 bg-white rounded-3xl shadow-lg p-1 flex flex-wrap">
         <button
-          onClick={() => setView('scanner')}
+          onClick={() => openView('scanner')}
           className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
             view === 'scanner'
               ? 'bg-green-600 text-white shadow-md'
               : 'text-gray-600 hover:bg-green-100'
           }`}
         >
-          <span className="mr-2">📸</span>Plant Scanner
+          <span className="mr-2">📸</span>{t('tabs.scanner')}
         </button>
         <button
-          onClick={() => setView('bot')}
+          onClick={() => openView('bot')}
           className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
             view === 'bot'
               ? 'bg-green-600 text-white shadow-md'
               : 'text-gray-600 hover:bg-green-100'
           }`}
         >
-          <span className="mr-2">💬</span>AI Gardener Bot
+          <span className="mr-2">💬</span>{t('tabs.bot')}
+        </button>
+        <button
+          onClick={() => openView('history')}
+          className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
+            view === 'history'
+              ? 'bg-green-600 text-white shadow-md'
+              : 'text-gray-600 hover:bg-green-100'
+          }`}
+        >
+          <span className="mr-2">🗂️</span>{t('tabs.history')}
+        </button>
+        <button
+          onClick={() => openView('garden')}
+          className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
+            view === 'garden'
+              ? 'bg-green-600 text-white shadow-md'
+              : 'text-gray-600 hover:bg-green-100'
+          }`}
+        >
+          <span className="mr-2">🪴</span>{t('tabs.garden')}
+        </button>
+        <button
+          onClick={() => openView('today')}
+          className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
+            view === 'today'
+              ? 'bg-green-600 text-white shadow-md'
+              : 'text-gray-600 hover:bg-green-100'
+          }`}
+        >
+          <span className="mr-2">📅</span>{t('tabs.today')}
+          {dueTaskCount > 0 && (
+            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-500 text-white">{dueTaskCount}</span>
+          )}
+        </button>
+        <button
+          onClick={() => openView('guide')}
+          className={`flex-1 py-3 px-4 font-bold rounded-full transition transform ${
+            view === 'guide'
+              ? 'bg-green-600 text-white shadow-md'
+              : 'text-gray-600 hover:bg-green-100'
+          }`}
+        >
+          <span className="mr-2">📚</span>{t('tabs.guide')}
         </button>
       </div>
 
+      <OfflineQueuePanel db={db} items={queuedItems} isOnline={isOnline} plants={plants} />
+      <HealthAlertBanner
+        db={db}
+        userId={userId}
+        plants={plants}
+        onOpenPlant={(plantId) => { setGardenPlantId(plantId); setView('garden'); }}
+      />
+
       <main className="pb-10">
         {renderContent()}
       </main>
@@ -0,0 +1,80 @@
+// Service worker for Home Garden Health.
+// Caches the app shell so the app opens without a connection, and relays Background Sync
+// events to open tabs, which process the offline queue themselves (it needs Firebase auth).
+
+const CACHE_NAME = 'garden-shell-v1';
+const SHELL_URLS = ['./', './manifest.webmanifest', './icon.svg'];
+const OFFLINE_QUEUE_SYNC_TAG = 'garden-offline-queue'; // Matches OFFLINE_QUEUE_CONFIG.syncTag in app.js
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all(SHELL_URLS.map(url => cache.add(url).catch(() => undefined))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Only same-origin GETs are cached; Firebase and model API calls always go to the network.
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Network first so deploys show up immediately; fall back to the cached shell offline.
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put('./', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('./'))
+        );
+        return;
+    }
+
+    // Static assets: serve from cache and refresh it in the background; offline, the cached copy stands.
+    const cached = caches.match(request);
+    const network = fetch(request).then(response => {
+        if (!response.ok) return response;
+        const copy = response.clone();
+        return caches.open(CACHE_NAME)
+            .then(cache => cache.put(request, copy))
+            .catch(() => undefined) // A full cache shouldn't fail the request
+            .then(() => response);
+    });
+    event.respondWith(cached.then(response => response || network));
+    // Keeps the worker alive until the refreshed copy is in the cache
+    event.waitUntil(network.catch(() => cached));
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OFFLINE_QUEUE_SYNC_TAG) return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' })
+            .then(clients => clients.forEach(client => client.postMessage({ type: 'process-offline-queue' })))
+    );
+});
+
+// Care reminders: focus an open window on the Today agenda, or open one.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || './', self.registration.scope).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            const client = clients[0];
+            if (client) return client.focus().then(focused => focused.navigate(url));
+            return self.clients.openWindow(url);
+        })
+    );
+});